@@ -0,0 +1,93 @@
+// Compares the sketch pipeline against the baseline implementation, the 1.0.0 `JSONHashify` kept verbatim
+// in bench/baseline/index.js: per-node objects and child lists, a breadth-first re-walk of every node's
+// depth-limited subtree, and a re-hash of a node's whole path:value string every time a subtree contains
+// it. Both must produce identical sketches and the pipeline must be at least `TARGET_SPEEDUP` times as
+// fast in every case; the script exits with 1 otherwise.
+//
+//   node bench/csr-pipeline.js [documentsPerCase]
+import { JSONHashify } from '../index.js';
+import { JSONHashify as BaselineJSONHashify } from './baseline/index.js';
+
+const DOCUMENTS_PER_CASE = Number(process.argv[2] ?? 300);
+const ROUNDS = 7;
+const TARGET_SPEEDUP = 3;
+
+const cases = [
+    { depth: 2, maxChildren: 3, name: 'Depth 2, Max Children 3' },
+    { depth: 3, maxChildren: 5, name: 'Depth 3, Max Children 5' },
+    { depth: 4, maxChildren: 5, name: 'Depth 4, Max Children 5' },
+    { depth: 3, maxChildren: 8, name: 'Depth 3, Max Children 8' },
+    { depth: 5, maxChildren: 3, name: 'Depth 5, Max Children 3' },
+    { depth: 6, maxChildren: 4, name: 'Depth 6, Max Children 4' }
+];
+
+// The options of bench/random-json.js, whose README table gave the baseline timings, and the same with
+// shingle counts (a frequency threshold), which the baseline collected in a Map.
+const configurations = [
+    { name: 'set', options: { numHashFunctions: 64, shingleSize: 3 } },
+    { name: 'counts', options: { numHashFunctions: 64, shingleSize: 3, frequencyThreshold: 2 } }
+];
+
+// Seeded generator, so every run sketches the same documents.
+var seed = 42;
+function random() {
+    seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+    return seed / 4294967296;
+}
+
+function generateRandomJson(depth, maxChildren) {
+    if (depth <= 0) {
+        const type = random();
+        if (type < 0.4) return Math.floor(random() * 100000) / 100;
+        if (type < 0.7) return random().toString(36).substring(2, 15);
+        return random() > 0.5;
+    }
+    const numChildren = Math.floor(random() * maxChildren) + 1;
+    if (random() > 0.5) {
+        const arr = [];
+        for (var i = 0; i < numChildren; i++) arr.push(generateRandomJson(depth - 1, maxChildren));
+        return arr;
+    }
+    const obj = {};
+    for (var i = 0; i < numChildren; i++) obj[random().toString(36).substring(2, 8)] = generateRandomJson(depth - 1, maxChildren);
+    return obj;
+}
+
+/**
+ * Best of `ROUNDS` timings of sketching every document with each hasher, in microseconds per document.
+ * Rounds alternate between the hashers, so both see the same state of the machine.
+ */
+function time(documents, hashers) {
+    const best = hashers.map(() => Infinity);
+    for (var round = 0; round < ROUNDS; round++) {
+        hashers.forEach((hasher, h) => {
+            const start = process.hrtime.bigint();
+            for (const json of documents) hasher.generateSketch(json);
+            best[h] = Math.min(best[h], Number(process.hrtime.bigint() - start) / 1000 / documents.length);
+        });
+    }
+    return best;
+}
+
+var failures = 0;
+console.log('| Configuration | Collection | Baseline (μs/doc) | Current (μs/doc) | Speedup | Identical |');
+console.log('|---|---|---|---|---|---|');
+for (const testCase of cases) {
+    const documents = [];
+    for (var i = 0; i < DOCUMENTS_PER_CASE; i++) documents.push(generateRandomJson(testCase.depth, testCase.maxChildren));
+
+    for (const { name, options } of configurations) {
+        const baseline = new BaselineJSONHashify(options);
+        const hasher = new JSONHashify(options);
+        const identical = documents.every(json => JSON.stringify(baseline.generateSketch(json)) === JSON.stringify(hasher.generateSketch(json)));
+        const [previous, current] = time(documents, [baseline, hasher]);
+        const speedup = previous / current;
+        if (!identical || speedup < TARGET_SPEEDUP) failures++;
+        console.log(`| ${testCase.name} | ${name} | ${previous.toFixed(1)} | ${current.toFixed(1)} | ${speedup.toFixed(2)}× | ${identical ? 'yes' : 'NO'} |`);
+    }
+}
+
+if (failures > 0) {
+    console.error(`${failures} case(s) produced different sketches or fell short of a ${TARGET_SPEEDUP}× speedup`);
+    process.exitCode = 1;
+}
@@ -1,9 +1,27 @@
 import { generateGroupedOPHSignature, estimateJaccardSimilarity, murmurhash3_32_gc_single_int } from 'grouped-oph';
 import { HyperbolicLRUCache } from 'hyperbolic-lru';
+import { SketchIndex } from './lib/sketch-index.js';
+import { SketchBuilder } from './lib/sketch-builder.js';
+import { SketchState } from './lib/sketch-state.js';
+import { attributeShingles } from './lib/explain.js';
+import { PathMatcher } from './lib/path-patterns.js';
+import { compileValueNormalizers } from './lib/normalizers.js';
+import { JsonRollingHasher } from './lib/json-rolling-hasher.js';
+import { treeEditDistance, postorderTree } from './lib/tree-edit-distance.js';
+import { WEIGHTING_MODES, expandWeightedMultiset, boundTotalWeight, weightedJaccardSimilarity, normalizeIdfTable, inverseDocumentFrequency, idfDigest } from './lib/weighting.js';
+import { MODES, shapeType, canonicalShape, shapeDigest } from './lib/shape.js';
+import { subtreeDigests, groupDuplicateSubtrees } from './lib/subtree-digests.js';
+import { signatureBasis } from './lib/signature-basis.js';
+import { presets } from './lib/presets.js';
+import { SHINGLE_MODES, TOKEN_MODES, tokenize } from './lib/shingle-tokens.js';
+import { ROLLING_PRIME_MODULUS, WIDE_ROLLING_PRIME_MODULUS, HASH_BITS, rollingParameters, rollingPower, wideHash, foldHash } from './lib/shingle-hash.js';
+import { SKETCH_FORMAT_VERSION, fnv1a32, fingerprintConfig, encodeSketch, decodeSketch, toBase64 } from './lib/sketch-format.js';
 
-// Define rolling hash constants at a higher scope or make them configurable
-const ROLLING_PRIME_BASE = 257;
-const ROLLING_PRIME_MODULUS = 1000000007;
+// Shingle namespaces available through `options.components`, in sketch order.
+const COMPONENT_NAMES = ['structure', 'keys', 'values'];
+
+// Where `options.depthDecay` measures a node's distance from.
+const DEPTH_DECAY_ORIGINS = ['root', 'leaves'];
 
 /**
  * Implements the JSONHash algorithm based on TreeHash principles.
@@ -13,37 +31,137 @@ const ROLLING_PRIME_MODULUS = 1000000007;
  * (filtered by frequency threshold).
  */
 class JSONHashify {
+    /**
+     * Named constructor options for syntax trees: `estree`, `babel` and `unist` (see lib/presets.js).
+     * Each is a function of `{anonymize}` returning options to spread into the constructor options.
+     * @type {{estree: function(object=): object, babel: function(object=): object, unist: function(object=): object}}
+     */
+    static presets = presets;
+
     /**
      * Initializes JSONHashify with optional configuration.
      * @param {object} [options={}] Configuration options.
      * @param {number} [options.subtreeDepth=2] The depth of subtrees to consider for shingling.
+     * @param {boolean} [options.relativePaths=false] Shingle each node once per extracted subtree containing it, with its path relative
+     *                                               to that subtree's root, instead of its absolute path every time. Wrapping a document
+     *                                               in an envelope (`{data: ...}`) or renaming a key near the root then re-keys only the
+     *                                               shingles of the subtrees rooted above the change.
+     * @param {number} [options.depthDecay=1] Weight each node's shingles by depthDecay^distance (0 < depthDecay <= 1), where the distance
+     *                                       is the node's depth below the root, or its height above its deepest leaf with
+     *                                       `depthDecayFrom: 'leaves'`. Requires weighting 'multiset' or 'tfidf'.
+     * @param {'root'|'leaves'} [options.depthDecayFrom='root'] Whether `depthDecay` emphasises nodes near the root or near the leaves.
      * @param {number} [options.frequencyThreshold=1] The minimum frequency for a shingle to be included in the final sketch.
      * @param {number} [options.numHashFunctions=128] Number of hash values in the final signature (total sketch length). Replaces `numPermutations`.
      * @param {number} [options.numGroups=4] Number of groups for GOPH (g=4 recommended).
+     * @param {'content'|'shape'} [options.mode='content'] 'shape' hashes each node's path and JSON type and ignores values;
+     *                                                   it implies `preserveArrayOrder: false` and never summarises arrays.
+     * @param {boolean} [options.canonicalShape=false] In shape mode, sketch the document's canonical shape (sorted keys, arrays
+     *                                                 reduced to their distinct element shapes), so array lengths never matter.
      * @param {boolean} [options.preserveArrayOrder=true] Whether to treat array elements distinctly based on index for structure.
-     * @param {number} [options.shingleSize=5] The size of k-shingles for node string (path:value) hashing.
+     * @param {boolean} [options.arrayElementDigests=false] With `preserveArrayOrder: false`, give object and array elements of arrays
+     *                                                     a path segment hashed from their content, so elements stay distinguishable
+     *                                                     without depending on position.
+     * @param {number} [options.shingleSize=5] The size of k-shingles for node string (path:value) hashing: characters, code points
+     *                                       or tokens depending on `shingleMode` (default 2 for the token modes).
+     * @param {'chars'|'codepoints'|'pathSegments'|'tokens'} [options.shingleMode='chars'] What a shingle is made of: UTF-16 characters,
+     *                                       Unicode code points, n-grams of path segments and value words, or n-grams of
+     *                                       lowercased identifier words (split at camelCase, snake_case and digit boundaries).
+     * @param {number} [options.seed=0] Unsigned 32-bit seed of the shingle hashes (and of the rolling hash base and large-value
+     *                                  fingerprints). Sketches made with different seeds are independent and not comparable.
+     * @param {32|64} [options.hashBits=32] Width of shingle hashes. 64-bit hashes (bigints) avoid shingle collisions on huge
+     *                                      documents; they are folded to 32 bits for Grouped-OPH, so sketches keep 32-bit values.
+     * @param {function(number, number): number} [options.hashFunction] Hashes each shingle's rolling hash residue, called as
+     *                                                                  `(residue, seed) => uint32`. Defaults to MurmurHash3 (32-bit).
+     * @param {string} [options.hashFunctionId] Required with `hashFunction`: a name for it that goes into the configuration
+     *                                          fingerprint. Change it whenever the function's results change.
      * @param {Array<string>} [options.ignoreKeys=[]] Keys to ignore during tree traversal and hashing (e.g., ['position']).
-     * @param {number} [options.stringToHashifyThreshold=128] String length above which to use JsonRollingHasher for the value.
-     * @param {number} [options.arrayToHashifyThreshold=10] Array length above which to use JsonRollingHasher for the value.
+     * @param {string} [options.labelKey] Key holding a node label, as `type` does in syntax trees. An object whose member of this key
+     *                                    is a string is labelled with it: the label is hashed as the object's value and appended to its
+     *                                    path segment (`body.[0]<ReturnStatement>.argument<Identifier>`), instead of being a member.
+     * @param {object} [options.anonymize] With `labelKey`, values to hash as their type only (like the 'typeOnly' normalizer), as
+     *                                     label -> member keys, e.g. `{Identifier: ['name']}`; the label '*' matches every labelled object.
+     * @param {Array<string>} [options.ignorePaths=[]] JSONPath / glob patterns (e.g. '$root.meta.timestamp', '**.loc.start', 'data[*].id')
+     *                                                 of nodes to drop, with their subtrees, during tree construction.
+     * @param {Array<string>} [options.includePaths] Patterns of nodes to keep. When given, only matching nodes, their descendants
+     *                                               and the containers leading to them are hashed.
+     * @param {Array<string|object|function>} [options.valueNormalizers=[]] Canonicalise leaf values before hashing, applied in order.
+     *                                                                   Built-ins by name or as `{type, ...options}`: 'lowercase', 'collapseWhitespace',
+     *                                                                   'maskUuid', {type: 'maskHex', minLength}, {type: 'round', digits},
+     *                                                                   {type: 'bucket', size}, {type: 'truncateDate', unit} and 'typeOnly'.
+     *                                                                   Functions are called as `(path, value) => canonical`; returning undefined hashes the path alone.
+     * @param {number} [options.stringToHashifyThreshold=128] String length above which to use JsonRollingHasher for the value:
+     *                                                       the value is summarised by a bounded content-defined fingerprint
+     *                                                       instead of being shingled character by character. Infinity disables it.
+     * @param {number} [options.arrayToHashifyThreshold=10] Number of scalar elements above which an array's scalars are summarised by a
+     *                                                      JsonRollingHasher fingerprint instead of one node per element.
+     *                                                      Object and array elements are always nodes of their own. Infinity disables it.
+     * @param {number} [options.largeValueFingerprintSize=32] Maximum number of hashes a summarised string or array contributes.
      * @param {boolean} [options.enableNodeStringCache=false] Whether to cache shingle sets for identical node strings (path:value) across calls within the same JSONHashify instance.
      * @param {number} [options.nodeStringCacheSize=1000] Max number of items in the node string shingle cache if enabled.
+     * @param {'none'|'multiset'|'tfidf'} [options.weighting='none'] How shingle counts weight the sketch. 'none' estimates set Jaccard;
+     *                                                             'multiset' and 'tfidf' estimate weighted Jaccard over shingle counts (times IDF for 'tfidf').
+     * @param {number} [options.weightScale=10] Multiplier applied to tf-idf weights and depth-decayed counts before rounding them to integers
+     *                                         (only used with 'tfidf' or `depthDecay`).
+     * @param {number} [options.maxShingleWeight=1000] Largest weight of a single shingle in the weighted modes; heavier shingles are
+     *                                               clipped to it. A shingle of weight w is sketched as w elements, so this bounds the
+     *                                               memory and time of weighted sketching at maxShingleWeight per distinct shingle.
+     * @param {number} [options.maxTotalWeight=1000000] Largest total weight of a document in the weighted modes; above it every
+     *                                                weight is scaled down in proportion (keeping at least 1), so a document is
+     *                                                sketched as at most maxTotalWeight plus its number of distinct shingles elements.
+     * @param {{documentCount: number, documentFrequencies: Map<number, number>}} [options.idf] Document frequencies for 'tfidf', as returned by `fitIdf`.
+     * @param {object} [options.components] Shingle each node into separate namespaces instead of one `path:value` string.
+     *                                      Keys are 'structure' (path and JSON type), 'keys' (key names) and 'values' (leaf values);
+     *                                      each maps to `true` or `{weight=1, shingleSize=options.shingleSize}`. Every enabled component
+     *                                      gets its own `numHashFunctions`-long block in the sketch.
      */
     constructor(options = {}) {
+        this._constructorOptions = options;
         this.numHashFunctions = options.numHashFunctions ?? options.numPermutations ?? 128;
         this.numGroups = options.numGroups ?? 4;
+        // Shape mode ignores values, so array indices and large-value summaries carry nothing it needs.
+        const shapeMode = options.mode === 'shape';
+        const shingleMode = options.shingleMode ?? 'chars';
 
         this.options = {
+            mode: options.mode ?? 'content',
+            canonicalShape: options.canonicalShape ?? false,
             subtreeDepth: options.subtreeDepth ?? 2,
+            relativePaths: options.relativePaths ?? false,
+            depthDecay: options.depthDecay ?? 1,
+            depthDecayFrom: options.depthDecayFrom ?? 'root',
             frequencyThreshold: options.frequencyThreshold ?? 1,
-            preserveArrayOrder: options.preserveArrayOrder ?? true,
-            shingleSize: options.shingleSize ?? 5,
+            preserveArrayOrder: shapeMode ? false : options.preserveArrayOrder ?? true,
+            arrayElementDigests: options.arrayElementDigests ?? false,
+            shingleSize: options.shingleSize ?? (TOKEN_MODES.includes(shingleMode) ? 2 : 5),
+            shingleMode,
+            seed: options.seed ?? 0,
+            hashBits: options.hashBits ?? 32,
             numHashFunctions: this.numHashFunctions,
             enableNodeStringCache: options.enableNodeStringCache ?? false,
-            nodeStringCacheSize: options.nodeStringCacheSize ?? 1000
+            nodeStringCacheSize: options.nodeStringCacheSize ?? 1000,
+            weighting: options.weighting ?? 'none',
+            weightScale: options.weightScale ?? 10,
+            maxShingleWeight: options.maxShingleWeight ?? 1000,
+            maxTotalWeight: options.maxTotalWeight ?? 1000000,
+            stringToHashifyThreshold: options.stringToHashifyThreshold ?? 128,
+            arrayToHashifyThreshold: shapeMode ? Infinity : options.arrayToHashifyThreshold ?? 10,
+            largeValueFingerprintSize: options.largeValueFingerprintSize ?? 32,
+            hashFunctionId: options.hashFunctionId
         };
 
+        this._hashFunction = options.hashFunction ?? murmurhash3_32_gc_single_int;
         this.ignoreKeys = new Set(options.ignoreKeys || []);
-        this._useSetForShingles = this.options.frequencyThreshold === 1;
+        this.labelKey = options.labelKey;
+        this._anonymize = options.anonymize ? this._parseAnonymize(options.anonymize) : null;
+        this._ignorePathMatcher = options.ignorePaths && options.ignorePaths.length > 0 ? new PathMatcher(options.ignorePaths) : null;
+        this._includePathMatcher = options.includePaths ? new PathMatcher(options.includePaths) : null;
+        this._hasPathFilters = this._ignorePathMatcher !== null || this._includePathMatcher !== null;
+        this._valueNormalizer = options.valueNormalizers && options.valueNormalizers.length > 0
+            ? compileValueNormalizers(options.valueNormalizers)
+            : null;
+        // Weighted modes need the per-shingle counts, so they always collect into a Map.
+        this._useSetForShingles = this.options.frequencyThreshold === 1 && this.options.weighting === 'none';
+        this.idf = options.idf ? normalizeIdfTable(options.idf) : null;
 
         if (this.options.enableNodeStringCache) {
             this.nodeStringShingleCache = new HyperbolicLRUCache(this.options.nodeStringCacheSize);
@@ -52,6 +170,9 @@ class JSONHashify {
         if (this.options.shingleSize < 1) {
             throw new Error('shingleSize must be at least 1');
         }
+        if (!SHINGLE_MODES.includes(shingleMode)) {
+            throw new Error(`shingleMode must be one of: ${SHINGLE_MODES.join(', ')}`);
+        }
         if (this.numHashFunctions <= 0 || !Number.isInteger(this.numHashFunctions)) {
              throw new Error('numHashFunctions must be a positive integer.');
         }
@@ -61,400 +182,2448 @@ class JSONHashify {
         if (this.numHashFunctions % this.numGroups !== 0) {
             throw new Error('numHashFunctions must be divisible by numGroups');
         }
+        if (!WEIGHTING_MODES.includes(this.options.weighting)) {
+            throw new Error(`weighting must be one of: ${WEIGHTING_MODES.join(', ')}`);
+        }
+        if (!(this.options.weightScale > 0)) {
+            throw new Error('weightScale must be positive');
+        }
+        if (!Number.isInteger(this.options.maxShingleWeight) || this.options.maxShingleWeight < 1) {
+            throw new Error('maxShingleWeight must be a positive integer');
+        }
+        if (!Number.isInteger(this.options.maxTotalWeight) || this.options.maxTotalWeight < 1) {
+            throw new Error('maxTotalWeight must be a positive integer');
+        }
+        if (!(this.options.stringToHashifyThreshold >= 0) || !(this.options.arrayToHashifyThreshold >= 0)) {
+            throw new Error('stringToHashifyThreshold and arrayToHashifyThreshold must be non-negative');
+        }
+        if (!MODES.includes(this.options.mode)) {
+            throw new Error(`mode must be one of: ${MODES.join(', ')}`);
+        }
+        if (this.options.canonicalShape && !shapeMode) {
+            throw new Error("canonicalShape requires mode: 'shape'");
+        }
+        if (this.options.arrayElementDigests && this.options.preserveArrayOrder) {
+            throw new Error('arrayElementDigests requires preserveArrayOrder: false');
+        }
+        if (this.labelKey !== undefined && typeof this.labelKey !== 'string') {
+            throw new Error('labelKey must be a string');
+        }
+        if (this._anonymize && this.labelKey === undefined) {
+            throw new Error('anonymize requires labelKey');
+        }
+        if (!Number.isInteger(this.options.seed) || this.options.seed < 0 || this.options.seed > 0xFFFFFFFF) {
+            throw new Error('seed must be an unsigned 32-bit integer');
+        }
+        if (!HASH_BITS.includes(this.options.hashBits)) {
+            throw new Error(`hashBits must be one of: ${HASH_BITS.join(', ')}`);
+        }
+        // A table of the other width would match no shingle and silently give every shingle the largest IDF.
+        if (this.idf && this.idf.documentFrequencies.size > 0
+            && (typeof this.idf.documentFrequencies.keys().next().value === 'bigint') !== (this.options.hashBits === 64)) {
+            throw new Error('idf was fitted with a different hashBits');
+        }
+        if (typeof this._hashFunction !== 'function') {
+            throw new Error('hashFunction must be a function');
+        }
+        // A function's source says nothing about the state it closes over, and bound and native functions
+        // all print alike, so custom hash functions are fingerprinted by name.
+        if (options.hashFunction !== undefined && (typeof this.options.hashFunctionId !== 'string' || this.options.hashFunctionId === '')) {
+            throw new Error('hashFunction requires a hashFunctionId string naming it in the configuration fingerprint');
+        }
+        if (options.hashFunction === undefined && this.options.hashFunctionId !== undefined) {
+            throw new Error('hashFunctionId requires hashFunction');
+        }
+        if (!(this.options.depthDecay > 0 && this.options.depthDecay <= 1)) {
+            throw new Error('depthDecay must be greater than 0 and at most 1');
+        }
+        if (!DEPTH_DECAY_ORIGINS.includes(this.options.depthDecayFrom)) {
+            throw new Error(`depthDecayFrom must be one of: ${DEPTH_DECAY_ORIGINS.join(', ')}`);
+        }
+        // Decayed counts are fractional, so they can only be realised as weights and not compared with a frequency threshold.
+        this._depthDecayed = this.options.depthDecay < 1;
+        if (this._depthDecayed && this.options.weighting === 'none') {
+            throw new Error("depthDecay requires weighting 'multiset' or 'tfidf'");
+        }
+        if (this._depthDecayed && this.options.frequencyThreshold !== 1) {
+            throw new Error('depthDecay cannot be combined with frequencyThreshold');
+        }
 
-        // Pre-calculate rolling hash power: ROLLING_PRIME_BASE^(shingleSize-1) % ROLLING_PRIME_MODULUS
-        this._rollingHashPower = 1;
-        const k = this.options.shingleSize;
-        if (k > 1) { // Only needed if k > 1, for k=1, power is 1 (BASE^0)
-            for (let i = 0; i < k - 1; i++) {
-                this._rollingHashPower = (this._rollingHashPower * ROLLING_PRIME_BASE) % ROLLING_PRIME_MODULUS;
+        this._rollingHasher = new JsonRollingHasher({ fingerprintSize: this.options.largeValueFingerprintSize, seed: this.options.seed });
+
+        const { base, wideBase, wideSeed } = rollingParameters(this.options.seed);
+        this._rollingBase = base;
+        this._wideRollingBase = wideBase;
+        this._wideHashSeed = wideSeed;
+        this._rollingHashPower = this._computeRollingHashPower(this.options.shingleSize);
+
+        this.components = options.components ? this._parseComponents(options.components) : null;
+        this.sketchLength = this.numHashFunctions * (this.components ? this.components.length : 1);
+
+        this.fingerprint = fingerprintConfig(this._configDescriptor());
+    }
+
+    /**
+     * Pre-calculates the rolling hash power base^(k-1) % ROLLING_PRIME_MODULUS.
+     * @private
+     * @param {number} k The shingle size.
+     * @returns {number} The power.
+     */
+    _computeRollingHashPower(k) {
+        return rollingPower(this._rollingBase, ROLLING_PRIME_MODULUS, k);
+    }
+
+    /**
+     * Validates `options.components` and resolves each enabled component's settings.
+     * @private
+     * @param {object} componentOptions The `components` option.
+     * @returns {Array<{name: string, weight: number, shingleSize: number, rollingHashPower: number}>} Enabled components in sketch order.
+     */
+    _parseComponents(componentOptions) {
+        for (const name of Object.keys(componentOptions)) {
+            if (!COMPONENT_NAMES.includes(name)) {
+                throw new Error(`Unknown component: ${name}. Expected one of: ${COMPONENT_NAMES.join(', ')}`);
+            }
+        }
+
+        const components = [];
+        var totalWeight = 0;
+        for (const name of COMPONENT_NAMES) {
+            const spec = componentOptions[name];
+            if (spec === undefined || spec === false) continue;
+            const config = spec === true ? {} : spec;
+            const weight = config.weight ?? 1;
+            const shingleSize = config.shingleSize ?? this.options.shingleSize;
+            if (!(weight >= 0)) {
+                throw new Error(`Weight of component ${name} must be non-negative`);
+            }
+            if (shingleSize < 1) {
+                throw new Error(`shingleSize of component ${name} must be at least 1`);
+            }
+            totalWeight += weight;
+            components.push({ name, weight, shingleSize, rollingHashPower: this._computeRollingHashPower(shingleSize) });
+        }
+
+        if (components.length === 0 || totalWeight <= 0) {
+            throw new Error('components must enable at least one component with a positive weight');
+        }
+        return components;
+    }
+
+    /**
+     * Validates `options.anonymize`.
+     * @private
+     * @param {object} anonymize The `anonymize` option: label -> member keys.
+     * @returns {Map<string, Set<string>>} Member keys to anonymise, by label.
+     */
+    _parseAnonymize(anonymize) {
+        const keysByLabel = new Map();
+        for (const [label, keys] of Object.entries(anonymize)) {
+            if (!Array.isArray(keys) || keys.some(key => typeof key !== 'string')) {
+                throw new Error(`anonymize.${label} must be an array of keys`);
+            }
+            keysByLabel.set(label, new Set(keys));
+        }
+        return keysByLabel;
+    }
+
+    /**
+     * The `anonymize` option in canonical (sorted) form, for the configuration descriptor.
+     * @private
+     * @returns {Array<[string, Array<string>]>} Sorted label and key pairs.
+     */
+    _anonymizeDescriptor() {
+        return Array.from(this._anonymize.keys()).sort().map(label => [label, Array.from(this._anonymize.get(label)).sort()]);
+    }
+
+    /**
+     * The label of an object under `labelKey`, if it has one.
+     * @private
+     * @param {*} item A JSON value.
+     * @returns {string|undefined} The label.
+     */
+    _objectLabel(item) {
+        if (this.labelKey === undefined || typeof item !== 'object' || item === null || Array.isArray(item)) return undefined;
+        const label = item[this.labelKey];
+        return typeof label === 'string' ? label : undefined;
+    }
+
+    /**
+     * Whether `anonymize` masks the member `key` of objects labelled `label`.
+     * @private
+     * @param {string|undefined} label The object's label.
+     * @param {string} key The member key.
+     * @returns {boolean}
+     */
+    _isAnonymized(label, key) {
+        if (this._anonymize === null || label === undefined) return false;
+        const keys = this._anonymize.get(label);
+        const anyKeys = this._anonymize.get('*');
+        return (keys !== undefined && keys.has(key)) || (anyKeys !== undefined && anyKeys.has(key));
+    }
+
+    /**
+     * Describes every option that affects the contents of a sketch. Two hashers with equal
+     * descriptors produce comparable sketches; the descriptor is hashed into `this.fingerprint`.
+     * @private
+     * @returns {object} Plain configuration descriptor.
+     */
+    _configDescriptor() {
+        return {
+            mode: this.options.mode,
+            canonicalShape: this.options.canonicalShape,
+            numHashFunctions: this.numHashFunctions,
+            numGroups: this.numGroups,
+            subtreeDepth: this.options.subtreeDepth,
+            relativePaths: this.options.relativePaths || undefined,
+            depthDecay: this._depthDecayed ? this.options.depthDecay : undefined,
+            depthDecayFrom: this._depthDecayed ? this.options.depthDecayFrom : undefined,
+            frequencyThreshold: this.options.frequencyThreshold,
+            preserveArrayOrder: this.options.preserveArrayOrder,
+            arrayElementDigests: this.options.arrayElementDigests,
+            shingleSize: this.options.shingleSize,
+            // Left out at their defaults, which hash exactly as before they existed, so existing fingerprints still match.
+            shingleMode: this.options.shingleMode === 'chars' ? undefined : this.options.shingleMode,
+            seed: this.options.seed === 0 ? undefined : this.options.seed,
+            hashFunctionId: this.options.hashFunctionId,
+            hashBits: this.options.hashBits === 32 ? undefined : this.options.hashBits,
+            ignoreKeys: Array.from(this.ignoreKeys).sort(),
+            labelKey: this.labelKey,
+            anonymize: this._anonymize ? this._anonymizeDescriptor() : undefined,
+            ignorePaths: this._ignorePathMatcher ? this._ignorePathMatcher.patterns.slice().sort() : undefined,
+            includePaths: this._includePathMatcher ? this._includePathMatcher.patterns.slice().sort() : undefined,
+            valueNormalizers: this._valueNormalizer ? this._valueNormalizer.descriptor : undefined,
+            weighting: this.options.weighting,
+            weightScale: this.options.weighting === 'tfidf' || this._depthDecayed ? this.options.weightScale : undefined,
+            maxShingleWeight: this.options.weighting === 'none' ? undefined : this.options.maxShingleWeight,
+            maxTotalWeight: this.options.weighting === 'none' ? undefined : this.options.maxTotalWeight,
+            idf: this.options.weighting === 'tfidf' && this.idf ? idfDigest(this.idf) : undefined,
+            components: this.components ? this.components.map(({ name, weight, shingleSize }) => ({ name, weight, shingleSize })) : undefined,
+            stringToHashifyThreshold: this._finiteOrNull(this.options.stringToHashifyThreshold),
+            arrayToHashifyThreshold: this._finiteOrNull(this.options.arrayToHashifyThreshold),
+            largeValueFingerprintSize: this.options.largeValueFingerprintSize
+        };
+    }
+
+    /**
+     * Maps Infinity (which JSON cannot represent) to null for the configuration descriptor.
+     * @private
+     * @param {number} threshold A threshold.
+     * @returns {number|null} The threshold, or null if it is not finite.
+     */
+    _finiteOrNull(threshold) {
+        return Number.isFinite(threshold) ? threshold : null;
+    }
+
+    /**
+     * Path filter state of the root node, for `ignorePaths` / `includePaths`.
+     * @private
+     * @returns {{ignore: Array<number>|null, include: Array<number>|null, included: boolean}} Filter state.
+     */
+    _rootPathFilter() {
+        const include = this._includePathMatcher ? this._includePathMatcher.initial() : null;
+        return {
+            ignore: this._ignorePathMatcher ? this._ignorePathMatcher.initial() : null,
+            include,
+            included: include === null || this._includePathMatcher.matches(include)
+        };
+    }
+
+    /**
+     * Path filter state of a child node, or null if `ignorePaths` / `includePaths` drop it.
+     * @private
+     * @param {{ignore: Array<number>|null, include: Array<number>|null, included: boolean}} parentFilter The parent's filter state.
+     * @param {string|number} segment The child's object key (string) or array index (number).
+     * @param {boolean} isLeaf Whether the child is a leaf.
+     * @returns {{ignore: Array<number>|null, include: Array<number>|null, included: boolean}|null} The child's filter state.
+     */
+    _childPathFilter(parentFilter, segment, isLeaf) {
+        var ignore = null;
+        if (this._ignorePathMatcher) {
+            ignore = this._ignorePathMatcher.step(parentFilter.ignore, segment);
+            if (this._ignorePathMatcher.matches(ignore)) return null;
+        }
+
+        var include = null;
+        var included = parentFilter.included;
+        if (!included) {
+            include = this._includePathMatcher.step(parentFilter.include, segment);
+            if (this._includePathMatcher.matches(include)) {
+                included = true;
+            } else if (isLeaf || !this._includePathMatcher.alive(include)) {
+                return null;
             }
         }
+        return { ignore, include, included };
     }
 
+    /**
+     * Whether an array's scalar elements are summarised by a JsonRollingHasher fingerprint: it has more
+     * than `arrayToHashifyThreshold` of them. Object and array elements stay nodes of their own.
+     * @private
+     * @param {Array} array The array.
+     * @returns {boolean}
+     */
+    _isSummarisedArray(array) {
+        const threshold = this.options.arrayToHashifyThreshold;
+        if (!(array.length > threshold)) return false;
+        var scalars = 0;
+        for (var i = 0; i < array.length; i++) {
+            if (typeof array[i] !== 'object' || array[i] === null) scalars++;
+        }
+        return scalars > threshold;
+    }
 
+    /**
+     * Builds the node of a summarised array. Instead of scalar children it holds the scalar elements
+     * that survive `ignorePaths` / `includePaths`, and their indices when path filters are set or the
+     * array also has container elements.
+     * @private
+     * @param {number} id Node id.
+     * @param {string} path Node path.
+     * @param {string|undefined} memberKey Object key of the array, if it is an object member.
+     * @param {Array} array The array.
+     * @param {object|null} filter The array's path filter state.
+     * @returns {object} The node.
+     */
+    _summarisedArrayNode(id, path, memberKey, array, filter) {
+        var elements = array;
+        var elementIndices;
+        if (this._hasPathFilters || array.some(element => typeof element === 'object' && element !== null)) {
+            elements = [];
+            elementIndices = [];
+            for (var i = 0; i < array.length; i++) {
+                if (typeof array[i] === 'object' && array[i] !== null) continue;
+                if (!this._hasPathFilters || this._childPathFilter(filter, i, true) !== null) {
+                    elements.push(array[i]);
+                    elementIndices.push(i);
+                }
+            }
+        }
+        return { id, path, key: memberKey, type: 'array', elements, elementIndices };
+    }
 
     /**
      * Parses JSON and directly builds the CSR representation in a single pass.
+     * The children of a node get consecutive ids, all larger than their parent's, so the CSR arrays are
+     * filled from each node's first child id and child count without per-node child lists.
+     * With `canonicalShape` the tree is that of the document's canonical shape (see lib/shape.js).
      * @param {object|Array} json The input JSON object or array.
-     * @returns {{rowPtr: Array<number>, colIndices: Array<number>, nodeMap: Map<number, object>}} CSR representation.
+     * @param {{path: string, memberKey: string|undefined, filter: object|null}} [origin] Where `json` sits in a larger
+     *        document, to build the tree of one of its subtrees: the path, object key and path filter state of its root.
+     * @returns {{rowPtr: Int32Array, colIndices: Int32Array, nodeMap: Map<number, object>, depths: Int32Array}} CSR representation,
+     *          and the depth of every node below the root.
      */
-    _buildCSRFromJSON(json) {
-        const nodeMap = new Map(); 
-        const childLists = [];    
-        var nodeIdCounter = 0;
+    _buildCSRFromJSON(json, origin) {
+        if (this.options.canonicalShape && origin === undefined) {
+            const rootOrigin = { path: '$root', memberKey: undefined, filter: this._hasPathFilters ? this._rootPathFilter() : null };
+            return this._buildCSRFromJSON(canonicalShape(this._buildCSRFromJSON(json, rootOrigin), this.labelKey).value, rootOrigin);
+        }
+        const nodeMap = new Map();
+        const rootPath = origin ? origin.path : '$root';
+        const rootKey = origin ? origin.memberKey : undefined;
 
         if (typeof json !== 'object' || json === null) {
-            const nodeId = nodeIdCounter++;
-            const nodeData = { id: nodeId, path: '$root', value: json };
-            nodeMap.set(nodeId, nodeData);
-            childLists[nodeId] = []; 
-            const rowPtr = [0, 0];
-            const colIndices = [];
-            return { rowPtr, colIndices, nodeMap };
+            nodeMap.set(0, { id: 0, path: rootPath, value: json, key: rootKey });
+            return { rowPtr: new Int32Array(2), colIndices: new Int32Array(0), nodeMap, depths: new Int32Array(1) };
         }
 
-        const rootId = nodeIdCounter++;
-        const rootNodeData = { id: rootId, path: '$root' };
-        nodeMap.set(rootId, rootNodeData);
-        childLists[rootId] = []; 
+        const rootFilter = origin ? origin.filter : (this._hasPathFilters ? this._rootPathFilter() : null);
+        const rootSummarised = Array.isArray(json) && this._isSummarisedArray(json);
+        // The root's label is hashed as its value only, so its subtrees' paths do not depend on it.
+        const rootLabel = this._objectLabel(json);
+        if (rootSummarised) {
+            nodeMap.set(0, this._summarisedArrayNode(0, rootPath, rootKey, json, rootFilter));
+        } else {
+            const rootNodeData = { id: 0, path: rootPath, key: rootKey, type: Array.isArray(json) ? 'array' : 'object' };
+            if (rootLabel !== undefined) rootNodeData.label = rootLabel;
+            nodeMap.set(0, rootNodeData);
+        }
 
-        const stack = [{ obj: json, path: '$root', parentId: rootId }];
+        // Per node id: depth below the root, id of the first child and number of children.
+        const depths = [0];
+        const firstChild = [1];
+        const childCounts = [0];
+        var nodeIdCounter = 1;
 
-        while (stack.length > 0) {
-            const { obj, path, parentId } = stack.pop();
+        const stack = [{ obj: json, path: rootPath, id: 0, filter: rootFilter, label: rootLabel, masked: false, summarised: rootSummarised }];
+        var frame;
 
-            const processNode = (item, itemKey, currentPath, parentId) => {
-                const elementPath = currentPath === '$root' ? itemKey : `${currentPath}.${itemKey}`;
-                const isLeaf = typeof item !== 'object' || item === null;
+        // Creates the node of one member or element of `frame`'s container.
+        const addChild = (item, itemKey, memberKey, segment, masked) => {
+            const isLeaf = typeof item !== 'object' || item === null;
+            var childFilter = null;
+            if (this._hasPathFilters) {
+                childFilter = this._childPathFilter(frame.filter, segment, isLeaf);
+                if (childFilter === null) return;
+            }
+            const label = this._objectLabel(item);
+            const labelledKey = label === undefined ? itemKey : `${itemKey}<${label}>`;
+            const path = frame.path === '$root' ? labelledKey : `${frame.path}.${labelledKey}`;
 
-                const childId = nodeIdCounter++;
-                const nodeData = { id: childId, path: elementPath, value: isLeaf ? item : undefined };
-                nodeMap.set(childId, nodeData);
-                childLists[childId] = []; 
-                childLists[parentId].push(childId); 
+            const id = nodeIdCounter++;
+            depths[id] = depths[frame.id] + 1;
+            firstChild[id] = 0;
+            childCounts[id] = 0;
+            childCounts[frame.id]++;
 
-                if (!isLeaf) {
-                    stack.push({ obj: item, path: elementPath, parentId: childId });
-                }
+            if (!isLeaf && Array.isArray(item) && this._isSummarisedArray(item)) {
+                const summarisedNode = this._summarisedArrayNode(id, path, memberKey, item, childFilter);
+                summarisedNode.segment = segment;
+                if (masked) summarisedNode.masked = true;
+                nodeMap.set(id, summarisedNode);
+                stack.push({ obj: item, path, id, filter: childFilter, label, masked, summarised: true });
+                return;
+            }
+
+            const nodeData = {
+                id,
+                path,
+                value: isLeaf ? item : undefined,
+                key: memberKey,
+                segment,
+                type: isLeaf ? undefined : (Array.isArray(item) ? 'array' : 'object')
             };
+            if (label !== undefined) nodeData.label = label;
+            if (masked) nodeData.masked = true;
+            nodeMap.set(id, nodeData);
+
+            if (!isLeaf) {
+                stack.push({ obj: item, path, id, filter: childFilter, label, masked, summarised: false });
+            }
+        };
 
+        while (stack.length > 0) {
+            frame = stack.pop();
+            const obj = frame.obj;
+            firstChild[frame.id] = nodeIdCounter;
             if (Array.isArray(obj)) {
                 const len = obj.length;
                 for (var i = 0; i < len; i++) {
-                    const elementPathKey = this.options.preserveArrayOrder ? `[${i}]` : ''; 
-                    const fullPath = this.options.preserveArrayOrder ? `${path}[${i}]` : path;
-                    processNode(obj[i], elementPathKey, path, parentId);
+                    // The scalar elements of a summarised array are in its node's `elements`.
+                    if (frame.summarised && (typeof obj[i] !== 'object' || obj[i] === null)) continue;
+                    addChild(obj[i], this.options.preserveArrayOrder ? `[${i}]` : '', undefined, i, frame.masked);
                 }
-            } else { 
+            } else {
                 const keys = Object.keys(obj);
                 const len = keys.length;
                 for (var i = 0; i < len; i++) {
                     const key = keys[i];
-                    if (this.ignoreKeys.has(key)) continue;
-                    processNode(obj[key], key, path, parentId);
+                    if (this.ignoreKeys.has(key) || (frame.label !== undefined && key === this.labelKey)) continue;
+                    addChild(obj[key], key, key, key, frame.masked || this._isAnonymized(frame.label, key));
                 }
             }
         }
- 
-        const numNodes = nodeIdCounter;
-        const rowPtr = new Array(numNodes + 1);
-        rowPtr[0] = 0;
-        var totalChildren = 0;
 
-        for (var i = 0; i < numNodes; i++) {
-            const children = childLists[i] || []; 
-            rowPtr[i + 1] = rowPtr[i] + children.length;
-            totalChildren += children.length; 
+        const numNodes = nodeIdCounter;
+        const rowPtr = new Int32Array(numNodes + 1);
+        for (var id = 0; id < numNodes; id++) {
+            rowPtr[id + 1] = rowPtr[id] + childCounts[id];
         }
-
-        const colIndices = new Array(totalChildren); 
-        var currentColIndex = 0;
-        for (var i = 0; i < numNodes; i++) {
-            const children = childLists[i] || [];
-            for (var j = 0; j < children.length; j++) {
-                colIndices[currentColIndex++] = children[j];
+        const colIndices = new Int32Array(rowPtr[numNodes]);
+        for (var id = 0; id < numNodes; id++) {
+            for (var c = 0; c < childCounts[id]; c++) {
+                colIndices[rowPtr[id] + c] = firstChild[id] + c;
             }
         }
 
-        return { rowPtr, colIndices, nodeMap };
+        const csrData = { rowPtr, colIndices, nodeMap, depths: Int32Array.from(depths) };
+        if (this.options.arrayElementDigests) {
+            this._applyElementDigests(csrData);
+        }
+        return csrData;
     }
 
     /**
-     * Extracts all nodes within a subtree from the CSR data.
-     * @param {object} csrData CSR data from _convertToCSR.
-     * @param {number} startNodeId The ID of the root node of the subtree.
-     * @returns {Array<number>} List of node IDs in the subtree.
+     * Gives every object or array element of an array a path segment derived from its content instead of
+     * its position: `[#digest]`, the first 32 bits of the element's subtree digest (see `subtreeDigests`). Elements stay distinguishable, so
+     * `[{a:1,b:2},{a:3,b:4}]` and `[{a:1,b:4},{a:3,b:2}]` differ, while reordering them changes nothing.
+     * Scalar elements keep the plain `preserveArrayOrder: false` segment, as their value already tells them apart.
+     * @private
+     * @param {{rowPtr: Int32Array, colIndices: Int32Array, nodeMap: Map<number, object>}} csrData The tree; its paths are rewritten.
      */
-    _extractSubtrees(csrData, startNodeId) {
+    _applyElementDigests(csrData) {
         const { rowPtr, colIndices, nodeMap } = csrData;
-        const maxDepth = this.options.subtreeDepth;
-        const subtreeNodeIds = [];
-        const visited = new Set(); 
-        const queue = []; 
-
-        if (!nodeMap.has(startNodeId) || startNodeId >= rowPtr.length - 1) {
-            return []; 
+        const digests = subtreeDigests(nodeMap, id => Array.from(colIndices.subarray(rowPtr[id], rowPtr[id + 1])), node => this._nodeContent(node), false);
+        // Ascending ids rewrite every array's path before its elements'.
+        for (var id = 0; id < nodeMap.size; id++) {
+            const node = nodeMap.get(id);
+            if (node.type !== 'array') continue;
+            for (var c = rowPtr[id]; c < rowPtr[id + 1]; c++) {
+                this._rewriteElementPath(csrData, colIndices[c], digests[colIndices[c]], node.path);
+            }
         }
+    }
 
-        queue.push([startNodeId, 0]);
-        visited.add(startNodeId);
-
-        while (queue.length > 0) {
-            const [currentNodeId, currentDepth] = queue.shift();
-            subtreeNodeIds.push(currentNodeId);
-
-            if (currentDepth < maxDepth) {
-                const childrenStart = rowPtr[currentNodeId];
-                const childrenEnd = rowPtr[currentNodeId + 1];
-
-                for (var i = childrenStart; i < childrenEnd; i++) {
-                    const childId = colIndices[i];
-                    if (childId !== -1 && nodeMap.has(childId) && !visited.has(childId)) {
-                        visited.add(childId);
-                        queue.push([childId, currentDepth + 1]);
-                    }
-                }
-            }
+    /**
+     * Rewrites the path of an array element with its digest segment, and the paths of its descendants.
+     * @private
+     * @param {{rowPtr: Int32Array, colIndices: Int32Array, nodeMap: Map<number, object>}} csrData The tree.
+     * @param {number} elementId The element's node id.
+     * @param {string} digest The element's hex digest.
+     * @param {string} arrayPath The (already rewritten) path of the array.
+     */
+    _rewriteElementPath(csrData, elementId, digest, arrayPath) {
+        const { rowPtr, colIndices, nodeMap } = csrData;
+        const element = nodeMap.get(elementId);
+        if (element.type === undefined) return;
+        const itemKey = '[#' + digest.slice(0, 8) + ']' + (element.label === undefined ? '' : `<${element.label}>`);
+        const oldPath = element.path;
+        const newPath = arrayPath === '$root' ? itemKey : `${arrayPath}.${itemKey}`;
+        const stack = [elementId];
+        while (stack.length > 0) {
+            const node = nodeMap.get(stack.pop());
+            node.path = newPath + node.path.slice(oldPath.length);
+            if (node.leaf !== undefined) node.leaf = undefined;
+            for (var c = rowPtr[node.id]; c < rowPtr[node.id + 1]; c++) stack.push(colIndices[c]);
         }
-        return subtreeNodeIds; 
+    }
+
+    /**
+     * How many times a node's shingles are counted: once for every extracted subtree that contains it.
+     * The subtree rooted at each node spans `subtreeDepth` levels below it, so a node at depth d lies in
+     * the subtrees of itself and its min(d, subtreeDepth) nearest ancestors.
+     * @private
+     * @param {number} depth The node's depth below the root.
+     * @returns {number} The multiplicity.
+     */
+    _subtreeMultiplicity(depth) {
+        return Math.max(0, Math.min(depth, this.options.subtreeDepth)) + 1;
     }
 
     /**
      * Generates hashed k-shingles for a single node and updates their frequencies in the provided multiset.
      * @param {object} node The node object (from nodeMap).
      * @param {Map<number, number>|Set<number>} shingleCollection The collection (Map or Set) to update.
+     * @param {number} [count=1] How many times the node's shingles are counted in a Map.
+     * @param {number} [parentPathLength=0] See `_addNodeShingles`.
+     * @param {number} [pathCount=count] See `_addNodeShingles`.
      */
-    _updateShingleFrequenciesForNode(node, shingleCollection) {
+    _updateShingleFrequenciesForNode(node, shingleCollection, count = 1, parentPathLength = 0, pathCount = count) {
         const k = this.options.shingleSize;
         if (!node) return;
 
+        var nodeString = node.path;
+        const leaf = this._leafValue(node);
+        if (leaf.text !== undefined) {
+            nodeString += ':' + leaf.text;
+        }
+        if (leaf.fingerprints !== null) {
+            this._addHashes(leaf.fingerprints, shingleCollection, count);
+        }
+
         if (this.options.enableNodeStringCache) {
             // --- CACHING PATH ---
-            var nodePathString = node.path;
-            const value = node.value;
-            let shingleInputString = nodePathString;
-            if (value !== undefined) {
-                let valueStringForCacheKey;
-                const type = typeof value;
-                if (type === 'string') valueStringForCacheKey = value;
-                else if (type === 'number' || type === 'boolean') valueStringForCacheKey = String(value);
-                else valueStringForCacheKey = JSON.stringify(value);
-                shingleInputString += ':' + valueStringForCacheKey;
-            }
-
-            if (this.nodeStringShingleCache.has(shingleInputString)) {
-                const cachedShingles = this.nodeStringShingleCache.get(shingleInputString);
-                for (const shingleHash of cachedShingles) {
-                    if (this._useSetForShingles) {
-                        shingleCollection.add(shingleHash);
-                    } else {
-                        shingleCollection.set(shingleHash, (shingleCollection.get(shingleHash) || 0) + 1);
-                    }
-                }
-                return; 
-            }
-
-            const shinglesGeneratedForThisNode = new Set();
-            const targetStringToShingle = shingleInputString; 
-            
-            const primeBase = ROLLING_PRIME_BASE;
-            const primeModulus = ROLLING_PRIME_MODULUS;
-            const power = this._rollingHashPower;
-
-            if (targetStringToShingle.length >= k) {
-                let currentHash = 0;
-                for (let j = 0; j < k; j++) {
-                    currentHash = (currentHash * primeBase + targetStringToShingle.charCodeAt(j)) % primeModulus;
-                }
-                shinglesGeneratedForThisNode.add(murmurhash3_32_gc_single_int(currentHash, 0));
-                const limit = targetStringToShingle.length - k;
-                for (let i = 0; i < limit; i++) {
-                    const charOutCode = targetStringToShingle.charCodeAt(i);
-                    const charInCode = targetStringToShingle.charCodeAt(i + k);
-                    let termToRemove = (charOutCode * power) % primeModulus;
-                    currentHash = (currentHash - termToRemove + primeModulus) % primeModulus;
-                    currentHash = (currentHash * primeBase) % primeModulus;
-                    currentHash = (currentHash + charInCode) % primeModulus;
-                    shinglesGeneratedForThisNode.add(murmurhash3_32_gc_single_int(currentHash, 0));
-                }
-            } else if (targetStringToShingle.length > 0) {
-                let polyHash = 0;
-                for (let j = 0; j < targetStringToShingle.length; j++) {
-                    polyHash = (polyHash * primeBase + targetStringToShingle.charCodeAt(j)) % primeModulus;
-                }
-                shinglesGeneratedForThisNode.add(murmurhash3_32_gc_single_int(polyHash, 0));
+            var shinglesGeneratedForThisNode;
+            if (this.nodeStringShingleCache.has(nodeString)) {
+                shinglesGeneratedForThisNode = this.nodeStringShingleCache.get(nodeString);
+            } else {
+                shinglesGeneratedForThisNode = new Set();
+                this._addStringShingles(nodeString, k, this._rollingHashPower, shinglesGeneratedForThisNode);
+                this.nodeStringShingleCache.set(nodeString, shinglesGeneratedForThisNode);
             }
 
-            this.nodeStringShingleCache.set(shingleInputString, shinglesGeneratedForThisNode);
-
+            const counting = shingleCollection instanceof Map;
             for (const shingleHash of shinglesGeneratedForThisNode) {
-                if (this._useSetForShingles) {
+                if (!counting) {
                     shingleCollection.add(shingleHash);
                 } else {
-                    shingleCollection.set(shingleHash, (shingleCollection.get(shingleHash) || 0) + 1);
+                    shingleCollection.set(shingleHash, (shingleCollection.get(shingleHash) || 0) + count);
                 }
             }
-
         } else {
-            // --- ORIGINAL STATELESS PATH (minimal changes from before caching) ---
-            var nodeString = node.path; 
-            const value = node.value;
-            if (value !== undefined) {
-                var valueString; 
-                const type = typeof value;
-                if (type === 'string') valueString = value;
-                else if (type === 'number' || type === 'boolean') valueString = String(value);
-                else valueString = JSON.stringify(value);
-                nodeString += ':' + valueString;
-            }
-
-            const primeBase = ROLLING_PRIME_BASE;
-            const primeModulus = ROLLING_PRIME_MODULUS;
-            const power = this._rollingHashPower;
-            const targetString = nodeString; 
-
-            if (targetString.length >= k) {
-                let currentHash = 0;
-                for (let j = 0; j < k; j++) {
-                    currentHash = (currentHash * primeBase + targetString.charCodeAt(j)) % primeModulus;
-                }
-                const finalInitialHash = murmurhash3_32_gc_single_int(currentHash, 0);
-                if (this._useSetForShingles) {
-                    shingleCollection.add(finalInitialHash);
-                } else {
-                    shingleCollection.set(finalInitialHash, (shingleCollection.get(finalInitialHash) || 0) + 1);
-                }
-
-                const limit = targetString.length - k;
-                for (let i = 0; i < limit; i++) {
-                    const charOutCode = targetString.charCodeAt(i);
-                    const charInCode = targetString.charCodeAt(i + k);
-                    let termToRemove = (charOutCode * power) % primeModulus;
-                    currentHash = (currentHash - termToRemove + primeModulus) % primeModulus;
-                    currentHash = (currentHash * primeBase) % primeModulus;
-                    currentHash = (currentHash + charInCode) % primeModulus;
-                    
-                    const finalRolledHash = murmurhash3_32_gc_single_int(currentHash, 0);
-                    if (this._useSetForShingles) {
-                        shingleCollection.add(finalRolledHash);
-                    } else {
-                        shingleCollection.set(finalRolledHash, (shingleCollection.get(finalRolledHash) || 0) + 1);
-                    }
-                }
-            } else if (targetString.length > 0) {
-                let polyHash = 0;
-                for (let j = 0; j < targetString.length; j++) {
-                    polyHash = (polyHash * primeBase + targetString.charCodeAt(j)) % primeModulus;
-                }
-                const hashValue = murmurhash3_32_gc_single_int(polyHash, 0);
-                if (this._useSetForShingles) {
-                    shingleCollection.add(hashValue);
-                } else {
-                    shingleCollection.set(hashValue, (shingleCollection.get(hashValue) || 0) + 1);
-                }
-            }
+            // --- STATELESS PATH ---
+            this._addPathStringShingles(nodeString, node.path.length, k, this._rollingHashPower, shingleCollection, count, parentPathLength, pathCount);
         }
     }
 
     /**
-     * Builds the multiset of shingle hashes from the JSON input.
+     * Adds the windows of a string that starts with a node's path (see `_addNodeShingles`): windows within
+     * the parent's path are left to the ancestors, windows within the node's path are counted `pathCount`
+     * times and the remaining ones `count` times.
      * @private
-     * @param {object|Array} json The input JSON object or array.
-     * @returns {Map<number, number>|Set<number>} A collection of shingle hashes (Map: hash -> count, or Set: hash).
+     * @param {string} targetString The string to shingle.
+     * @param {number} pathLength Length of the node's path, a prefix of `targetString`.
+     * @param {number} k The shingle size.
+     * @param {number} power base^(k-1) % ROLLING_PRIME_MODULUS (see `_computeRollingHashPower`).
+     * @param {Map<number, number>|Set<number>} shingleCollection The collection (Map: counts, or Set) to update.
+     * @param {number} count How many times the node's own windows are counted.
+     * @param {number} parentPathLength Length of the parent's path, a prefix of the node's path, or 0.
+     * @param {number} pathCount How many times windows within the node's path are counted.
      */
-    _buildShingleMultiset(json) {
-        const csrData = this._buildCSRFromJSON(json);
-        let allShinglesCollection; 
-        if (this._useSetForShingles) {
-            allShinglesCollection = new Set(); 
-        } else {
-            allShinglesCollection = new Map(); 
+    _addPathStringShingles(targetString, pathLength, k, power, shingleCollection, count, parentPathLength, pathCount) {
+        if (targetString.length < k || (parentPathLength === 0 && pathCount === count)) {
+            this._addStringShingles(targetString, k, power, shingleCollection, count);
+            return;
         }
+        const from = Math.max(0, parentPathLength - k + 1);
+        const pathEnd = Math.max(from, pathLength - k + 1);
+        this._addStringShingles(targetString, k, power, shingleCollection, pathCount, from, pathEnd);
+        this._addStringShingles(targetString, k, power, shingleCollection, count, pathEnd);
+    }
 
-        for (const startNodeId of csrData.nodeMap.keys()) {
-            if (startNodeId >= 0 && startNodeId < (csrData.rowPtr.length - 1)) {
-                const subtreeNodeIds = this._extractSubtrees(csrData, startNodeId);
-                for (const nodeId of subtreeNodeIds) {
-                    const subtreeNode = csrData.nodeMap.get(nodeId);
-                    this._updateShingleFrequenciesForNode(subtreeNode, allShinglesCollection);
-                }
-            }
+    /**
+     * Creates an empty shingle collection: a Set (or Map of counts) per enabled component,
+     * or a single one when components are not in use.
+     * @private
+     * @param {boolean} [counting=false] Whether to count shingles in Maps even where Sets would do.
+     * @returns {Map<number, number>|Set<number>|object} The empty collection.
+     */
+    _createShingleCollection(counting = false) {
+        const useSet = this._useSetForShingles && !counting;
+        if (!this.components) {
+            return useSet ? new Set() : new Map();
         }
-        return allShinglesCollection;
+        const collection = {};
+        for (const { name } of this.components) {
+            collection[name] = useSet ? new Set() : new Map();
+        }
+        return collection;
     }
 
     /**
-     * Generates the final set of shingle hashes for a given JSON object after frequency thresholding.
-     * @param {object|Array} json The input JSON object or array.
-     * @returns {Set<number>} The final set of shingle hashes.
+     * Merges two counting collections (see `_createShingleCollection`), summing counts. The larger Map
+     * of each pair absorbs the smaller one.
+     * @private
+     * @param {Map<number, number>|object} a A counting collection; may be modified.
+     * @param {Map<number, number>|object} b A counting collection; may be modified.
+     * @returns {Map<number, number>|object} The merged collection.
      */
-    generateShingleSet(json) {
-        const allShinglesCollection = this._buildShingleMultiset(json);
-        const finalShingleHashSet = this._thresholdMultiset(allShinglesCollection);
-        return finalShingleHashSet;
+    _mergeCountingCollections(a, b) {
+        const merge = (x, y) => {
+            const [larger, smaller] = x.size >= y.size ? [x, y] : [y, x];
+            this._addCounts(larger, smaller, 1);
+            return larger;
+        };
+        if (!this.components) return merge(a, b);
+        for (const { name } of this.components) {
+            a[name] = merge(a[name], b[name]);
+        }
+        return a;
     }
 
     /**
-     * Generates the MinHash sketch for a given JSON object.
-     * @param {object|Array} json The input JSON object or array.
-     * @returns {Array<number>} The MinHash sketch (signature).
+     * Adds or subtracts the counts of one counting collection to or from another.
+     * @private
+     * @param {Map<number, number>|object} target The collection to update.
+     * @param {Map<number, number>|object} source The counts to apply.
+     * @param {number} sign 1 to add the counts, -1 to subtract them.
      */
-    generateSketch(json) {
-        const allShinglesCollection = this._buildShingleMultiset(json);
-        const finalShingleHashSet = this._thresholdMultiset(allShinglesCollection);
-
-        const signature = generateGroupedOPHSignature(
-            Array.from(finalShingleHashSet), 
-            this.numHashFunctions, 
-            this.numGroups
-        );
-        
-        return signature;
+    _addCollectionCounts(target, source, sign) {
+        if (!this.components) {
+            this._addCounts(target, source, sign);
+            return;
+        }
+        for (const { name } of this.components) {
+            this._addCounts(target[name], source[name], sign);
+        }
     }
 
     /**
-     * Compares two MinHash sketches and estimates Jaccard similarity.
-     * @param {Array<number>} sketch1 First MinHash sketch.
-     * @param {Array<number>} sketch2 Second MinHash sketch.
-     * @param {object} [estimationOptions={}] Options for Jaccard similarity estimation.
-     * @param {number} [estimationOptions.similarityThreshold] The Jaccard similarity threshold (0 to 1) for early termination.
-     *                                                       If the algorithm can confidently determine that the true similarity is
-     *                                                       above or below this threshold with an error probability less than
-     *                                                       `estimationOptions.errorTolerance`, it may return an approximate result early.
-     * @param {number} [estimationOptions.errorTolerance] The acceptable probability (0 to 1, e.g., 0.01 for 1%)
-     *                                                    of making an incorrect early termination decision.
-     * @returns {number} Estimated Jaccard similarity (0 to 1).
-     *                   If `similarityThreshold` and `errorTolerance` are provided,
-     *                   the function may return `1.0` if it determines the sets are likely similar enough
-     *                   or `0.0` if likely dissimilar enough, without computing the exact Jaccard index.
+     * Adds or subtracts counts in a Map of counts; shingles whose count drops to zero are removed.
+     * @private
+     * @param {Map<number, number>} target The counts to update.
+     * @param {Map<number, number>} source The counts to apply.
+     * @param {number} sign 1 to add the counts, -1 to subtract them.
      */
-    compareSketches(sketch1, sketch2, estimationOptions = {}) {
-        const { similarityThreshold, errorTolerance, ...otherOptions } = estimationOptions;
-        let finalEstimationOptions = { ...otherOptions }; // Pass through any other options
-
-        if (similarityThreshold !== undefined && errorTolerance !== undefined) {
-            finalEstimationOptions.similarityThreshold = similarityThreshold;
-            finalEstimationOptions.errorTolerance = errorTolerance;
-            finalEstimationOptions.numGroups = this.numGroups; // Add numGroups from the instance
+    _addCounts(target, source, sign) {
+        for (const [hash, count] of source) {
+            const total = (target.get(hash) || 0) + sign * count;
+            if (total === 0) {
+                target.delete(hash);
+            } else {
+                target.set(hash, total);
+            }
         }
-        return estimateJaccardSimilarity(sketch1, sketch2, finalEstimationOptions);
     }
 
     /**
-     * Filters the multiset of shingle hashes based on the frequency threshold.
+     * Adds a node's shingles to a collection created by `_createShingleCollection`.
      * @private
-     * @param {Map<number, number>|Set<number>} shingleCollection Map of hash -> count or Set of hashes.
-     * @returns {Set<number>} Set of hashes meeting the threshold.
+     * @param {object} node The node object (from nodeMap).
+     * @param {Map<number, number>|Set<number>|object} shingleCollection The collection to update.
+     * @param {number} [count=1] How many times the node's shingles are counted; Sets hold each shingle once regardless.
+     * @param {number} [parentPathLength=0] When the whole tree is added, every string a node contributes starts with its
+     *                                      path, which extends its parent's. Windows within the parent's path (of this length)
+     *                                      are then added once by the ancestors instead of by every descendant...
+     * @param {number} [pathCount=count] ...and windows within the node's path are counted `pathCount` times: the total
+     *                                   count of the node's subtree.
      */
-    _thresholdMultiset(shingleCollection) {
-        const thresholdedSet = new Set();
-        const threshold = this.options.frequencyThreshold;
-
-        if (this._useSetForShingles) {
-            // If _useSetForShingles is true, frequencyThreshold is 1.
-            // All elements in the Set automatically meet this threshold.
-            for (const hash of shingleCollection) { 
-                thresholdedSet.add(hash);
-            }
-        } else { 
-            for (const [hash, count] of shingleCollection.entries()) { 
-                if (count >= threshold) {
-                    thresholdedSet.add(hash);
+    _addNodeShingles(node, shingleCollection, count = 1, parentPathLength = 0, pathCount = count) {
+        if (!this.components) {
+            this._updateShingleFrequenciesForNode(node, shingleCollection, count, parentPathLength, pathCount);
+            return;
+        }
+        for (const component of this.components) {
+            const collection = shingleCollection[component.name];
+            if (component.name === 'values') {
+                const leaf = this._leafValue(node);
+                if (leaf.text !== undefined) {
+                    this._addStringShingles(leaf.text, component.shingleSize, component.rollingHashPower, collection, count);
                 }
+                if (leaf.fingerprints !== null) {
+                    this._addHashes(leaf.fingerprints, collection, count);
+                }
+                continue;
+            }
+            const componentString = this._componentString(component.name, node);
+            if (componentString === undefined) continue;
+            if (component.name === 'structure') {
+                this._addPathStringShingles(componentString, node.path.length, component.shingleSize, component.rollingHashPower, collection,
+                    count, parentPathLength, pathCount);
+            } else {
+                this._addStringShingles(componentString, component.shingleSize, component.rollingHashPower, collection, count);
             }
         }
-        return thresholdedSet;
     }
 
     /**
-     * Clears the node string shingle cache if it's enabled and has been populated.
+     * Builds the string a node contributes to one component namespace.
+     * @private
+     * @param {string} name Component name.
+     * @param {object} node The node object (from nodeMap).
+     * @returns {string|undefined} The string to shingle, or undefined if the node has no feature of this kind.
      */
-    clearNodeStringCache() {
-        if (this.options.enableNodeStringCache && this.nodeStringShingleCache) {
-            this.nodeStringShingleCache.clear();
+    _componentString(name, node) {
+        if (name === 'structure') {
+            const type = node.type ?? (node.value === null ? 'null' : typeof node.value);
+            return node.path + ':' + type;
+        }
+        if (name === 'keys') {
+            return node.key;
         }
+        return this._leafValue(node).text;
     }
+
+    /**
+     * Merges per-component collections into one, summing counts. Plain collections are returned as-is.
+     * @private
+     * @param {Map<number, number>|Set<number>|object} shingleCollection The collection.
+     * @returns {Map<number, number>|Set<number>} A single collection.
+     */
+    _flattenShingleCollection(shingleCollection) {
+        if (!this.components) return shingleCollection;
+        const merged = this._useSetForShingles ? new Set() : new Map();
+        for (const { name } of this.components) {
+            if (this._useSetForShingles) {
+                for (const hash of shingleCollection[name]) merged.add(hash);
+            } else {
+                for (const [hash, count] of shingleCollection[name]) merged.set(hash, (merged.get(hash) || 0) + count);
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * A node's leaf value after `valueNormalizers` (or just its type when `anonymize` masks it), or undefined for containers.
+     * @private
+     * @param {object} node The node object (from nodeMap).
+     * @returns {*} The canonical value.
+     */
+    _nodeValue(node) {
+        if (node.value === undefined) return undefined;
+        if (node.masked) return this._maskedValue(node.value);
+        if (this._valueNormalizer === null) return node.value;
+        return this._valueNormalizer.normalize(node.path, node.value);
+    }
+
+    /**
+     * The placeholder an anonymised value is hashed as: its JSON type, as the 'typeOnly' normalizer gives.
+     * @private
+     * @param {*} value A JSON scalar.
+     * @returns {string} The placeholder.
+     */
+    _maskedValue(value) {
+        return value === null ? '<null>' : `<${typeof value}>`;
+    }
+
+    /**
+     * The value part of a node. `text` is shingled after the node's path as usual; large values
+     * (strings longer than `stringToHashifyThreshold`, summarised arrays) instead contribute the
+     * bounded JsonRollingHasher `fingerprints`, which are memoised on the node because subtree
+     * extraction visits a node several times.
+     * @private
+     * @param {object} node The node object (from nodeMap).
+     * In shape mode `text` is the node's JSON type instead, for containers too. A labelled object's `text` is its label (see `labelKey`).
+     * @returns {{text: string|undefined, fingerprints: Array<number|bigint>|null}} The value string (undefined for unlabelled containers) and fingerprint hashes.
+     */
+    _leafValue(node) {
+        if (node.leaf !== undefined) return node.leaf;
+        if (this.options.mode === 'shape') {
+            return { text: node.label ?? node.type ?? shapeType(node.value), fingerprints: null };
+        }
+
+        if (node.elements !== undefined) {
+            const fingerprinter = this._rollingHasher.createSequenceFingerprinter(this.options.preserveArrayOrder);
+            for (var i = 0; i < node.elements.length; i++) {
+                fingerprinter.add(this._summarisedElementHash(node, node.elements[i], node.elementIndices ? node.elementIndices[i] : i));
+            }
+            node.leaf = { text: undefined, fingerprints: this._shingleHashes(fingerprinter.digest()) };
+            return node.leaf;
+        }
+
+        const value = this._nodeValue(node);
+        if (value === undefined) {
+            return { text: node.label, fingerprints: null };
+        }
+        const text = this._valueToString(value);
+        if (text.length > this.options.stringToHashifyThreshold) {
+            node.leaf = { text: '', fingerprints: this._shingleHashes(this._rollingHasher.fingerprintString(text)) };
+            return node.leaf;
+        }
+        return { text, fingerprints: null };
+    }
+
+    /**
+     * The JsonRollingHasher hash of one scalar element of a summarised array.
+     * @private
+     * @param {{path: string, masked?: boolean}} node The summarised array's node.
+     * @param {*} element The element.
+     * @param {number} index Index of the element in the array.
+     * @returns {number} The element hash.
+     */
+    _summarisedElementHash(node, element, index) {
+        const value = this._summarisedElementValue(node, element, index);
+        return this._rollingHasher.hashElement(value === undefined ? '' : this._valueToString(value));
+    }
+
+    /**
+     * An element of a summarised array after `valueNormalizers`, which see the path the element would have as a node.
+     * @private
+     * @param {{path: string, masked?: boolean}} node The summarised array's node.
+     * @param {*} element The element.
+     * @param {number} index Index of the element in the array.
+     * @returns {*} The canonical element value.
+     */
+    _summarisedElementValue(node, element, index) {
+        if (node.masked) return this._maskedValue(element);
+        if (this._valueNormalizer === null) return element;
+        const itemKey = this.options.preserveArrayOrder ? `[${index}]` : '';
+        return this._valueNormalizer.normalize(node.path === '$root' ? itemKey : `${node.path}.${itemKey}`, element);
+    }
+
+    /**
+     * Large-value fingerprint hashes as shingle hashes: widened to bigints with `hashBits: 64`, so a
+     * collection never mixes both kinds.
+     * @private
+     * @param {Array<number>} hashes Unsigned 32-bit hashes.
+     * @returns {Array<number|bigint>} The shingle hashes.
+     */
+    _shingleHashes(hashes) {
+        return this.options.hashBits === 64 ? hashes.map(hash => BigInt(hash)) : hashes;
+    }
+
+    /**
+     * Adds precomputed hashes to a shingle collection.
+     * @private
+     * @param {Array<number|bigint>} hashes The hashes.
+     * @param {Map<number, number>|Set<number>} shingleCollection The collection (Map: counts, or Set) to update.
+     * @param {number} [count=1] How many times each hash is counted in a Map.
+     */
+    _addHashes(hashes, shingleCollection, count = 1) {
+        if (shingleCollection instanceof Map) {
+            for (var i = 0; i < hashes.length; i++) {
+                shingleCollection.set(hashes[i], (shingleCollection.get(hashes[i]) || 0) + count);
+            }
+        } else {
+            for (var i = 0; i < hashes.length; i++) {
+                shingleCollection.add(hashes[i]);
+            }
+        }
+    }
+
+    /**
+     * Converts a leaf value to the string used in its node string.
+     * @private
+     * @param {*} value The leaf value.
+     * @returns {string} The value string.
+     */
+    _valueToString(value) {
+        const type = typeof value;
+        if (type === 'string') return value;
+        if (type === 'number' || type === 'boolean') return String(value);
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Rolls a k-character window over a string and adds each window's hash to the collection.
+     * Strings shorter than k contribute a single hash of the whole string.
+     * @private
+     * @param {string} targetString The string to shingle.
+     * @param {number} k The shingle size.
+     * @param {number} power base^(k-1) % ROLLING_PRIME_MODULUS (see `_computeRollingHashPower`).
+     * @param {Map<number, number>|Set<number>} shingleCollection The collection (Map: counts, or Set) to update.
+     * @param {number} [count=1] How many times each window is counted in a Map.
+     * @param {number} [from=0] Start of the first window to add (strings shorter than k need 0).
+     * @param {number} [to=Infinity] End (exclusive) of the window starts to add.
+     */
+    _addStringShingles(targetString, k, power, shingleCollection, count = 1, from = 0, to = Infinity) {
+        if (this.options.shingleMode !== 'chars') {
+            this._addHashes(this._symbolShingleHashes(targetString, k), shingleCollection, count);
+            return;
+        }
+        if (this.options.hashBits === 64) {
+            this._addHashes(this._wideWindowHashes(targetString, k, from, to), shingleCollection, count);
+            return;
+        }
+        const primeBase = this._rollingBase;
+        const primeModulus = ROLLING_PRIME_MODULUS;
+        const hash = this._hashFunction;
+        const seed = this.options.seed;
+        const counting = shingleCollection instanceof Map;
+
+        if (targetString.length >= k) {
+            const end = Math.min(to, targetString.length - k + 1);
+            if (from >= end) return;
+            let currentHash = 0;
+            for (let j = from; j < from + k; j++) {
+                currentHash = (currentHash * primeBase + targetString.charCodeAt(j)) % primeModulus;
+            }
+            const finalInitialHash = hash(currentHash, seed);
+            if (counting) {
+                shingleCollection.set(finalInitialHash, (shingleCollection.get(finalInitialHash) || 0) + count);
+            } else {
+                shingleCollection.add(finalInitialHash);
+            }
+
+            const limit = end - 1;
+            for (let i = from; i < limit; i++) {
+                const charOutCode = targetString.charCodeAt(i);
+                const charInCode = targetString.charCodeAt(i + k);
+                // All intermediate values stay below 2^53, so one reduction per step gives the same residues.
+                currentHash -= (charOutCode * power) % primeModulus;
+                if (currentHash < 0) currentHash += primeModulus;
+                currentHash = (currentHash * primeBase + charInCode) % primeModulus;
+
+                const finalRolledHash = hash(currentHash, seed);
+                if (counting) {
+                    shingleCollection.set(finalRolledHash, (shingleCollection.get(finalRolledHash) || 0) + count);
+                } else {
+                    shingleCollection.add(finalRolledHash);
+                }
+            }
+        } else if (targetString.length > 0) {
+            let polyHash = 0;
+            for (let j = 0; j < targetString.length; j++) {
+                polyHash = (polyHash * primeBase + targetString.charCodeAt(j)) % primeModulus;
+            }
+            const hashValue = hash(polyHash, seed);
+            if (counting) {
+                shingleCollection.set(hashValue, (shingleCollection.get(hashValue) || 0) + count);
+            } else {
+                shingleCollection.add(hashValue);
+            }
+        }
+    }
+
+    /**
+     * Hashes every k-character window of a string, as `_addStringShingles` does, indexed by window start.
+     * @private
+     * @param {string} targetString The string.
+     * @param {number} k The shingle size.
+     * @param {number} power base^(k-1) % ROLLING_PRIME_MODULUS (see `_computeRollingHashPower`).
+     * @returns {Array<number|bigint>|null} Window hashes (empty for strings shorter than k), or null when windows
+     *                                       are not made of characters (see `shingleMode`).
+     */
+    _stringWindowHashes(targetString, k, power) {
+        if (this.options.shingleMode !== 'chars') return null;
+        if (targetString.length < k) return [];
+        if (this.options.hashBits === 64) return this._wideWindowHashes(targetString, k);
+        const base = this._rollingBase;
+        const hash = this._hashFunction;
+        const seed = this.options.seed;
+        const windows = new Array(targetString.length - k + 1);
+        let currentHash = 0;
+        for (let j = 0; j < k; j++) {
+            currentHash = (currentHash * base + targetString.charCodeAt(j)) % ROLLING_PRIME_MODULUS;
+        }
+        windows[0] = hash(currentHash, seed);
+        for (let i = 0; i < targetString.length - k; i++) {
+            const termToRemove = (targetString.charCodeAt(i) * power) % ROLLING_PRIME_MODULUS;
+            currentHash = (currentHash - termToRemove + ROLLING_PRIME_MODULUS) % ROLLING_PRIME_MODULUS;
+            currentHash = (currentHash * base) % ROLLING_PRIME_MODULUS;
+            currentHash = (currentHash + targetString.charCodeAt(i + k)) % ROLLING_PRIME_MODULUS;
+            windows[i + 1] = hash(currentHash, seed);
+        }
+        return windows;
+    }
+
+    /**
+     * 64-bit window hashes (`hashBits: 64`): the residue of the 32-bit rolling hash and a second, independent
+     * residue modulo WIDE_ROLLING_PRIME_MODULUS are each passed through the hash function, and the two halves
+     * concatenated. Covers the same windows as `_addStringShingles`.
+     * @private
+     * @param {string} targetString The string.
+     * @param {number} k The shingle size.
+     * @param {number} [from=0] Start of the first window (strings shorter than k need 0).
+     * @param {number} [to=Infinity] End (exclusive) of the window starts.
+     * @returns {Array<bigint>} Window hashes in order, or the hash of the whole string if it is shorter than k.
+     */
+    _wideWindowHashes(targetString, k, from = 0, to = Infinity) {
+        const hashes = [];
+        const length = Math.min(k, targetString.length);
+        const end = targetString.length >= k ? Math.min(to, targetString.length - k + 1) : 1;
+        if (length === 0 || from >= end) return hashes;
+
+        const hash = this._hashFunction;
+        const seed = this.options.seed;
+        const wideSeed = this._wideHashSeed;
+        const base = this._rollingBase;
+        const wideBase = this._wideRollingBase;
+        var high = 0;
+        var low = 0;
+        for (var j = from; j < from + length; j++) {
+            high = (high * base + targetString.charCodeAt(j)) % ROLLING_PRIME_MODULUS;
+            low = (low * wideBase + targetString.charCodeAt(j)) % WIDE_ROLLING_PRIME_MODULUS;
+        }
+        hashes.push(wideHash(hash(high, seed), hash(low, wideSeed)));
+
+        const power = rollingPower(base, ROLLING_PRIME_MODULUS, k);
+        const widePower = rollingPower(wideBase, WIDE_ROLLING_PRIME_MODULUS, k);
+        for (var i = from; i < end - 1; i++) {
+            const charOutCode = targetString.charCodeAt(i);
+            const charInCode = targetString.charCodeAt(i + k);
+            high -= (charOutCode * power) % ROLLING_PRIME_MODULUS;
+            if (high < 0) high += ROLLING_PRIME_MODULUS;
+            high = (high * base + charInCode) % ROLLING_PRIME_MODULUS;
+            low -= (charOutCode * widePower) % WIDE_ROLLING_PRIME_MODULUS;
+            if (low < 0) low += WIDE_ROLLING_PRIME_MODULUS;
+            low = (low * wideBase + charInCode) % WIDE_ROLLING_PRIME_MODULUS;
+            hashes.push(wideHash(hash(high, seed), hash(low, wideSeed)));
+        }
+        return hashes;
+    }
+
+    /**
+     * Shingle hashes of a string in the modes other than 'chars': the string is split into symbols (code points
+     * or tokens, see `tokenize`) and every n-gram of `n` consecutive symbols is hashed, as a polynomial over the
+     * symbols' own rolling hashes. Code point n-grams of strings without surrogate pairs hash exactly like the
+     * character windows of 'chars'. Sequences shorter than n give a single hash of the whole sequence.
+     * @private
+     * @param {string} targetString The string.
+     * @param {number} n The n-gram size, in symbols.
+     * @returns {Array<number|bigint>} The n-gram hashes, in order.
+     */
+    _symbolShingleHashes(targetString, n) {
+        const symbols = tokenize(targetString, this.options.shingleMode);
+        const wide = this.options.hashBits === 64;
+        const hash = this._hashFunction;
+        const seed = this.options.seed;
+        const base = this._rollingBase;
+        const wideBase = this._wideRollingBase;
+
+        const high = new Array(symbols.length);
+        const low = wide ? new Array(symbols.length) : null;
+        for (var s = 0; s < symbols.length; s++) {
+            const symbol = symbols[s];
+            var symbolHigh = 0;
+            var symbolLow = 0;
+            for (var c = 0; c < symbol.length; c++) {
+                symbolHigh = (symbolHigh * base + symbol.charCodeAt(c)) % ROLLING_PRIME_MODULUS;
+                if (wide) symbolLow = (symbolLow * wideBase + symbol.charCodeAt(c)) % WIDE_ROLLING_PRIME_MODULUS;
+            }
+            high[s] = symbolHigh;
+            if (wide) low[s] = symbolLow;
+        }
+
+        const hashes = [];
+        const size = Math.min(n, symbols.length);
+        for (var i = 0; size > 0 && i + size <= symbols.length; i++) {
+            var ngramHigh = 0;
+            var ngramLow = 0;
+            for (var j = i; j < i + size; j++) {
+                ngramHigh = (ngramHigh * base + high[j]) % ROLLING_PRIME_MODULUS;
+                if (wide) ngramLow = (ngramLow * wideBase + low[j]) % WIDE_ROLLING_PRIME_MODULUS;
+            }
+            hashes.push(wide ? wideHash(hash(ngramHigh, seed), hash(ngramLow, this._wideHashSeed)) : hash(ngramHigh, seed));
+        }
+        return hashes;
+    }
+
+    /**
+     * Builds the multiset of shingle hashes from the JSON input.
+     * @private
+     * @param {object|Array} json The input JSON object or array.
+     * @param {Map<number, Set<string>>} [provenance] If given, filled with the paths of the nodes that produced each shingle hash.
+     * @param {object} [stats] If given, receives the tree's `nodeCount` and `maxDepth` (0 for a lone root).
+     * @param {{add: function(number)}} [into] In set mode without components, a collection to fill instead of a new Set.
+     * @returns {Map<number, number>|Set<number>|object} A collection of shingle hashes (Map: hash -> count, or Set: hash),
+     *                                                   or an object of such collections keyed by component name when components are enabled.
+     */
+    _buildShingleMultiset(json, provenance, stats, into) {
+        const csrData = this._buildCSRFromJSON(json);
+        const allShinglesCollection = into ?? this._createShingleCollection();
+
+        if (stats) {
+            var maxDepth = 0;
+            for (var id = 0; id < csrData.depths.length; id++) {
+                if (csrData.depths[id] > maxDepth) maxDepth = csrData.depths[id];
+            }
+            stats.nodeCount = csrData.nodeMap.size;
+            stats.maxDepth = maxDepth;
+        }
+
+        const decayWeights = this._depthDecayWeights(csrData);
+        if (this.options.relativePaths) {
+            this._addRelativePathShingles(csrData, allShinglesCollection, decayWeights, provenance);
+            return allShinglesCollection;
+        }
+
+        if (provenance) {
+            for (const node of csrData.nodeMap.values()) {
+                const nodeShingles = this._createShingleCollection();
+                this._addNodeShingles(node, nodeShingles);
+                this._recordProvenance(provenance, nodeShingles, node.path);
+            }
+        }
+
+        // Each node is shingled once and counted for every depth-limited subtree that contains it. The strings of
+        // a node's descendants all start with its path (except under the '$root' placeholder), so one bottom-up pass
+        // sums the counts of every subtree and the windows within a path are hashed once, with that count.
+        const { rowPtr, colIndices, nodeMap, depths } = csrData;
+        const counts = new Float64Array(nodeMap.size);
+        const pathCounts = new Float64Array(nodeMap.size);
+        for (var id = nodeMap.size - 1; id >= 0; id--) {
+            counts[id] = this._subtreeMultiplicity(depths[id]) * (decayWeights === null ? 1 : decayWeights[id]);
+            pathCounts[id] += counts[id];
+            for (var c = rowPtr[id]; c < rowPtr[id + 1]; c++) {
+                pathCounts[id] += pathCounts[colIndices[c]];
+            }
+        }
+        // The node string cache holds whole node strings, so it cannot share path windows, and only character
+        // windows line up with path lengths.
+        const sharePaths = !this.options.enableNodeStringCache && this.options.shingleMode === 'chars';
+        const parentPathLengths = new Int32Array(nodeMap.size);
+        for (const [id, node] of nodeMap) {
+            const sharesPath = sharePaths && node.path !== '$root';
+            this._addNodeShingles(node, allShinglesCollection, counts[id], parentPathLengths[id], sharesPath ? pathCounts[id] : counts[id]);
+            if (sharesPath) {
+                for (var c = rowPtr[id]; c < rowPtr[id + 1]; c++) {
+                    parentPathLengths[colIndices[c]] = node.path.length;
+                }
+            }
+        }
+        return allShinglesCollection;
+    }
+
+    /**
+     * Adds every node's shingles with `relativePaths`: once for each extracted subtree that contains it, with its
+     * path relative to that subtree's root. The root itself is shingled as '$root' (as in `generateSubtreeSketches`),
+     * and each descendant by the part of its path below the root.
+     * @private
+     * @param {{rowPtr: Int32Array, colIndices: Int32Array, nodeMap: Map<number, object>, depths: Int32Array}} csrData The tree.
+     * @param {Map<number, number>|Set<number>|object} shingleCollection The collection to update.
+     * @param {Float64Array|null} decayWeights Per-node `depthDecay` weights, or null.
+     * @param {Map<number, Set<string>>} [provenance] If given, filled with the paths of the nodes that produced each shingle hash.
+     */
+    _addRelativePathShingles(csrData, shingleCollection, decayWeights, provenance) {
+        const { rowPtr, colIndices, nodeMap, depths } = csrData;
+        const parents = new Int32Array(nodeMap.size);
+        for (var id = 0; id < nodeMap.size; id++) {
+            for (var c = rowPtr[id]; c < rowPtr[id + 1]; c++) {
+                parents[colIndices[c]] = id;
+            }
+        }
+
+        for (const [id, node] of nodeMap) {
+            const count = decayWeights === null ? 1 : decayWeights[id];
+            const nodeShingles = provenance ? this._createShingleCollection() : shingleCollection;
+            this._addNodeShingles({ ...node, path: '$root', key: undefined }, nodeShingles, count);
+            const enclosingRoots = Math.min(depths[id], this.options.subtreeDepth);
+            if (enclosingRoots > 0) {
+                const plan = this._nodeShinglePlan(node);
+                var rootId = id;
+                for (var j = 0; j < enclosingRoots; j++) {
+                    rootId = parents[rootId];
+                    this._addRelativeShingles(plan, rootId === 0 ? 0 : nodeMap.get(rootId).path.length + 1, nodeShingles, count);
+                }
+            }
+            if (provenance) {
+                this._recordProvenance(provenance, nodeShingles, node.path);
+                this._mergeShingleCollection(shingleCollection, nodeShingles);
+            }
+        }
+    }
+
+    /**
+     * Per-node weights for `depthDecay`: depthDecay^depth, or with `depthDecayFrom: 'leaves'` depthDecay^height,
+     * where a node's height is the length of the longest path from it down to a leaf.
+     * @private
+     * @param {{rowPtr: Int32Array, colIndices: Int32Array, depths: Int32Array}} csrData The tree.
+     * @returns {Float64Array|null} The weights by node id, or null without decay.
+     */
+    _depthDecayWeights(csrData) {
+        if (!this._depthDecayed) return null;
+        const { rowPtr, colIndices, depths } = csrData;
+        const decay = this.options.depthDecay;
+        const weights = new Float64Array(depths.length);
+        if (this.options.depthDecayFrom === 'root') {
+            for (var id = 0; id < depths.length; id++) {
+                weights[id] = decay ** depths[id];
+            }
+            return weights;
+        }
+        // Children have larger ids than their parents, so descending ids see every child's height first.
+        const heights = new Int32Array(depths.length);
+        for (var id = depths.length - 1; id >= 0; id--) {
+            for (var c = rowPtr[id]; c < rowPtr[id + 1]; c++) {
+                if (heights[colIndices[c]] + 1 > heights[id]) heights[id] = heights[colIndices[c]] + 1;
+            }
+            weights[id] = decay ** heights[id];
+        }
+        return weights;
+    }
+
+    /**
+     * Records the path of the node that produced each shingle of a collection.
+     * @private
+     * @param {Map<number, Set<string>>} provenance Paths by shingle hash.
+     * @param {Map<number, number>|Set<number>|object} nodeShingles The node's shingles.
+     * @param {string} path The node's path.
+     */
+    _recordProvenance(provenance, nodeShingles, path) {
+        for (const hash of this._flattenShingleCollection(nodeShingles).keys()) {
+            var paths = provenance.get(hash);
+            if (!paths) {
+                paths = new Set();
+                provenance.set(hash, paths);
+            }
+            paths.add(path);
+        }
+    }
+
+    /**
+     * Adds the shingles of one collection to another, summing counts.
+     * @private
+     * @param {Map<number, number>|Set<number>|object} target The collection to update.
+     * @param {Map<number, number>|Set<number>|object} source A collection of the same kind.
+     */
+    _mergeShingleCollection(target, source) {
+        const pairs = this.components ? this.components.map(({ name }) => [target[name], source[name]]) : [[target, source]];
+        for (const [into, from] of pairs) {
+            if (into instanceof Map) {
+                for (const [hash, count] of from) into.set(hash, (into.get(hash) || 0) + count);
+            } else {
+                for (const hash of from) into.add(hash);
+            }
+        }
+    }
+
+    /**
+     * Generates the final set of shingle hashes for a given JSON object after frequency thresholding.
+     * @param {object|Array} json The input JSON object or array.
+     * @returns {Set<number>} The final set of shingle hashes.
+     */
+    generateShingleSet(json) {
+        const allShinglesCollection = this._flattenShingleCollection(this._buildShingleMultiset(json));
+        const finalShingleHashSet = this._thresholdMultiset(allShinglesCollection);
+        return finalShingleHashSet;
+    }
+
+    /**
+     * Generates the MinHash sketch for a given JSON object.
+     * @param {object|Array} json The input JSON object or array.
+     * @param {object} [sketchOptions={}] Options.
+     * @param {boolean} [sketchOptions.withCardinality=false] Return `{fingerprint, sketch, cardinality}` instead of the bare sketch,
+     *                                                       where `cardinality` is the size of the sketched set (the total weight in
+     *                                                       the weighted modes), or an array of sizes in component order with components
+     *                                                       enabled. `compareSketches` needs it for the containment and overlap metrics.
+     * @param {boolean} [sketchOptions.withStats=false] Like `withCardinality`, and also report the number of tree nodes after
+     *                                                 filtering, the tree depth (0 for a lone root) and the number of distinct
+     *                                                 shingles before frequency thresholding and weighting (summed over components).
+     * @param {boolean} [sketchOptions.mergeable=false] Like `withCardinality`, and also keep `numGroups` and the `basis` of every
+     *                                                 component's signature (see lib/signature-basis.js), at most one element per bin,
+     *                                                 so that `mergeSketches` is exact even when bins were empty.
+     * @returns {Array<number>|{fingerprint: number, sketch: Array<number>, cardinality: number|Array<number>, nodeCount?: number, maxDepth?: number, shingleCount?: number, numGroups?: number, basis?: Array<Array<number>>}}
+     *          The MinHash sketch (signature), or the sketch with its cardinality, stats and basis.
+     */
+    generateSketch(json, sketchOptions = {}) {
+        const withStats = sketchOptions.withStats ?? false;
+        if (!withStats && !sketchOptions.withCardinality && !sketchOptions.mergeable) {
+            if (this._useSetForShingles && !this.components) {
+                return this._sketchShingleList(json);
+            }
+            return this._sketchFromShingleCollection(this._buildShingleMultiset(json));
+        }
+        const stats = withStats ? {} : undefined;
+        const allShinglesCollection = this._buildShingleMultiset(json, undefined, stats);
+        const cardinalities = [];
+        const bases = sketchOptions.mergeable ? [] : undefined;
+        const sketch = this._sketchFromShingleCollection(allShinglesCollection, cardinalities, bases);
+        const result = { fingerprint: this.fingerprint, sketch, cardinality: this.components ? cardinalities : cardinalities[0] };
+        if (bases) {
+            result.numGroups = this.numGroups;
+            result.basis = bases;
+        }
+        if (withStats) {
+            result.nodeCount = stats.nodeCount;
+            result.maxDepth = stats.maxDepth;
+            result.shingleCount = this.components
+                ? this.components.reduce((sum, { name }) => sum + allShinglesCollection[name].size, 0)
+                : allShinglesCollection.size;
+        }
+        return result;
+    }
+
+    /**
+     * Sketches a document in plain set mode. Its shingle hashes go to Grouped-OPH as a list, repeats
+     * included: a bin keeps the minimum hash of its elements, which repeats do not change, so the list has
+     * the signature of the set without the cost of deduplicating it.
+     * @private
+     * @param {object|Array} json The input JSON object or array.
+     * @returns {Array<number>} The Grouped-OPH signature.
+     */
+    _sketchShingleList(json) {
+        const hashes = [];
+        const fold = this.options.hashBits === 64;
+        this._buildShingleMultiset(json, undefined, undefined, {
+            add(hash) {
+                hashes.push(fold ? foldHash(hash) : hash);
+            }
+        });
+        return generateGroupedOPHSignature(hashes, this.numHashFunctions, this.numGroups);
+    }
+
+    /**
+     * Hashes the canonical shape of a document: its keys and JSON types, with array elements reduced to
+     * their distinct shapes, so two documents with the same schema have the same hash whatever their values,
+     * array lengths and key order. Unlike sketches it is exact, for equality checks. `ignoreKeys`,
+     * `ignorePaths` and `includePaths` apply; the other options do not matter.
+     * @param {*} json The JSON value.
+     * @returns {string} Hex SHA-256 digest of the canonical shape.
+     */
+    shapeHash(json) {
+        return shapeDigest(canonicalShape(this._buildCSRFromJSON(json), this.labelKey).string);
+    }
+
+    /**
+     * Computes an exact content digest for every node of a document: a Merkle-style hash of the node's value
+     * and its children's digests, with object members combined in key order and array elements in index order
+     * (or as a multiset with `preserveArrayOrder: false`). Equal subtrees get equal digests wherever they
+     * appear, whatever their key or path. `ignoreKeys`, `ignorePaths`, `includePaths` and `valueNormalizers` apply.
+     * @param {*} json The JSON value.
+     * @returns {Array<{path: string, digest: string, nodeCount: number}>} One entry per node, parents before their children:
+     *          the node path, a 128-bit hex digest and the number of nodes in the subtree.
+     */
+    subtreeDigests(json) {
+        const { nodeMap, digests, sizes } = this._digestTree(json);
+        const results = new Array(nodeMap.size);
+        for (var id = 0; id < nodeMap.size; id++) {
+            results[id] = { path: nodeMap.get(id).path, digest: digests[id], nodeCount: sizes[id] };
+        }
+        return results;
+    }
+
+    /**
+     * Finds subtrees that occur more than once, within or across documents. Subtrees that only repeat as part
+     * of a larger repeated subtree are not reported separately.
+     * @param {Iterable<*>} jsonList The documents.
+     * @param {object} [duplicateOptions={}] Options.
+     * @param {number} [duplicateOptions.minNodes=2] Smallest subtree (in nodes) to report; the default skips lone leaves.
+     * @returns {Array<{digest: string, nodeCount: number, occurrences: Array<{document: number, path: string}>}>} Groups of
+     *          identical subtrees, largest first, with the index of the document and the path of every occurrence.
+     */
+    findDuplicateSubtrees(jsonList, duplicateOptions = {}) {
+        const trees = Array.from(jsonList, json => this._digestTree(json));
+        return groupDuplicateSubtrees(trees, duplicateOptions.minNodes ?? 2);
+    }
+
+    /**
+     * Builds a document's tree with the digest, size and parent of every node.
+     * @private
+     * @param {*} json The JSON value.
+     * @returns {{nodeMap: Map<number, object>, parents: Array<number>, digests: Array<string>, sizes: Array<number>}} The tree.
+     */
+    _digestTree(json) {
+        const { rowPtr, colIndices, nodeMap } = this._buildCSRFromJSON(json);
+        const childrenOf = id => Array.from(colIndices.subarray(rowPtr[id], rowPtr[id + 1]));
+        const digests = subtreeDigests(nodeMap, childrenOf, node => this._nodeContent(node), this.options.preserveArrayOrder);
+
+        // Children are created after their parent: descending ids see children first.
+        const parents = new Array(nodeMap.size).fill(-1);
+        const sizes = new Array(nodeMap.size).fill(1);
+        for (var id = nodeMap.size - 1; id >= 0; id--) {
+            for (var c = rowPtr[id]; c < rowPtr[id + 1]; c++) {
+                parents[colIndices[c]] = id;
+                sizes[id] += sizes[colIndices[c]];
+            }
+        }
+        return { nodeMap, parents, digests, sizes };
+    }
+
+    /**
+     * Generates a sketch for every qualifying subtree of a document in one pass, for localized search
+     * (e.g. finding the function bodies of an AST that resemble a snippet).
+     * Each sketch equals `generateSketch` of the subtree's value on its own: node paths are taken relative
+     * to the subtree root. Subtrees are sketched bottom-up: each node's shingle counts are built from its
+     * children's, adjusted for the longer relative paths, so the work per node does not grow with its height
+     * (except in the symbol shingle modes, see `shingleMode`). The nodes are those of the whole document's tree, so
+     * `ignorePaths` / `includePaths` stay anchored at the document root, and custom `valueNormalizers` see
+     * absolute paths.
+     * @param {object|Array} json The input JSON object or array.
+     * @param {object} [subtreeOptions={}] Options.
+     * @param {number} [subtreeOptions.minNodes=2] Minimum number of nodes in a subtree (its root included).
+     * @param {Array<string>} [subtreeOptions.paths] Path patterns (as for `ignorePaths`) that subtree roots must match.
+     * @returns {Array<{path: string, nodeCount: number, sketch: Array<number>}>} One entry per subtree, parents before their children.
+     *          `path` is the node path (`$root` for the whole document); with `preserveArrayOrder: false` array siblings share a path.
+     * @throws {Error} With `relativePaths` or `depthDecay`, which weigh a node by its place in the whole tree.
+     */
+    generateSubtreeSketches(json, subtreeOptions = {}) {
+        if (this.options.relativePaths || this._depthDecayed) {
+            throw new Error('relativePaths and depthDecay weigh nodes by their place in the whole tree and cannot be used with generateSubtreeSketches');
+        }
+        const minNodes = subtreeOptions.minNodes ?? 2;
+        const rootMatcher = subtreeOptions.paths ? new PathMatcher(subtreeOptions.paths) : null;
+        const { rowPtr, colIndices, nodeMap } = this._buildCSRFromJSON(json);
+        const numNodes = nodeMap.size;
+
+        // Children are created after their parent: descending ids see children first, ascending ids parents first.
+        const subtreeSizes = new Array(numNodes).fill(1);
+        for (var id = numNodes - 1; id >= 0; id--) {
+            for (var c = rowPtr[id]; c < rowPtr[id + 1]; c++) {
+                subtreeSizes[id] += subtreeSizes[colIndices[c]];
+            }
+        }
+        var matcherStates = null;
+        if (rootMatcher) {
+            matcherStates = new Array(numNodes);
+            matcherStates[0] = rootMatcher.initial();
+            for (var id = 0; id < numNodes; id++) {
+                for (var c = rowPtr[id]; c < rowPtr[id + 1]; c++) {
+                    const child = colIndices[c];
+                    matcherStates[child] = rootMatcher.step(matcherStates[id], nodeMap.get(child).segment);
+                }
+            }
+        }
+
+        const roots = new Array(numNodes);
+        for (var id = 0; id < numNodes; id++) {
+            roots[id] = subtreeSizes[id] >= minNodes && (matcherStates === null || rootMatcher.matches(matcherStates[id]));
+        }
+        const sketches = this.options.shingleMode === 'chars'
+            ? this._subtreeSketchesBottomUp(rowPtr, colIndices, nodeMap, roots)
+            : this._subtreeSketchesPerRoot(rowPtr, colIndices, nodeMap, roots);
+        const results = [];
+        for (var id = 0; id < numNodes; id++) {
+            if (roots[id]) {
+                results.push({ path: nodeMap.get(id).path, nodeCount: subtreeSizes[id], sketch: sketches[id] });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Sketches subtrees bottom-up, reusing each child's shingle counts in its parent's. Seen from a parent
+     * instead of a child, a descendant's shingles gain the windows that start in the child's path segment
+     * (and its separator), and the descendants less than `subtreeDepth` levels below the child gain one
+     * count. The new windows only depend on the segment and the first k characters of the descendant's
+     * string after it (its head), so every child also keeps how many counts each head carries, and its
+     * counts are adjusted per head rather than per descendant. Short strings, shingled whole, move from
+     * the shorter head's hash to the longer one's.
+     * @private
+     * @param {Int32Array} rowPtr CSR row pointers.
+     * @param {Int32Array} colIndices CSR column indices.
+     * @param {Map<number, object>} nodeMap The nodes by id; children are created after their parent.
+     * @param {Array<boolean>} roots Which nodes to sketch.
+     * @returns {Array<Array<number>>} The sketches, by node id.
+     */
+    _subtreeSketchesBottomUp(rowPtr, colIndices, nodeMap, roots) {
+        const numNodes = nodeMap.size;
+        // Sets count every shingle once: with no depth below which counts grow, counts stay those of a set.
+        const subtreeDepth = this._useSetForShingles ? 0 : this.options.subtreeDepth;
+        const plans = new Array(numNodes);
+        const planOf = id => plans[id] ?? (plans[id] = this._nodeShinglePlan(nodeMap.get(id)));
+        const counts = new Array(numNodes);
+        const heads = new Array(numNodes);
+        const sketches = new Array(numNodes);
+        for (var id = numNodes - 1; id >= 0; id--) {
+            const node = nodeMap.get(id);
+            const offset = id === 0 ? 0 : node.path.length + 1;
+            var collection = null;
+            const nodeHeads = [];
+            for (var c = rowPtr[id]; c < rowPtr[id + 1]; c++) {
+                const child = colIndices[c];
+                const childPlan = planOf(child);
+                const childOffset = nodeMap.get(child).path.length + 1;
+                const segment = nodeMap.get(child).path.slice(offset) + '.';
+                collection = collection === null ? counts[child] : this._mergeCountingCollections(collection, counts[child]);
+
+                // Descendants less than subtreeDepth levels below the child count once more.
+                const stack = [];
+                for (var g = rowPtr[child]; g < rowPtr[child + 1]; g++) {
+                    stack.push(colIndices[g], 1);
+                }
+                while (stack.length > 0) {
+                    const depth = stack.pop();
+                    const nodeId = stack.pop();
+                    if (depth >= subtreeDepth) continue;
+                    this._addRelativeShingles(planOf(nodeId), childOffset, collection);
+                    if (depth + 1 < subtreeDepth) {
+                        this._addPlanHeads(planOf(nodeId), offset, nodeHeads, 1);
+                    }
+                    for (var g = rowPtr[nodeId]; g < rowPtr[nodeId + 1]; g++) {
+                        stack.push(colIndices[g], depth + 1);
+                    }
+                }
+
+                // Windows starting in the child's segment, per head.
+                for (var p = 0; p < childPlan.length; p++) {
+                    if (heads[child][p] === undefined) continue;
+                    const { name, k, power } = childPlan[p];
+                    const partCollection = name === null ? collection : collection[name];
+                    for (const [head, weight] of heads[child][p]) {
+                        const extended = segment + head;
+                        if (head.length === k) {
+                            this._addStringShingles(extended, k, power, partCollection, weight, 0, segment.length);
+                        } else {
+                            this._addStringShingles(extended, k, power, partCollection, weight);
+                            const shortHash = new Map();
+                            this._addStringShingles(head, k, power, shortHash, weight);
+                            this._addCounts(partCollection, shortHash, -1);
+                        }
+                        nodeHeads[p] ??= new Map();
+                        const newHead = extended.slice(0, k);
+                        nodeHeads[p].set(newHead, (nodeHeads[p].get(newHead) || 0) + weight);
+                    }
+                }
+                counts[child] = undefined;
+                heads[child] = undefined;
+
+                this._addRelativeShingles(childPlan, offset, collection, Math.min(1, subtreeDepth) + 1);
+                this._addPlanHeads(childPlan, offset, nodeHeads, Math.min(2, subtreeDepth) + 1);
+            }
+            if (collection === null) {
+                collection = this._createShingleCollection(true);
+            }
+
+            if (roots[id]) {
+                const rootShingles = this._createShingleCollection(true);
+                this._addNodeShingles({ ...node, path: '$root', key: undefined }, rootShingles);
+                this._addCollectionCounts(collection, rootShingles, 1);
+                sketches[id] = this._sketchFromShingleCollection(collection);
+                this._addCollectionCounts(collection, rootShingles, -1);
+            }
+            counts[id] = collection;
+            heads[id] = nodeHeads;
+        }
+        return sketches;
+    }
+
+    /**
+     * Counts the heads of a node's path-dependent strings, as seen from a subtree root: their first k
+     * characters after the root's path (fewer if the string ends sooner, none for the empty paths of unordered
+     * array elements). See `_subtreeSketchesBottomUp`.
+     * @private
+     * @param {Array<object>} plan The node's plan from `_nodeShinglePlan`.
+     * @param {number} offset Length of the subtree root's path plus its separator (0 for the document root).
+     * @param {Array<Map<string, number>>} heads Head counts per plan part; updated in place.
+     * @param {number} count How many counts the node's shingles carry.
+     */
+    _addPlanHeads(plan, offset, heads, count) {
+        for (var p = 0; p < plan.length; p++) {
+            if (plan[p].string === undefined) continue;
+            const head = plan[p].string.slice(offset, offset + plan[p].k);
+            heads[p] ??= new Map();
+            heads[p].set(head, (heads[p].get(head) || 0) + count);
+        }
+    }
+
+    /**
+     * Sketches subtrees one root at a time, walking each subtree. Used when shingles are not made of
+     * characters (see `shingleMode`), since symbols are only known once the relative path is split.
+     * @private
+     * @param {Int32Array} rowPtr CSR row pointers.
+     * @param {Int32Array} colIndices CSR column indices.
+     * @param {Map<number, object>} nodeMap The nodes by id.
+     * @param {Array<boolean>} roots Which nodes to sketch.
+     * @returns {Array<Array<number>>} The sketches, by node id.
+     */
+    _subtreeSketchesPerRoot(rowPtr, colIndices, nodeMap, roots) {
+        const numNodes = nodeMap.size;
+        const plans = new Array(numNodes);
+        const subtreeDepth = this.options.subtreeDepth;
+        const sketches = new Array(numNodes);
+        for (var rootId = 0; rootId < numNodes; rootId++) {
+            if (!roots[rootId]) continue;
+
+            const root = nodeMap.get(rootId);
+            const offset = rootId === 0 ? 0 : root.path.length + 1;
+            const shingleCollection = this._createShingleCollection();
+            this._addNodeShingles({ ...root, path: '$root', key: undefined }, shingleCollection);
+
+            const stack = [];
+            for (var c = rowPtr[rootId]; c < rowPtr[rootId + 1]; c++) {
+                stack.push(colIndices[c], 1);
+            }
+            while (stack.length > 0) {
+                const depth = stack.pop();
+                const nodeId = stack.pop();
+                if (plans[nodeId] === undefined) {
+                    plans[nodeId] = this._nodeShinglePlan(nodeMap.get(nodeId));
+                }
+                const multiplicity = this._useSetForShingles ? 1 : Math.min(depth, subtreeDepth) + 1;
+                for (var m = 0; m < multiplicity; m++) {
+                    this._addRelativeShingles(plans[nodeId], offset, shingleCollection);
+                }
+                for (var c = rowPtr[nodeId]; c < rowPtr[nodeId + 1]; c++) {
+                    stack.push(colIndices[c], depth + 1);
+                }
+            }
+
+            sketches[rootId] = this._sketchFromShingleCollection(shingleCollection);
+        }
+        return sketches;
+    }
+
+    /**
+     * Precomputes what a node contributes to the collections: per target collection, the hash of every
+     * k-character window of its path-dependent string (node string, or structure string for components)
+     * and the counts of its path-independent hashes (keys, values, large-value fingerprints).
+     * @private
+     * @param {object} node The node object (from nodeMap).
+     * @returns {Array<{name: string|null, string: string|undefined, windows: Array<number>|null, k: number, power: number, fixed: Map<number, number>}>} The plan.
+     */
+    _nodeShinglePlan(node) {
+        const leaf = this._leafValue(node);
+        if (!this.components) {
+            const string = leaf.text !== undefined ? node.path + ':' + leaf.text : node.path;
+            const fixed = new Map();
+            if (leaf.fingerprints !== null) this._addHashes(leaf.fingerprints, fixed);
+            return [{ name: null, string, windows: this._stringWindowHashes(string, this.options.shingleSize, this._rollingHashPower), k: this.options.shingleSize, power: this._rollingHashPower, fixed }];
+        }
+
+        const plan = [];
+        for (const { name, shingleSize, rollingHashPower } of this.components) {
+            const fixed = new Map();
+            const string = name === 'structure' ? this._componentString(name, node) : undefined;
+            if (name === 'keys') {
+                if (node.key !== undefined) this._addStringShingles(node.key, shingleSize, rollingHashPower, fixed);
+            } else if (name === 'values') {
+                if (leaf.text !== undefined) this._addStringShingles(leaf.text, shingleSize, rollingHashPower, fixed);
+                if (leaf.fingerprints !== null) this._addHashes(leaf.fingerprints, fixed);
+            }
+            const windows = string !== undefined ? this._stringWindowHashes(string, shingleSize, rollingHashPower) : [];
+            plan.push({ name, string, windows, k: shingleSize, power: rollingHashPower, fixed });
+        }
+        return plan;
+    }
+
+    /**
+     * Adds a node's shingles, as seen from a subtree root whose children's paths start at `offset`
+     * in the node's path: the windows starting at or after `offset`, which are exactly the windows
+     * of the relative path's string, plus the path-independent hashes. Without character windows
+     * (see `shingleMode`) the relative path's string is shingled itself.
+     * @private
+     * @param {Array<object>} plan The node's plan from `_nodeShinglePlan`.
+     * @param {number} offset Length of the subtree root's path plus its separator (0 for the document root).
+     * @param {Map<number, number>|Set<number>|object} shingleCollection The collection to update.
+     * @param {number} [count=1] How many times the shingles are counted in a Map.
+     */
+    _addRelativeShingles(plan, offset, shingleCollection, count = 1) {
+        for (const part of plan) {
+            const collection = part.name === null ? shingleCollection : shingleCollection[part.name];
+            const counting = collection instanceof Map;
+            if (part.string !== undefined) {
+                const remaining = part.string.length - offset;
+                if (part.windows !== null && remaining >= part.k) {
+                    for (var w = offset; w < part.windows.length; w++) {
+                        const hash = part.windows[w];
+                        if (counting) {
+                            collection.set(hash, (collection.get(hash) || 0) + count);
+                        } else {
+                            collection.add(hash);
+                        }
+                    }
+                } else if (remaining > 0) {
+                    this._addStringShingles(part.string.slice(offset), part.k, part.power, collection, count);
+                }
+            }
+            for (const [hash, fixedCount] of part.fixed) {
+                if (counting) {
+                    collection.set(hash, (collection.get(hash) || 0) + fixedCount * count);
+                } else {
+                    collection.add(hash);
+                }
+            }
+        }
+    }
+
+    /**
+     * Builds the sketch of a shingle collection: one signature, or with components enabled
+     * the concatenation of one signature per component.
+     * @private
+     * @param {Map<number, number>|Set<number>|object} shingleCollection A collection created by `_createShingleCollection`.
+     * @param {Array<number>} [cardinalities] If given, receives the size of each sketched set, in component order.
+     * @param {Array<Array<number>>} [bases] If given, receives the basis of each signature, in component order.
+     * @returns {Array<number>} The MinHash sketch (signature).
+     */
+    _sketchFromShingleCollection(shingleCollection, cardinalities, bases) {
+        if (!this.components) {
+            return this._signatureForCollection(shingleCollection, cardinalities, bases);
+        }
+        const sketch = [];
+        for (const { name } of this.components) {
+            const signature = this._signatureForCollection(shingleCollection[name], cardinalities, bases);
+            for (var i = 0; i < signature.length; i++) {
+                sketch.push(signature[i]);
+            }
+        }
+        return sketch;
+    }
+
+    /**
+     * Thresholds (or weights) a single shingle collection and runs Grouped-OPH over the result.
+     * @private
+     * @param {Map<number, number>|Set<number>} shingleCollection Map of hash -> count or Set of hashes.
+     * @param {Array<number>} [cardinalities] If given, receives the number of sketched elements.
+     * @param {Array<Array<number>>} [bases] If given, receives the basis of the signature (see lib/signature-basis.js).
+     * @returns {Array<number>} The Grouped-OPH signature.
+     */
+    _signatureForCollection(shingleCollection, cardinalities, bases) {
+        var elements;
+        if (this.options.weighting === 'none') {
+            const shingles = this._thresholdMultiset(shingleCollection);
+            elements = this.options.hashBits === 64 ? Array.from(shingles, foldHash) : Array.from(shingles);
+        } else {
+            elements = expandWeightedMultiset(this._weightMultiset(shingleCollection));
+        }
+        if (cardinalities) {
+            cardinalities.push(elements.length);
+        }
+
+        const signature = generateGroupedOPHSignature(
+            elements, 
+            this.numHashFunctions, 
+            this.numGroups
+        );
+        if (bases) {
+            bases.push(signatureBasis(elements, subset => generateGroupedOPHSignature(subset, this.numHashFunctions, this.numGroups), this.numHashFunctions));
+        }
+        return signature;
+    }
+
+    /**
+     * Generates the weighted shingle collection for a given JSON object, as sketched in the weighted modes.
+     * With `weighting: 'none'` every shingle meeting the frequency threshold has weight 1.
+     * @param {object|Array} json The input JSON object or array.
+     * @returns {Map<number, number>} Map of shingle hash -> positive integer weight.
+     */
+    generateWeightedShingles(json) {
+        const allShinglesCollection = this._flattenShingleCollection(this._buildShingleMultiset(json));
+        if (this.options.weighting === 'none') {
+            const weights = new Map();
+            for (const hash of this._thresholdMultiset(allShinglesCollection)) {
+                weights.set(hash, 1);
+            }
+            return weights;
+        }
+        return this._weightMultiset(allShinglesCollection);
+    }
+
+    /**
+     * Computes the exact weighted Jaccard similarity of two JSON objects under this hasher's weighting.
+     * This is the quantity estimated by `compareSketches` for sketches built in the weighted modes.
+     * @param {object|Array} json1 First JSON object or array.
+     * @param {object|Array} json2 Second JSON object or array.
+     * @returns {number} Weighted Jaccard similarity (0 to 1).
+     */
+    weightedSimilarity(json1, json2) {
+        return weightedJaccardSimilarity(this.generateWeightedShingles(json1), this.generateWeightedShingles(json2));
+    }
+
+    /**
+     * Computes an exact similarity of two JSON objects, to confirm candidates found with sketches.
+     * - 'jaccard': the exact Jaccard similarity of the shingle sets that `compareSketches` estimates
+     *   (weighted under `weighting`, and the weighted average over components when they are enabled).
+     * - 'treeEditDistance': `1 - distance / max(|A|, |B|)`, clamped to 0, where `distance` is the
+     *   unit-cost tree edit distance (see `treeEditDistance`).
+     * @param {object|Array} json1 First JSON object or array.
+     * @param {object|Array} json2 Second JSON object or array.
+     * @param {object} [similarityOptions={}] Options.
+     * @param {'jaccard'|'treeEditDistance'} [similarityOptions.metric='jaccard'] The metric.
+     * @param {number} [similarityOptions.maxNodes=2000] For 'treeEditDistance', the largest tree (in nodes) to compare.
+     * @returns {number} Similarity (0 to 1).
+     * @throws {Error} If the metric is unknown or a tree exceeds `maxNodes`.
+     */
+    exactSimilarity(json1, json2, similarityOptions = {}) {
+        const metric = similarityOptions.metric ?? 'jaccard';
+        if (metric === 'treeEditDistance') {
+            const { distance, sizeA, sizeB } = this._treeEditDistance(json1, json2, similarityOptions.maxNodes);
+            return Math.max(0, 1 - distance / Math.max(sizeA, sizeB));
+        }
+        if (metric !== 'jaccard') {
+            throw new Error(`Unknown metric: ${metric}. Expected 'jaccard' or 'treeEditDistance'`);
+        }
+
+        const collection1 = this._buildShingleMultiset(json1);
+        const collection2 = this._buildShingleMultiset(json2);
+        if (!this.components) {
+            return weightedJaccardSimilarity(this._collectionWeights(collection1), this._collectionWeights(collection2));
+        }
+        var weightedSum = 0;
+        var totalWeight = 0;
+        for (const { name, weight } of this.components) {
+            weightedSum += weight * weightedJaccardSimilarity(this._collectionWeights(collection1[name]), this._collectionWeights(collection2[name]));
+            totalWeight += weight;
+        }
+        return weightedSum / totalWeight;
+    }
+
+    /**
+     * Computes the unit-cost tree edit distance (Zhang-Shasha) between two JSON documents: the minimum number
+     * of node insertions, deletions and relabelings turning one into the other. Both are converted to the same
+     * trees that are shingled, so `ignoreKeys`, path filters, normalizers and large-value summaries apply.
+     * A node's label is its object key plus its JSON type or (normalised) leaf value. Object members are compared
+     * in key order, and with `preserveArrayOrder: false` array elements are compared in a canonical order.
+     * Time and memory grow with the product of the tree sizes, so trees are limited to `maxNodes` nodes.
+     * @param {object|Array} json1 First JSON object or array.
+     * @param {object|Array} json2 Second JSON object or array.
+     * @param {object} [distanceOptions={}] Options.
+     * @param {number} [distanceOptions.maxNodes=2000] The largest tree (in nodes) to compare.
+     * @returns {number} The edit distance.
+     * @throws {Error} If a tree exceeds `maxNodes`.
+     */
+    treeEditDistance(json1, json2, distanceOptions = {}) {
+        return this._treeEditDistance(json1, json2, distanceOptions.maxNodes).distance;
+    }
+
+    /**
+     * Computes the tree edit distance and the sizes of both trees.
+     * @private
+     * @param {object|Array} json1 First JSON object or array.
+     * @param {object|Array} json2 Second JSON object or array.
+     * @param {number} [maxNodes=2000] The largest tree (in nodes) to compare.
+     * @returns {{distance: number, sizeA: number, sizeB: number}} The distance and tree sizes.
+     */
+    _treeEditDistance(json1, json2, maxNodes = 2000) {
+        const treeA = this._editTree(json1, maxNodes);
+        const treeB = this._editTree(json2, maxNodes);
+        return { distance: treeEditDistance(treeA, treeB), sizeA: treeA.labels.length, sizeB: treeB.labels.length };
+    }
+
+    /**
+     * Builds the postorder labelled tree of a document for `treeEditDistance`.
+     * @private
+     * @param {object|Array} json The JSON object or array.
+     * @param {number} maxNodes The largest tree (in nodes) allowed.
+     * @returns {{labels: Array<string>, leftmost: Array<number>}} The postorder tree.
+     */
+    _editTree(json, maxNodes) {
+        const { rowPtr, colIndices, nodeMap } = this._buildCSRFromJSON(json);
+        if (nodeMap.size > maxNodes) {
+            throw new Error(`Tree edit distance is limited to ${maxNodes} nodes per document (got ${nodeMap.size}); raise maxNodes to allow it`);
+        }
+
+        const labels = new Array(nodeMap.size);
+        for (const [id, node] of nodeMap) {
+            labels[id] = this._nodeLabel(node);
+        }
+
+        // Children are created after their parent, so descending ids visit every child before its parent.
+        const children = new Array(nodeMap.size);
+        const canonicalHashes = this.options.preserveArrayOrder ? null : new Array(nodeMap.size);
+        for (var id = nodeMap.size - 1; id >= 0; id--) {
+            const childIds = Array.from(colIndices.subarray(rowPtr[id], rowPtr[id + 1]));
+            if (nodeMap.get(id).type === 'object') {
+                childIds.sort((a, b) => (nodeMap.get(a).key < nodeMap.get(b).key ? -1 : nodeMap.get(a).key > nodeMap.get(b).key ? 1 : 0));
+            } else if (canonicalHashes !== null && nodeMap.get(id).type === 'array') {
+                childIds.sort((a, b) => canonicalHashes[a] - canonicalHashes[b]);
+            }
+            children[id] = childIds;
+            if (canonicalHashes !== null) {
+                canonicalHashes[id] = fnv1a32(labels[id] + '(' + childIds.map(child => canonicalHashes[child]).join(',') + ')');
+            }
+        }
+
+        return postorderTree(0, id => children[id], id => labels[id]);
+    }
+
+    /**
+     * A node's own content, independent of its path and children: its object key and its value
+     * (or type for containers, fingerprints for large values).
+     * @private
+     * @param {object} node The node object (from nodeMap).
+     * @returns {string} The label.
+     */
+    _nodeLabel(node) {
+        const leaf = this._leafValue(node);
+        var content;
+        if (leaf.fingerprints !== null) {
+            content = (node.type ?? 'string') + '#' + leaf.fingerprints.join(',');
+        } else {
+            content = leaf.text !== undefined ? ':' + leaf.text : node.type ?? '';
+        }
+        return (node.key ?? '') + '\u0000' + content;
+    }
+
+    /**
+     * A node's exact own content for subtree digests: its JSON type and canonical value (after
+     * `valueNormalizers`; just the type in shape mode) or label, without its key.
+     * @private
+     * @param {object} node The node object (from nodeMap).
+     * @returns {string} The content string.
+     */
+    _nodeContent(node) {
+        if (node.label !== undefined) {
+            return node.type + '<' + node.label + '>';
+        }
+        if (this.options.mode === 'shape') {
+            return node.type ?? shapeType(node.value);
+        }
+        if (node.elements !== undefined) {
+            const elements = [];
+            for (var i = 0; i < node.elements.length; i++) {
+                const value = this._summarisedElementValue(node, node.elements[i], node.elementIndices ? node.elementIndices[i] : i);
+                elements.push(shapeType(value) + ':' + JSON.stringify(value === undefined ? '' : this._valueToString(value)));
+            }
+            if (!this.options.preserveArrayOrder) elements.sort();
+            return 'array[' + elements.join(',') + ']';
+        }
+        if (node.type !== undefined) {
+            return node.type;
+        }
+        const value = this._nodeValue(node);
+        return shapeType(value) + ':' + (value === undefined ? '' : this._valueToString(value));
+    }
+
+    /**
+     * Converts one shingle collection into the weights its signature is built from: 1 per thresholded
+     * shingle with `weighting: 'none'`, otherwise the multiset weights.
+     * @private
+     * @param {Map<number, number>|Set<number>} shingleCollection Map of hash -> count or Set of hashes.
+     * @returns {Map<number, number>} Map of shingle hash -> weight.
+     */
+    _collectionWeights(shingleCollection) {
+        if (this.options.weighting !== 'none') {
+            return this._weightMultiset(shingleCollection);
+        }
+        const weights = new Map();
+        for (const hash of this._thresholdMultiset(shingleCollection)) {
+            weights.set(hash, 1);
+        }
+        return weights;
+    }
+
+    /**
+     * Explains which parts of two JSON documents drive their similarity. Every shingle is traced back to the
+     * node paths that produced it; paths are ranked by their share of the shingle union, so the contributions
+     * in `shared` sum to the exact Jaccard similarity and those in `onlyInA`/`onlyInB` sum to its complement.
+     * @param {object|Array} json1 First JSON object or array.
+     * @param {object|Array} json2 Second JSON object or array.
+     * @param {object} [explainOptions={}] Options.
+     * @param {number} [explainOptions.limit=Infinity] Maximum number of entries in each ranked list.
+     * @returns {{exactJaccard: number, estimatedJaccard: number, sharedShingles: number, totalShingles: number,
+     *            shared: Array<{path: string, shingles: number, contribution: number}>,
+     *            onlyInA: Array<{path: string, shingles: number, contribution: number}>,
+     *            onlyInB: Array<{path: string, shingles: number, contribution: number}>}} The report.
+     *          `exactJaccard` is weighted Jaccard in the weighted modes; `estimatedJaccard` is what `compareSketches` returns.
+     */
+    explainSimilarity(json1, json2, explainOptions = {}) {
+        const limit = explainOptions.limit ?? Infinity;
+        const originsA = new Map();
+        const originsB = new Map();
+        const collectionA = this._buildShingleMultiset(json1, originsA);
+        const collectionB = this._buildShingleMultiset(json2, originsB);
+        const flatA = this._flattenShingleCollection(collectionA);
+        const flatB = this._flattenShingleCollection(collectionB);
+
+        const attribution = attributeShingles(this._thresholdMultiset(flatA), this._thresholdMultiset(flatB), originsA, originsB);
+
+        var exactJaccard;
+        if (this.options.weighting === 'none') {
+            exactJaccard = attribution.unionSize === 0 ? 1.0 : attribution.intersectionSize / attribution.unionSize;
+        } else {
+            exactJaccard = weightedJaccardSimilarity(this._weightMultiset(flatA), this._weightMultiset(flatB));
+        }
+        const estimatedJaccard = this.compareSketches(
+            this._sketchFromShingleCollection(collectionA),
+            this._sketchFromShingleCollection(collectionB)
+        );
+
+        return {
+            exactJaccard,
+            estimatedJaccard,
+            sharedShingles: attribution.intersectionSize,
+            totalShingles: attribution.unionSize,
+            shared: attribution.shared.slice(0, limit),
+            onlyInA: attribution.onlyInA.slice(0, limit),
+            onlyInB: attribution.onlyInB.slice(0, limit)
+        };
+    }
+
+    /**
+     * Computes document frequencies over a corpus for `weighting: 'tfidf'` and stores them on this hasher.
+     * The configuration fingerprint is updated, since the IDF table changes sketch contents.
+     * @param {Iterable<object|Array>} documents The corpus of JSON objects or arrays.
+     * @returns {{documentCount: number, documentFrequencies: Map<number, number>}} The IDF table (reusable as `options.idf`).
+     */
+    fitIdf(documents) {
+        const documentFrequencies = new Map();
+        var documentCount = 0;
+        for (const json of documents) {
+            documentCount++;
+            const shingleCollection = this._flattenShingleCollection(this._buildShingleMultiset(json));
+            for (const hash of shingleCollection.keys()) {
+                documentFrequencies.set(hash, (documentFrequencies.get(hash) || 0) + 1);
+            }
+        }
+        this.idf = { documentCount, documentFrequencies };
+        this.fingerprint = fingerprintConfig(this._configDescriptor());
+        return this.idf;
+    }
+
+    /**
+     * Converts shingle counts into integer weights for the weighted modes, dropping shingles below the frequency threshold
+     * clipping weights to `maxShingleWeight` and scaling them down to `maxTotalWeight` in total.
+     * @private
+     * @param {Map<number, number>} shingleCollection Map of hash -> count.
+     * @returns {Map<number, number>} Map of hash -> positive integer weight.
+     */
+    _weightMultiset(shingleCollection) {
+        // Decayed counts may be below 1; depthDecay rules out frequency thresholds.
+        const threshold = this._depthDecayed ? 0 : this.options.frequencyThreshold;
+        const maxWeight = this.options.maxShingleWeight;
+        const weights = new Map();
+
+        if (this.options.weighting === 'tfidf') {
+            if (!this.idf) {
+                throw new Error("weighting 'tfidf' requires document frequencies: call fitIdf(documents) or pass options.idf");
+            }
+            const scale = this.options.weightScale;
+            for (const [hash, count] of shingleCollection.entries()) {
+                if (count < threshold) continue;
+                const weight = Math.round(count * inverseDocumentFrequency(this.idf, hash) * scale);
+                if (weight > 0) {
+                    weights.set(hash, Math.min(weight, maxWeight));
+                }
+            }
+        } else if (this._depthDecayed) {
+            const scale = this.options.weightScale;
+            for (const [hash, count] of shingleCollection.entries()) {
+                const weight = Math.round(count * scale);
+                if (weight > 0) {
+                    weights.set(hash, Math.min(weight, maxWeight));
+                }
+            }
+        } else {
+            for (const [hash, count] of shingleCollection.entries()) {
+                if (count >= threshold) {
+                    weights.set(hash, Math.min(count, maxWeight));
+                }
+            }
+        }
+        return boundTotalWeight(weights, this.options.maxTotalWeight);
+    }
+
+    /**
+     * Creates an incremental SketchBuilder that accepts raw JSON text via `write(chunk)` and returns
+     * the sketch from `end()`, without parsing the whole document into memory.
+     * @returns {SketchBuilder} A new SketchBuilder bound to this hasher.
+     * @throws {Error} With `canonicalShape` or `arrayElementDigests`, which need whole subtrees, `labelKey`, whose member may
+     *                 come after the object's other members, or `relativePaths` or `depthDecay`, which need the whole tree.
+     */
+    createSketchBuilder() {
+        if (this.options.canonicalShape) {
+            throw new Error('canonicalShape needs the whole document and cannot be used with streaming');
+        }
+        if (this.options.arrayElementDigests) {
+            throw new Error('arrayElementDigests needs whole array elements and cannot be used with streaming');
+        }
+        if (this.labelKey !== undefined) {
+            throw new Error('labelKey needs whole objects and cannot be used with streaming');
+        }
+        if (this.options.relativePaths || this._depthDecayed) {
+            throw new Error('relativePaths and depthDecay need the whole tree and cannot be used with streaming');
+        }
+        return new SketchBuilder(this);
+    }
+
+    /**
+     * Creates a SketchState holding a copy of `json` and its shingle counts. `state.applyPatch(operations)`
+     * applies RFC 6902 JSON Patch operations, re-shingling only the affected subtrees, and `state.sketch()`
+     * returns the same sketch `generateSketch` would for the patched document.
+     * @param {object|Array} json The initial document.
+     * @returns {SketchState} A new SketchState bound to this hasher.
+     * @throws {Error} With `canonicalShape`, `arrayElementDigests` or `labelKey`, which need whole subtrees, or with
+     *                 `relativePaths` or `depthDecay`, which need the whole tree.
+     */
+    createSketchState(json) {
+        if (this.options.canonicalShape) {
+            throw new Error('canonicalShape needs the whole document and cannot be used with incremental updates');
+        }
+        if (this.options.arrayElementDigests) {
+            throw new Error('arrayElementDigests needs whole array elements and cannot be used with incremental updates');
+        }
+        if (this.labelKey !== undefined) {
+            throw new Error('labelKey needs whole objects and cannot be used with incremental updates');
+        }
+        if (this.options.relativePaths || this._depthDecayed) {
+            throw new Error('relativePaths and depthDecay need the whole tree and cannot be used with incremental updates');
+        }
+        return new SketchState(this, json);
+    }
+
+    /**
+     * Generates the sketch of JSON text read from a stream.
+     * The result is identical to `generateSketch(JSON.parse(text))`.
+     * @param {AsyncIterable<string|Uint8Array>} readable A Node.js Readable, web ReadableStream or any async iterable of chunks.
+     * @returns {Promise<Array<number>>} The MinHash sketch (signature).
+     */
+    async generateSketchFromStream(readable) {
+        const builder = this.createSketchBuilder();
+        for await (const chunk of readable) {
+            builder.write(chunk);
+        }
+        return builder.end();
+    }
+
+    /**
+     * Generates sketches for many documents on a pool of worker threads, without blocking the event loop.
+     * Each worker rebuilds this hasher from its constructor options (and IDF table), so the sketches
+     * are identical to `generateSketch` and are yielded in input order. Custom `valueNormalizers`
+     * functions cannot be sent to workers.
+     * @param {Iterable<object|Array>|AsyncIterable<object|Array>} documents The JSON objects or arrays.
+     * @param {object} [batchOptions={}] Options.
+     * @param {number} [batchOptions.concurrency] Number of worker threads (defaults to `os.availableParallelism()`).
+     * @param {number} [batchOptions.batchSize=16] Documents sent to a worker per message.
+     * @param {function({completed: number, total: number|undefined}): void} [batchOptions.onProgress] Called as batches complete;
+     *                                                                                          `total` is set for arrays and other sized inputs.
+     * @returns {AsyncGenerator<Array<number>>} The MinHash sketches, in input order.
+     */
+    async *generateSketches(documents, batchOptions = {}) {
+        const batchSize = batchOptions.batchSize ?? 16;
+        if (batchOptions.concurrency !== undefined && (!Number.isInteger(batchOptions.concurrency) || batchOptions.concurrency < 1)) {
+            throw new Error('concurrency must be a positive integer');
+        }
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new Error('batchSize must be a positive integer');
+        }
+        const workerOptions = { ...this._constructorOptions, idf: this.idf ?? undefined };
+        if (workerOptions.valueNormalizers && workerOptions.valueNormalizers.some(spec => typeof spec === 'function')) {
+            throw new Error('generateSketches cannot send custom valueNormalizers functions to worker threads');
+        }
+        if (workerOptions.hashFunction) {
+            throw new Error('generateSketches cannot send a custom hashFunction to worker threads');
+        }
+
+        // Loaded on demand so the rest of the library has no dependency on worker_threads.
+        const { sketchInWorkers } = await import('./lib/worker-pool.js');
+        yield* sketchInWorkers(workerOptions, documents, {
+            concurrency: batchOptions.concurrency,
+            batchSize,
+            onProgress: batchOptions.onProgress,
+            total: documents.length ?? documents.size
+        });
+    }
+
+    /**
+     * Compares two MinHash sketches and estimates Jaccard similarity.
+     * For sketches built with `weighting: 'multiset'` or `'tfidf'` the estimate is of the weighted Jaccard similarity.
+     * Sketch objects (from `withCardinality` or `JSONHashify.deserializeSketch`) are checked against this hasher's
+     * configuration fingerprint and rejected if they were built with different settings. Bare arrays carry no
+     * fingerprint, so only their length is checked; pass sketch objects to detect other settings of the same length.
+     * @param {Array<number>|object} sketch1 First MinHash sketch, or a deserialized sketch.
+     * @param {Array<number>|object} sketch2 Second MinHash sketch, or a deserialized sketch.
+     * @param {object} [estimationOptions={}] Options for Jaccard similarity estimation.
+     * @param {number} [estimationOptions.similarityThreshold] The Jaccard similarity threshold (0 to 1) for early termination.
+     *                                                       If the algorithm can confidently determine that the true similarity is
+     *                                                       above or below this threshold with an error probability less than
+     *                                                       `estimationOptions.errorTolerance`, it may return an approximate result early.
+     * @param {number} [estimationOptions.errorTolerance] The acceptable probability (0 to 1, e.g., 0.01 for 1%)
+     *                                                    of making an incorrect early termination decision.
+     * @param {boolean} [estimationOptions.perComponent=false] Return `{similarity, components}` with the similarity of each
+     *                                                         enabled component alongside their weighted average.
+     * @param {'jaccard'|'containment'|'overlap'} [estimationOptions.metric='jaccard'] `'containment'` estimates |A ∩ B| / |A|,
+     *                                                         how much of the first document is found in the second; `'overlap'`
+     *                                                         estimates |A ∩ B| / min(|A|, |B|). Both are derived from the Jaccard estimate
+     *                                                         and the set sizes, so both sketches must carry their cardinality
+     *                                                         (see `generateSketch`'s `withCardinality`), and early termination is not supported.
+     * @returns {number|{similarity: number, components: object}} Estimated Jaccard similarity (0 to 1).
+     *                   With components enabled this is the weighted average of the per-component estimates.
+     *                   If `similarityThreshold` and `errorTolerance` are provided,
+     *                   the function may return `1.0` if it determines the sets are likely similar enough
+     *                   or `0.0` if likely dissimilar enough, without computing the exact Jaccard index.
+     * @throws {Error} If a sketch has the wrong length, a sketch object is incompatible with this hasher, or the metric
+     *                 needs a missing cardinality.
+     */
+    compareSketches(sketch1, sketch2, estimationOptions = {}) {
+        const { similarityThreshold, errorTolerance, perComponent, metric = 'jaccard', ...otherOptions } = estimationOptions;
+        if (metric !== 'jaccard' && metric !== 'containment' && metric !== 'overlap') {
+            throw new Error(`Unknown metric: ${metric}`);
+        }
+        var cardinalities1 = null;
+        var cardinalities2 = null;
+        if (metric !== 'jaccard') {
+            if (similarityThreshold !== undefined) {
+                throw new Error(`similarityThreshold is not supported with metric '${metric}'`);
+            }
+            cardinalities1 = this._sketchCardinalities(sketch1, metric);
+            cardinalities2 = this._sketchCardinalities(sketch2, metric);
+        }
+        sketch1 = this._resolveSketch(sketch1);
+        sketch2 = this._resolveSketch(sketch2);
+        let finalEstimationOptions = { ...otherOptions }; // Pass through any other options
+
+        if (similarityThreshold !== undefined && errorTolerance !== undefined) {
+            finalEstimationOptions.similarityThreshold = similarityThreshold;
+            finalEstimationOptions.errorTolerance = errorTolerance;
+            finalEstimationOptions.numGroups = this.numGroups; // Add numGroups from the instance
+        }
+
+        if (!this.components) {
+            let similarity = estimateJaccardSimilarity(sketch1, sketch2, finalEstimationOptions);
+            if (metric !== 'jaccard') {
+                similarity = overlapFromJaccard(similarity, cardinalities1[0], cardinalities2[0], metric);
+            }
+            return perComponent ? { similarity, components: {} } : similarity;
+        }
+
+        const componentSimilarities = {};
+        var weightedSum = 0;
+        var totalWeight = 0;
+        for (var c = 0; c < this.components.length; c++) {
+            const { name, weight } = this.components[c];
+            const start = c * this.numHashFunctions;
+            const end = start + this.numHashFunctions;
+            let componentSimilarity = estimateJaccardSimilarity(sketch1.slice(start, end), sketch2.slice(start, end), finalEstimationOptions);
+            if (metric !== 'jaccard') {
+                componentSimilarity = overlapFromJaccard(componentSimilarity, cardinalities1[c], cardinalities2[c], metric);
+            }
+            componentSimilarities[name] = componentSimilarity;
+            weightedSum += weight * componentSimilarity;
+            totalWeight += weight;
+        }
+        const similarity = weightedSum / totalWeight;
+        return perComponent ? { similarity, components: componentSimilarities } : similarity;
+    }
+
+    /**
+     * Unwraps a sketch object after checking that it was built with this hasher's configuration, and checks
+     * the sketch length. Bare arrays have no fingerprint, so their length is all that can be checked.
+     * @private
+     * @param {Array<number>|object} sketch A bare sketch or a sketch object.
+     * @returns {Array<number>} The bare sketch.
+     * @throws {Error} If the sketch has the wrong length or a different configuration fingerprint.
+     */
+    _resolveSketch(sketch) {
+        if (sketch !== null && typeof sketch === 'object' && !Array.isArray(sketch) && !ArrayBuffer.isView(sketch)) {
+            if (sketch.fingerprint !== this.fingerprint) {
+                throw new Error(`Incompatible sketch: built with configuration fingerprint ${sketch.fingerprint}, expected ${this.fingerprint}`);
+            }
+            sketch = sketch.sketch;
+        }
+        if (!sketch || sketch.length !== this.sketchLength) {
+            throw new Error(`Sketch length must be ${this.sketchLength}`);
+        }
+        return sketch;
+    }
+
+    /**
+     * Reads the per-component cardinalities a sketch carries.
+     * @private
+     * @param {Array<number>|object} sketch A bare sketch, or a sketch object with a `cardinality`.
+     * @param {string} metric The metric that needs them, for the error message.
+     * @returns {Array<number>} One cardinality per component (a single one without components).
+     * @throws {Error} If the sketch has no cardinality, or the wrong number of them.
+     */
+    _sketchCardinalities(sketch, metric) {
+        const cardinality = Array.isArray(sketch) || sketch === null || typeof sketch !== 'object' ? undefined : sketch.cardinality;
+        if (cardinality === undefined) {
+            throw new Error(`Metric '${metric}' needs sketches with a cardinality; use generateSketch(json, { withCardinality: true })`);
+        }
+        const cardinalities = Array.isArray(cardinality) ? cardinality : [cardinality];
+        if (cardinalities.length !== (this.components ? this.components.length : 1)) {
+            throw new Error(`Sketch has ${cardinalities.length} cardinalities, expected one per component`);
+        }
+        return cardinalities;
+    }
+
+    /**
+     * Serializes a sketch into the versioned binary format, tagged with this hasher's configuration fingerprint.
+     * The cardinality of a sketch object from `generateSketch(json, { withCardinality: true })` is kept.
+     * @param {Array<number>|object} sketch A sketch produced by this hasher.
+     * @param {object} [serializeOptions={}] Serialization options.
+     * @param {'binary'|'base64'} [serializeOptions.encoding='binary'] Output encoding.
+     * @returns {Uint32Array|string} The serialized sketch.
+     */
+    serializeSketch(sketch, serializeOptions = {}) {
+        const encoding = serializeOptions.encoding ?? 'binary';
+        if (encoding !== 'binary' && encoding !== 'base64') {
+            throw new Error(`Unknown sketch encoding: ${encoding}`);
+        }
+        const cardinality = Array.isArray(sketch) || sketch === null || typeof sketch !== 'object' ? undefined : sketch.cardinality;
+        const encoded = encodeSketch(this._resolveSketch(sketch), {
+            fingerprint: this.fingerprint,
+            numHashFunctions: this.sketchLength,
+            numGroups: this.numGroups,
+            cardinalities: cardinality === undefined ? [] : [].concat(cardinality)
+        });
+        return encoding === 'base64' ? toBase64(encoded) : encoded;
+    }
+
+    /**
+     * Deserializes a sketch produced by `serializeSketch`.
+     * The result can be passed straight to `compareSketches`, which checks its fingerprint.
+     * @param {Uint32Array|Uint8Array|ArrayBuffer|string} serialized Binary or base64 serialized sketch.
+     * @returns {{version: number, fingerprint: number, numHashFunctions: number, numGroups: number, sketch: Array<number>, cardinality?: number|Array<number>}}
+     *          The sketch and its header, with the cardinality if one was serialized.
+     */
+    static deserializeSketch(serialized) {
+        return decodeSketch(serialized);
+    }
+
+    /**
+     * Merges sketches into the sketch of the union of their shingle sets, for aggregating a collection
+     * of documents without re-hashing them together.
+     * Grouped-OPH fills empty bins by densification, copying values from non-empty bins of the same sketch,
+     * and a signature does not say which bins were copies. Sketch objects from `generateSketch(json, { mergeable: true })`
+     * keep the basis of their signatures, the elements that own the non-empty bins, and when every input has one the
+     * union's signature is computed from the union of the bases, so the merge is exact and densified afterwards.
+     * The result then carries a basis too. Otherwise each bin of the union is the minimum of the inputs' bins, which is
+     * exact when no input had empty bins (documents with more than about numHashFunctions × ln(numHashFunctions)
+     * shingles per component) and an estimate biased towards the small inputs otherwise.
+     * When every input carries a cardinality, the result carries the estimated union cardinality
+     * (|A| + |B|) / (1 + J), folded over the inputs; weighted sketches merge the same way, as `max` of weights.
+     * @param {Array<Array<number>|object>} sketches Sketches from the same configuration: bare sketches, or sketch objects
+     *                                              from `generateSketch(json, { withCardinality: true })`, `generateSketch(json,
+     *                                              { mergeable: true })` or `deserializeSketch`.
+     * @returns {Array<number>|{fingerprint: number, sketch: Array<number>, cardinality?: number|Array<number>, numGroups?: number, basis?: Array<Array<number>>}}
+     *          The merged sketch: a sketch object if the inputs were sketch objects, with a cardinality if they all had one
+     *          and a basis if they all had one.
+     * @throws {Error} If no sketches are given, or they differ in length, configuration fingerprint or numGroups.
+     */
+    static mergeSketches(sketches) {
+        const list = Array.from(sketches);
+        if (list.length === 0) {
+            throw new Error('mergeSketches needs at least one sketch');
+        }
+        const records = list.map(sketch => Array.isArray(sketch) ? { sketch } : sketch);
+        const length = records[0].sketch.length;
+        const fingerprint = records.find(record => record.fingerprint !== undefined)?.fingerprint;
+        const numGroups = records.find(record => record.numGroups !== undefined)?.numGroups;
+        for (const record of records) {
+            if (!record || !Array.isArray(record.sketch) || record.sketch.length !== length) {
+                throw new Error(`Sketches must all have length ${length}`);
+            }
+            if (record.fingerprint !== undefined && record.fingerprint !== fingerprint) {
+                throw new Error(`Incompatible sketch: built with configuration fingerprint ${record.fingerprint}, expected ${fingerprint}`);
+            }
+            if (record.numGroups !== undefined && record.numGroups !== numGroups) {
+                throw new Error(`Incompatible sketch: built with ${record.numGroups} groups, expected ${numGroups}`);
+            }
+        }
+
+        var merged = records[0].sketch.slice();
+        var bases = records.every(record => record.basis !== undefined && record.numGroups !== undefined) ? records[0].basis : null;
+        var cardinalities = records.every(record => record.cardinality !== undefined) ? [].concat(records[0].cardinality) : null;
+        for (var r = 1; r < records.length; r++) {
+            const sketch = records[r].sketch;
+            if (cardinalities !== null) {
+                // Estimate the union size before this input is folded into `merged`.
+                const other = [].concat(records[r].cardinality);
+                const blockLength = length / cardinalities.length;
+                for (var c = 0; c < cardinalities.length; c++) {
+                    const start = c * blockLength;
+                    const jaccard = estimateJaccardSimilarity(merged.slice(start, start + blockLength), sketch.slice(start, start + blockLength));
+                    cardinalities[c] = Math.round((cardinalities[c] + other[c]) / (1 + jaccard));
+                }
+            }
+            if (bases !== null) {
+                const blockLength = length / bases.length;
+                const signatureOf = elements => generateGroupedOPHSignature(elements, blockLength, numGroups);
+                const nextBases = [];
+                merged = [];
+                for (var c = 0; c < bases.length; c++) {
+                    const union = bases[c].concat(records[r].basis[c]);
+                    const signature = signatureOf(union);
+                    for (var i = 0; i < blockLength; i++) merged.push(signature[i]);
+                    nextBases.push(signatureBasis(union, signatureOf, blockLength));
+                }
+                bases = nextBases;
+                continue;
+            }
+            for (var i = 0; i < length; i++) {
+                if (sketch[i] < merged[i]) merged[i] = sketch[i];
+            }
+        }
+
+        if (list.every(sketch => Array.isArray(sketch))) {
+            return merged;
+        }
+        const result = { fingerprint, sketch: merged };
+        if (cardinalities !== null) {
+            result.cardinality = Array.isArray(records[0].cardinality) ? cardinalities : cardinalities[0];
+        }
+        if (bases !== null) {
+            result.numGroups = numGroups;
+            result.basis = bases;
+        }
+        return result;
+    }
+
+    /**
+     * Creates an empty LSH SketchIndex sized for the sketches produced by this instance. Sketch objects must
+     * carry this instance's configuration fingerprint, bare sketches its `sketchLength`, and candidates are
+     * ranked by `compareSketches`, so component weights apply.
+     * @param {object} [indexOptions={}] Extra options for the SketchIndex constructor (e.g. `bands`, `rows`).
+     * @returns {SketchIndex} A new SketchIndex.
+     */
+    createSketchIndex(indexOptions = {}) {
+        return new SketchIndex({
+            ...indexOptions,
+            numHashFunctions: this.sketchLength,
+            numGroups: this.numGroups,
+            fingerprint: this.fingerprint,
+            compareSketches: (sketch1, sketch2) => this.compareSketches(sketch1, sketch2)
+        });
+    }
+
+    /**
+     * Filters the multiset of shingle hashes based on the frequency threshold.
+     * @private
+     * @param {Map<number, number>|Set<number>} shingleCollection Map of hash -> count or Set of hashes.
+     * @returns {Set<number>} Set of hashes meeting the threshold.
+     */
+    _thresholdMultiset(shingleCollection) {
+        // Sets are only collected when frequencyThreshold is 1, so every element already meets it.
+        if (shingleCollection instanceof Set) {
+            return shingleCollection;
+        }
+        const thresholdedSet = new Set();
+        // Decayed counts may be below 1; depthDecay rules out frequency thresholds.
+        const threshold = this._depthDecayed ? 0 : this.options.frequencyThreshold;
+        for (const [hash, count] of shingleCollection.entries()) { 
+            if (count >= threshold) {
+                thresholdedSet.add(hash);
+            }
+        }
+        return thresholdedSet;
+    }
+
+    /**
+     * Clears the node string shingle cache if it's enabled and has been populated.
+     */
+    clearNodeStringCache() {
+        if (this.options.enableNodeStringCache && this.nodeStringShingleCache) {
+            this.nodeStringShingleCache.clear();
+        }
+    }
+}
+
+/**
+ * Derives an asymmetric overlap measure from a Jaccard estimate and the two set sizes:
+ * |A ∩ B| = J (|A| + |B|) / (1 + J), which holds for weighted sets with sizes taken as total weights.
+ * @param {number} jaccard Estimated Jaccard similarity of A and B.
+ * @param {number} cardinalityA Size of A.
+ * @param {number} cardinalityB Size of B.
+ * @param {'containment'|'overlap'} metric `'containment'` for |A ∩ B| / |A|, `'overlap'` for |A ∩ B| / min(|A|, |B|).
+ * @returns {number} The estimate, clamped to [0, 1]. An empty set is fully contained in anything.
+ */
+function overlapFromJaccard(jaccard, cardinalityA, cardinalityB, metric) {
+    const denominator = metric === 'containment' ? cardinalityA : Math.min(cardinalityA, cardinalityB);
+    if (denominator === 0) return 1;
+    const intersection = jaccard * (cardinalityA + cardinalityB) / (1 + jaccard);
+    return Math.min(1, intersection / denominator);
 }
 
 /**
@@ -484,7 +2653,12 @@ function compareJSONHashifySketches(sketch1, sketch2, constructorOptions = {}, e
 
 export {
     JSONHashify,
+    SketchIndex,
+    SketchBuilder,
+    SketchState,
     generateJSONHashifySketch,
     compareJSONHashifySketches,
-    estimateJaccardSimilarity
+    estimateJaccardSimilarity,
+    weightedJaccardSimilarity,
+    SKETCH_FORMAT_VERSION
 };
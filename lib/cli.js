@@ -0,0 +1,450 @@
+import { createReadStream, promises as fs } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { join, extname } from 'node:path';
+import { JSONHashify } from '../index.js';
+import { SKETCH_FORMAT_VERSION } from './sketch-format.js';
+
+const USAGE = `Usage: json-hashify <command> [options] [inputs...]
+
+Commands:
+  sketch [files...]          Print a JSONL config header, then one {id, sketch} line per document
+  compare <a> <b>            Print the estimated similarity of two documents
+  matrix <dir|files...>      Print a CSV matrix of pairwise similarities
+  dedupe <dir|files...>      Print clusters of near-duplicate documents as JSON lines
+  fit-idf <dir|files...>     Print the document frequencies of the inputs' shingles, for --idf
+
+Inputs are JSON files, directories (their .json, .ndjson and .jsonl files) or "-" for stdin
+(the default for sketch). .ndjson / .jsonl files, and every input with --ndjson, hold one
+document per line.
+
+Options:
+  --threshold <n>            dedupe: minimum similarity to link two documents (default 0.9)
+  --encoding <binary|base64> sketch: emit arrays (default) or base64 serialized sketches
+  --per-component            compare: print per-component similarities as JSON
+  --ndjson                   Treat every input as newline-delimited JSON
+  --config <file>            Read JSONHashify constructor options from a JSON file
+  --preset <name>            Start from a syntax tree preset: estree, babel or unist
+  --idf <file>               Document frequencies for --weighting tfidf, as printed by fit-idf.
+                             Required by sketch and compare; matrix and dedupe fit them over
+                             their inputs when it is omitted
+  -h, --help                 Show this help
+
+Every JSONHashify constructor option is also accepted as a kebab-case flag, e.g.
+  --shingle-size 3 --subtree-depth 2 --num-hash-functions 64 --no-preserve-array-order
+  --ignore-keys position,loc --ignore-paths 'data[*].id' --value-normalizers lowercase,maskUuid
+  --components '{"structure":{"weight":0.8},"values":{"weight":0.2}}'
+List options take comma-separated values or a JSON array; object options take JSON.
+`;
+
+// Constructor options exposed as flags, by value type.
+const HASHER_OPTIONS = {
+    mode: 'string',
+    canonicalShape: 'boolean',
+    subtreeDepth: 'number',
+    frequencyThreshold: 'number',
+    numHashFunctions: 'number',
+    numGroups: 'number',
+    preserveArrayOrder: 'boolean',
+    arrayElementDigests: 'boolean',
+    shingleSize: 'number',
+    shingleMode: 'string',
+    seed: 'number',
+    hashBits: 'number',
+    ignoreKeys: 'list',
+    labelKey: 'string',
+    anonymize: 'json',
+    ignorePaths: 'list',
+    includePaths: 'list',
+    valueNormalizers: 'list',
+    stringToHashifyThreshold: 'number',
+    arrayToHashifyThreshold: 'number',
+    largeValueFingerprintSize: 'number',
+    enableNodeStringCache: 'boolean',
+    nodeStringCacheSize: 'number',
+    weighting: 'string',
+    relativePaths: 'boolean',
+    depthDecay: 'number',
+    depthDecayFrom: 'string',
+    weightScale: 'number',
+    maxShingleWeight: 'number',
+    maxTotalWeight: 'number',
+    components: 'json'
+};
+
+const CLI_OPTIONS = {
+    threshold: 'number',
+    encoding: 'string',
+    perComponent: 'boolean',
+    ndjson: 'boolean',
+    config: 'string',
+    preset: 'string',
+    idf: 'string',
+    help: 'boolean'
+};
+
+/**
+ * Converts a kebab-case flag name to camelCase.
+ * @param {string} flag Flag name without dashes.
+ * @returns {string} camelCase option name.
+ */
+function camelCase(flag) {
+    return flag.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parses a flag value according to its option type.
+ * @param {string} name Option name, for error messages.
+ * @param {string} type Option type.
+ * @param {string} raw Raw flag value.
+ * @returns {*} Parsed value.
+ */
+function parseValue(name, type, raw) {
+    if (type === 'number') {
+        const value = Number(raw);
+        if (raw === '' || Number.isNaN(value)) throw new Error(`--${name} expects a number`);
+        return value;
+    }
+    if (type === 'boolean') {
+        if (raw === 'true') return true;
+        if (raw === 'false') return false;
+        throw new Error(`--${name} expects true or false`);
+    }
+    if (type === 'list') {
+        return raw.trim().startsWith('[') ? JSON.parse(raw) : raw.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    if (type === 'json') {
+        return JSON.parse(raw);
+    }
+    return raw;
+}
+
+/**
+ * Parses command-line arguments.
+ * @param {Array<string>} argv Arguments after the executable and script.
+ * @returns {{command: string|undefined, inputs: Array<string>, cliOptions: object, hasherOptions: object}} Parsed arguments.
+ */
+function parseArgs(argv) {
+    const inputs = [];
+    const cliOptions = {};
+    const hasherOptions = {};
+    var command;
+
+    for (var i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            cliOptions.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            if (command === undefined) command = arg;
+            else inputs.push(arg);
+            continue;
+        }
+
+        var flag = arg.slice(2);
+        var raw = undefined;
+        const eq = flag.indexOf('=');
+        if (eq !== -1) {
+            raw = flag.slice(eq + 1);
+            flag = flag.slice(0, eq);
+        }
+        var negated = false;
+        var name = camelCase(flag);
+        if (!(name in HASHER_OPTIONS) && !(name in CLI_OPTIONS) && flag.startsWith('no-')) {
+            negated = true;
+            name = camelCase(flag.slice(3));
+        }
+        const type = HASHER_OPTIONS[name] ?? CLI_OPTIONS[name];
+        if (type === undefined) {
+            throw new Error(`Unknown option --${flag}`);
+        }
+
+        var value;
+        if (type === 'boolean' && raw === undefined) {
+            value = !negated;
+        } else {
+            if (negated) throw new Error(`--no-${flag.slice(3)} does not take a value`);
+            if (raw === undefined) {
+                if (i + 1 >= argv.length) throw new Error(`--${flag} expects a value`);
+                raw = argv[++i];
+            }
+            value = parseValue(flag, type, raw);
+        }
+
+        if (name in HASHER_OPTIONS) hasherOptions[name] = value;
+        else cliOptions[name] = value;
+    }
+    return { command, inputs, cliOptions, hasherOptions };
+}
+
+/**
+ * Expands inputs into documents to read: directories become their JSON files, sorted by name.
+ * @param {Array<string>} inputs Paths, or '-' for stdin.
+ * @param {boolean} ndjson Whether every input is newline-delimited JSON.
+ * @returns {Promise<Array<{id: string, path: string, ndjson: boolean}>>} Sources.
+ */
+async function resolveSources(inputs, ndjson) {
+    const sources = [];
+    for (const input of inputs) {
+        if (input === '-') {
+            sources.push({ id: '-', path: '-', ndjson });
+            continue;
+        }
+        const stat = await fs.stat(input);
+        if (stat.isDirectory()) {
+            const names = (await fs.readdir(input)).filter(name => ['.json', '.ndjson', '.jsonl'].includes(extname(name))).sort();
+            for (const name of names) {
+                const path = join(input, name);
+                sources.push({ id: path, path, ndjson: ndjson || extname(name) !== '.json' });
+            }
+        } else {
+            sources.push({ id: input, path: input, ndjson: ndjson || ['.ndjson', '.jsonl'].includes(extname(input)) });
+        }
+    }
+    return sources;
+}
+
+/**
+ * Whether a hasher can sketch a document from a stream. Some options need whole subtrees or the whole tree
+ * (see `createSketchBuilder`).
+ * @param {JSONHashify} hasher The hasher.
+ * @returns {boolean}
+ */
+function canStream(hasher) {
+    const { canonicalShape, arrayElementDigests, relativePaths, depthDecay } = hasher.options;
+    return !canonicalShape && !arrayElementDigests && hasher.labelKey === undefined && !relativePaths && depthDecay === 1;
+}
+
+/**
+ * Reads a stream to the end as UTF-8 text.
+ * @param {NodeJS.ReadableStream} stream The stream.
+ * @returns {Promise<string>} The text.
+ */
+async function readText(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Parses every document of every source, in order.
+ * @param {Array<{id: string, path: string, ndjson: boolean}>} sources Sources from `resolveSources`.
+ * @param {NodeJS.ReadableStream} stdin Standard input.
+ * @returns {AsyncGenerator<{id: string, json: *}>} Documents.
+ */
+async function* readDocuments(sources, stdin) {
+    for (const source of sources) {
+        const stream = source.path === '-' ? stdin : createReadStream(source.path);
+        if (!source.ndjson) {
+            yield { id: source.id, json: JSON.parse(await readText(stream)) };
+            continue;
+        }
+        var lineNumber = 0;
+        for await (const line of createInterface({ input: stream, crlfDelay: Infinity })) {
+            lineNumber++;
+            if (line.trim() === '') continue;
+            yield { id: `${source.id}:${lineNumber}`, json: JSON.parse(line) };
+        }
+    }
+}
+
+/**
+ * Sketches every document of every source, in order.
+ * Whole-file JSON is streamed through `generateSketchFromStream` (or parsed whole when the options
+ * need it); NDJSON is sketched line by line.
+ * @param {JSONHashify} hasher The hasher.
+ * @param {Array<{id: string, path: string, ndjson: boolean}>} sources Sources from `resolveSources`.
+ * @param {NodeJS.ReadableStream} stdin Standard input.
+ * @returns {AsyncGenerator<{id: string, sketch: Array<number>}>} Sketches.
+ */
+async function* sketchSources(hasher, sources, stdin) {
+    for (const source of sources) {
+        const stream = source.path === '-' ? stdin : createReadStream(source.path);
+        if (!source.ndjson) {
+            const sketch = canStream(hasher)
+                ? await hasher.generateSketchFromStream(stream)
+                : hasher.generateSketch(JSON.parse(await readText(stream)));
+            yield { id: source.id, sketch };
+            continue;
+        }
+        var lineNumber = 0;
+        for await (const line of createInterface({ input: stream, crlfDelay: Infinity })) {
+            lineNumber++;
+            if (line.trim() === '') continue;
+            yield { id: `${source.id}:${lineNumber}`, sketch: hasher.generateSketch(JSON.parse(line)) };
+        }
+    }
+}
+
+/**
+ * Quotes a CSV field when needed.
+ * @param {string} field The field.
+ * @returns {string} CSV-safe field.
+ */
+function csvField(field) {
+    return /[",\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Runs the command-line tool.
+ * @param {Array<string>} argv Arguments after the executable and script.
+ * @param {{stdin: NodeJS.ReadableStream, stdout: {write: function(string): *}, stderr: {write: function(string): *}}} io Streams.
+ * @returns {Promise<number>} Exit code.
+ */
+async function run(argv, io) {
+    const { stdout, stderr } = io;
+    try {
+        const { command, inputs, cliOptions, hasherOptions } = parseArgs(argv);
+        if (cliOptions.help || command === undefined) {
+            (command === undefined && !cliOptions.help ? stderr : stdout).write(USAGE);
+            return command === undefined && !cliOptions.help ? 1 : 0;
+        }
+
+        const fileOptions = cliOptions.config ? JSON.parse(await fs.readFile(cliOptions.config, 'utf8')) : {};
+        var presetOptions = {};
+        if (cliOptions.preset !== undefined) {
+            if (!Object.prototype.hasOwnProperty.call(JSONHashify.presets, cliOptions.preset)) {
+                throw new Error(`Unknown preset: ${cliOptions.preset}. Expected one of: ${Object.keys(JSONHashify.presets).join(', ')}`);
+            }
+            presetOptions = JSONHashify.presets[cliOptions.preset]();
+        }
+        const options = { ...presetOptions, ...fileOptions, ...hasherOptions };
+        // --idf stays out of `options`, which the sketch header prints; the fingerprint covers the table.
+        const idf = cliOptions.idf !== undefined ? JSON.parse(await fs.readFile(cliOptions.idf, 'utf8')) : options.idf;
+        const hasher = new JSONHashify({ ...options, idf });
+        const ndjson = cliOptions.ndjson ?? false;
+        if (options.weighting === 'tfidf' && idf === undefined && (command === 'sketch' || command === 'compare')) {
+            throw new Error(`--weighting tfidf needs --idf <file> with ${command}; print one with fit-idf`);
+        }
+
+        if (command === 'fit-idf') {
+            if (inputs.length === 0) {
+                throw new Error('fit-idf expects a directory or files');
+            }
+            const documents = [];
+            for await (const { json } of readDocuments(await resolveSources(inputs, ndjson), io.stdin)) {
+                documents.push(json);
+            }
+            const { documentCount, documentFrequencies } = hasher.fitIdf(documents);
+            // JSON has no bigints: 64-bit shingle hashes are printed as decimal strings, which normalizeIdfTable reads back.
+            const entries = Array.from(documentFrequencies, ([hash, df]) => [typeof hash === 'bigint' ? String(hash) : hash, df]);
+            stdout.write(JSON.stringify({ documentCount, documentFrequencies: entries }) + '\n');
+            return 0;
+        }
+
+        if (command === 'sketch') {
+            const encoding = cliOptions.encoding ?? 'binary';
+            if (encoding !== 'binary' && encoding !== 'base64') {
+                throw new Error('--encoding must be binary or base64');
+            }
+            const sources = await resolveSources(inputs.length > 0 ? inputs : ['-'], ndjson);
+            stdout.write(JSON.stringify({ config: { version: SKETCH_FORMAT_VERSION, fingerprint: hasher.fingerprint, options } }) + '\n');
+            for await (const { id, sketch } of sketchSources(hasher, sources, io.stdin)) {
+                const output = encoding === 'base64' ? hasher.serializeSketch(sketch, { encoding: 'base64' }) : sketch;
+                stdout.write(JSON.stringify({ id, sketch: output }) + '\n');
+            }
+            return 0;
+        }
+
+        if (command === 'compare') {
+            if (inputs.length !== 2) {
+                throw new Error('compare expects exactly two inputs');
+            }
+            const sketches = [];
+            for await (const entry of sketchSources(hasher, await resolveSources(inputs, ndjson), io.stdin)) {
+                sketches.push(entry.sketch);
+            }
+            if (sketches.length !== 2) {
+                throw new Error(`compare expects two documents, found ${sketches.length}`);
+            }
+            const result = hasher.compareSketches(sketches[0], sketches[1], { perComponent: cliOptions.perComponent ?? false });
+            stdout.write((typeof result === 'number' ? String(result) : JSON.stringify(result)) + '\n');
+            return 0;
+        }
+
+        if (command === 'matrix' || command === 'dedupe') {
+            if (inputs.length === 0) {
+                throw new Error(`${command} expects a directory or files`);
+            }
+            const sources = await resolveSources(inputs, ndjson);
+            const entries = [];
+            if (options.weighting === 'tfidf' && idf === undefined) {
+                const documents = [];
+                for await (const document of readDocuments(sources, io.stdin)) {
+                    documents.push(document);
+                }
+                hasher.fitIdf(documents.map(document => document.json));
+                for (const { id, json } of documents) {
+                    entries.push({ id, sketch: hasher.generateSketch(json) });
+                }
+            } else {
+                for await (const entry of sketchSources(hasher, sources, io.stdin)) {
+                    entries.push(entry);
+                }
+            }
+
+            if (command === 'matrix') {
+                stdout.write(['file', ...entries.map(entry => entry.id)].map(csvField).join(',') + '\n');
+                for (const row of entries) {
+                    const cells = entries.map(column => hasher.compareSketches(row.sketch, column.sketch).toFixed(4));
+                    stdout.write([csvField(row.id), ...cells].join(',') + '\n');
+                }
+                return 0;
+            }
+
+            const threshold = cliOptions.threshold ?? 0.9;
+            for (const members of clusterNearDuplicates(hasher, entries, threshold)) {
+                stdout.write(JSON.stringify({ size: members.length, members }) + '\n');
+            }
+            return 0;
+        }
+
+        throw new Error(`Unknown command: ${command}`);
+    } catch (error) {
+        stderr.write(`json-hashify: ${error.message}\n`);
+        return 1;
+    }
+}
+
+/**
+ * Groups documents whose sketches are at least `threshold` similar, transitively, using a SketchIndex
+ * to find candidate pairs.
+ * @param {JSONHashify} hasher The hasher.
+ * @param {Array<{id: string, sketch: Array<number>}>} entries Sketched documents.
+ * @param {number} threshold Minimum similarity to link two documents.
+ * @returns {Array<Array<string>>} Clusters of two or more ids, largest first.
+ */
+function clusterNearDuplicates(hasher, entries, threshold) {
+    const index = hasher.createSketchIndex();
+    const parent = entries.map((entry, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+
+    for (var i = 0; i < entries.length; i++) {
+        for (const id of index.candidates(entries[i].sketch)) {
+            if (hasher.compareSketches(entries[i].sketch, entries[id].sketch) >= threshold) {
+                parent[find(i)] = find(id);
+            }
+        }
+        index.add(i, entries[i].sketch);
+    }
+
+    const clusters = new Map();
+    for (var j = 0; j < entries.length; j++) {
+        const root = find(j);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(entries[j].id);
+    }
+    return Array.from(clusters.values())
+        .filter(members => members.length > 1)
+        .sort((a, b) => b.length - a.length);
+}
+
+export { run, parseArgs };
@@ -0,0 +1,78 @@
+/**
+ * Attributes shingles to the node paths that produced them. A shingle produced by several
+ * paths credits each of them equally, and credits are divided by the size of the union, so
+ * the contributions of shared paths sum to the exact Jaccard similarity and the
+ * contributions of unique paths sum to its complement.
+ * @param {Set<number>} shinglesA Thresholded shingle hashes of the first document.
+ * @param {Set<number>} shinglesB Thresholded shingle hashes of the second document.
+ * @param {Map<number, Set<string>>} originsA Paths that produced each shingle hash in the first document.
+ * @param {Map<number, Set<string>>} originsB Paths that produced each shingle hash in the second document.
+ * @returns {{intersectionSize: number, unionSize: number, shared: Array<object>, onlyInA: Array<object>, onlyInB: Array<object>}} The attribution.
+ */
+function attributeShingles(shinglesA, shinglesB, originsA, originsB) {
+    const shared = new Map();
+    const onlyInA = new Map();
+    const onlyInB = new Map();
+    var intersectionSize = 0;
+
+    for (const hash of shinglesA) {
+        if (shinglesB.has(hash)) {
+            intersectionSize++;
+            const paths = new Set(originsA.get(hash));
+            for (const path of originsB.get(hash) || []) paths.add(path);
+            credit(shared, paths);
+        } else {
+            credit(onlyInA, originsA.get(hash));
+        }
+    }
+    for (const hash of shinglesB) {
+        if (!shinglesA.has(hash)) {
+            credit(onlyInB, originsB.get(hash));
+        }
+    }
+
+    const unionSize = shinglesA.size + shinglesB.size - intersectionSize;
+    return {
+        intersectionSize,
+        unionSize,
+        shared: rank(shared, unionSize),
+        onlyInA: rank(onlyInA, unionSize),
+        onlyInB: rank(onlyInB, unionSize)
+    };
+}
+
+/**
+ * Splits one shingle's credit between the paths that produced it.
+ * @param {Map<string, {shingles: number, credit: number}>} totals Running totals per path.
+ * @param {Set<string>|undefined} paths Originating paths of the shingle.
+ */
+function credit(totals, paths) {
+    if (!paths || paths.size === 0) return;
+    const share = 1 / paths.size;
+    for (const path of paths) {
+        var total = totals.get(path);
+        if (!total) {
+            total = { shingles: 0, credit: 0 };
+            totals.set(path, total);
+        }
+        total.shingles++;
+        total.credit += share;
+    }
+}
+
+/**
+ * Converts per-path totals to a list ranked by contribution.
+ * @param {Map<string, {shingles: number, credit: number}>} totals Totals per path.
+ * @param {number} unionSize Size of the union of both shingle sets.
+ * @returns {Array<{path: string, shingles: number, contribution: number}>} Entries, highest contribution first.
+ */
+function rank(totals, unionSize) {
+    const entries = [];
+    for (const [path, total] of totals) {
+        entries.push({ path, shingles: total.shingles, contribution: unionSize === 0 ? 0 : total.credit / unionSize });
+    }
+    entries.sort((a, b) => b.contribution - a.contribution || (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    return entries;
+}
+
+export { attributeShingles };
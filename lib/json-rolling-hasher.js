@@ -0,0 +1,221 @@
+import { murmurhash3_32_gc_single_int } from 'grouped-oph';
+import { fnv1a32 } from './sketch-format.js';
+
+const GEAR_SEED = 0x9E3779B9;
+const CHUNK_SEED = 0x85EBCA6B;
+const ELEMENT_SEED = 0xC2B2AE35;
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+/**
+ * Summarises large values (long strings, long arrays of scalars) by a bounded content-defined
+ * fingerprint instead of one shingle per character or element.
+ *
+ * The value is cut into chunks wherever a gear rolling hash over the preceding items hits a
+ * boundary pattern, so chunk boundaries depend only on nearby content: a small edit changes the
+ * one or two chunks around it and leaves the rest intact. Each chunk is hashed, and the
+ * fingerprint is the `fingerprintSize` smallest distinct chunk hashes (a bottom-k sample), so its
+ * size is bounded no matter how large the value is, while two values sharing most chunks share
+ * most of their fingerprint.
+ */
+class JsonRollingHasher {
+    /**
+     * @param {object} [options={}] Options.
+     * @param {number} [options.averageChunkSize=32] Average string chunk length in characters (a power of two).
+     * @param {number} [options.averageRunLength=4] Average number of array elements per chunk (a power of two).
+     * @param {number} [options.fingerprintSize=32] Maximum number of hashes in a fingerprint.
+     * @param {number} [options.seed=0] Seed mixed into chunk and element hashes; chunk boundaries do not depend on it.
+     */
+    constructor(options = {}) {
+        this.averageChunkSize = options.averageChunkSize ?? 32;
+        this.averageRunLength = options.averageRunLength ?? 4;
+        this.fingerprintSize = options.fingerprintSize ?? 32;
+        this._chunkSeed = (CHUNK_SEED ^ (options.seed ?? 0)) >>> 0;
+        this._elementSeed = (ELEMENT_SEED ^ (options.seed ?? 0)) >>> 0;
+
+        if (!isPowerOfTwo(this.averageChunkSize) || !isPowerOfTwo(this.averageRunLength)) {
+            throw new Error('averageChunkSize and averageRunLength must be powers of two');
+        }
+        if (!Number.isInteger(this.fingerprintSize) || this.fingerprintSize < 1) {
+            throw new Error('fingerprintSize must be a positive integer');
+        }
+
+        this._minChunkSize = Math.max(1, this.averageChunkSize >>> 2);
+        this._maxChunkSize = this.averageChunkSize * 8;
+        this._chunkShift = 32 - Math.log2(this.averageChunkSize);
+        this._runShift = 32 - Math.log2(this.averageRunLength);
+        this._maxRunLength = this.averageRunLength * 8;
+        this._gear = new Uint32Array(256);
+        for (var i = 0; i < 256; i++) {
+            this._gear[i] = murmurhash3_32_gc_single_int(i, GEAR_SEED);
+        }
+    }
+
+    /**
+     * Fingerprints a string by content-defined chunks of its characters.
+     * @param {string} str The string.
+     * @returns {Array<number>} Up to `fingerprintSize` chunk hashes, ascending.
+     */
+    fingerprintString(str) {
+        const chunkHashes = new Set();
+        var gear = 0;
+        var chunkHash = FNV_OFFSET;
+        var chunkLength = 0;
+        for (var i = 0; i < str.length; i++) {
+            const code = str.charCodeAt(i);
+            gear = ((gear << 1) + (code < 256 ? this._gear[code] : murmurhash3_32_gc_single_int(code, GEAR_SEED))) >>> 0;
+            chunkHash = Math.imul(chunkHash ^ code, FNV_PRIME);
+            chunkLength++;
+            if ((chunkLength >= this._minChunkSize && gear >>> this._chunkShift === 0) || chunkLength >= this._maxChunkSize) {
+                chunkHashes.add(murmurhash3_32_gc_single_int(chunkHash >>> 0, this._chunkSeed));
+                chunkHash = FNV_OFFSET;
+                chunkLength = 0;
+            }
+        }
+        if (chunkLength > 0) {
+            chunkHashes.add(murmurhash3_32_gc_single_int(chunkHash >>> 0, this._chunkSeed));
+        }
+        return this._bottomK(chunkHashes);
+    }
+
+    /**
+     * Fingerprints a sequence of element hashes. Ordered sequences are chunked like strings, so
+     * reordering far-apart elements changes only the chunks involved; unordered sequences are
+     * treated as the set of their elements.
+     * @param {Array<number>} elementHashes Hashes of the elements (see `hashElement`).
+     * @param {boolean} ordered Whether element order matters.
+     * @returns {Array<number>} Up to `fingerprintSize` hashes, ascending.
+     */
+    fingerprintSequence(elementHashes, ordered) {
+        const fingerprinter = this.createSequenceFingerprinter(ordered);
+        for (var i = 0; i < elementHashes.length; i++) {
+            fingerprinter.add(elementHashes[i]);
+        }
+        return fingerprinter.digest();
+    }
+
+    /**
+     * Starts fingerprinting a sequence whose elements arrive one at a time. The result equals
+     * `fingerprintSequence` of the same hashes, but only the running chunk and the current
+     * bottom-k sample are held, so memory does not grow with the sequence.
+     * @param {boolean} ordered Whether element order matters.
+     * @returns {SequenceFingerprinter} The fingerprinter.
+     */
+    createSequenceFingerprinter(ordered) {
+        return new SequenceFingerprinter(this, ordered);
+    }
+
+    /**
+     * Hashes one array element's value string.
+     * @param {string} valueString The element's value, as used in node strings.
+     * @returns {number} Unsigned 32-bit hash.
+     */
+    hashElement(valueString) {
+        return murmurhash3_32_gc_single_int(fnv1a32(valueString), this._elementSeed);
+    }
+
+    /**
+     * The smallest `fingerprintSize` hashes of a set.
+     * @private
+     * @param {Set<number>} hashes Distinct hashes.
+     * @returns {Array<number>} Ascending hashes.
+     */
+    _bottomK(hashes) {
+        const sorted = Array.from(hashes).sort((a, b) => a - b);
+        if (sorted.length > this.fingerprintSize) {
+            sorted.length = this.fingerprintSize;
+        }
+        return sorted;
+    }
+}
+
+/**
+ * Incremental form of `JsonRollingHasher#fingerprintSequence`: ordered sequences are chunked by the
+ * same gear hash, and the distinct chunk (or, unordered, element) hashes are sampled bottom-k online.
+ */
+class SequenceFingerprinter {
+    /**
+     * @param {JsonRollingHasher} rollingHasher The hasher whose parameters are used.
+     * @param {boolean} ordered Whether element order matters.
+     */
+    constructor(rollingHasher, ordered) {
+        this._rollingHasher = rollingHasher;
+        this._ordered = ordered;
+        this._gear = 0;
+        this._chunkHash = rollingHasher._chunkSeed;
+        this._runLength = 0;
+        this._sample = [];
+    }
+
+    /**
+     * Adds the next element.
+     * @param {number} elementHash Hash of the element (see `JsonRollingHasher#hashElement`).
+     */
+    add(elementHash) {
+        if (!this._ordered) {
+            this._keep(elementHash);
+            return;
+        }
+        const rollingHasher = this._rollingHasher;
+        this._gear = ((this._gear << 1) + elementHash) >>> 0;
+        this._chunkHash = murmurhash3_32_gc_single_int((this._chunkHash ^ elementHash) >>> 0, rollingHasher._chunkSeed);
+        this._runLength++;
+        if (this._gear >>> rollingHasher._runShift === 0 || this._runLength >= rollingHasher._maxRunLength) {
+            this._keep(this._chunkHash);
+            this._chunkHash = rollingHasher._chunkSeed;
+            this._runLength = 0;
+        }
+    }
+
+    /**
+     * The fingerprint of the elements added so far.
+     * @returns {Array<number>} Up to `fingerprintSize` hashes, ascending.
+     */
+    digest() {
+        const sample = this._sample.slice();
+        if (this._ordered && this._runLength > 0) {
+            insertBottomK(sample, this._chunkHash, this._rollingHasher.fingerprintSize);
+        }
+        return sample;
+    }
+
+    /**
+     * Offers a hash to the bottom-k sample.
+     * @private
+     * @param {number} hash The hash.
+     */
+    _keep(hash) {
+        insertBottomK(this._sample, hash, this._rollingHasher.fingerprintSize);
+    }
+}
+
+/**
+ * Inserts a hash into an ascending array of at most `k` distinct hashes, keeping the smallest.
+ * @param {Array<number>} sample The ascending hashes; updated in place.
+ * @param {number} hash The hash.
+ * @param {number} k Maximum sample size.
+ */
+function insertBottomK(sample, hash, k) {
+    if (sample.length === k && hash >= sample[k - 1]) return;
+    var low = 0;
+    var high = sample.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (sample[mid] < hash) low = mid + 1;
+        else high = mid;
+    }
+    if (sample[low] === hash) return;
+    sample.splice(low, 0, hash);
+    if (sample.length > k) sample.length = k;
+}
+
+/**
+ * Whether a number is a positive integer power of two.
+ * @param {number} n The number.
+ * @returns {boolean}
+ */
+function isPowerOfTwo(n) {
+    return Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0;
+}
+
+export { JsonRollingHasher };
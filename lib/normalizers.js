@@ -0,0 +1,109 @@
+const UUID_PATTERN = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+// Groups: the date, the time of day and the UTC offset.
+const ISO_DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}:?\d{2})?)?$/i;
+const DATE_UNITS = ['year', 'month', 'day', 'hour', 'minute', 'second'];
+
+/**
+ * Built-in value normalizers. Each factory takes the normalizer's options and returns
+ * a `(path, value) => canonical` function; values of other types pass through unchanged.
+ */
+const BUILT_IN_NORMALIZERS = {
+    /** Lower-cases strings (case folding), e.g. for emails. */
+    lowercase: () => (path, value) => typeof value === 'string' ? value.toLowerCase() : value,
+
+    /** Trims strings and collapses runs of whitespace to a single space. */
+    collapseWhitespace: () => (path, value) => typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : value,
+
+    /** Replaces UUIDs inside strings with `<uuid>`. */
+    maskUuid: () => (path, value) => typeof value === 'string' ? value.replace(UUID_PATTERN, '<uuid>') : value,
+
+    /** Replaces hex runs of at least `minLength` digits (optionally 0x-prefixed) inside strings with `<hex>`. */
+    maskHex: ({ minLength = 8 } = {}) => {
+        const pattern = new RegExp(`\\b(?:0x)?[0-9a-f]{${minLength},}\\b`, 'gi');
+        return (path, value) => typeof value === 'string' ? value.replace(pattern, '<hex>') : value;
+    },
+
+    /** Rounds numbers to `digits` decimal places. */
+    round: ({ digits = 0 } = {}) => {
+        const factor = Math.pow(10, digits);
+        return (path, value) => typeof value === 'number' && Number.isFinite(value) ? Math.round(value * factor) / factor : value;
+    },
+
+    /** Replaces numbers by the lower bound of their bucket of width `size`. */
+    bucket: ({ size = 1 } = {}) => {
+        if (!(size > 0)) {
+            throw new Error('bucket normalizer size must be positive');
+        }
+        return (path, value) => typeof value === 'number' && Number.isFinite(value) ? Math.floor(value / size) * size : value;
+    },
+
+    /**
+     * Truncates ISO 8601 date strings to the given `unit` (year, month, day, hour, minute or second), in UTC.
+     * Times without an offset are read as UTC, not local time, so the result does not depend on the machine's time zone.
+     */
+    truncateDate: ({ unit = 'second' } = {}) => {
+        const unitIndex = DATE_UNITS.indexOf(unit);
+        if (unitIndex === -1) {
+            throw new Error(`truncateDate normalizer unit must be one of: ${DATE_UNITS.join(', ')}`);
+        }
+        return (path, value) => {
+            const match = typeof value === 'string' ? ISO_DATE_PATTERN.exec(value) : null;
+            if (match === null) return value;
+            const [, day, timeOfDay, offset] = match;
+            const date = new Date(timeOfDay === undefined ? day : `${day}T${timeOfDay}${offset === undefined ? 'Z' : offset.toUpperCase()}`);
+            const time = date.getTime();
+            if (Number.isNaN(time)) return value;
+            const fields = [
+                date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+                date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()
+            ];
+            for (var i = unitIndex + 1; i < fields.length; i++) {
+                fields[i] = i === 2 ? 1 : 0;
+            }
+            return new Date(Date.UTC(fields[0], fields[1], fields[2], fields[3], fields[4], fields[5])).toISOString();
+        };
+    },
+
+    /** Replaces every value by its JSON type (`<string>`, `<number>`, `<boolean>` or `<null>`). */
+    typeOnly: () => (path, value) => value === null ? '<null>' : `<${typeof value}>`
+};
+
+/**
+ * Compiles `options.valueNormalizers` into a single function.
+ * Each entry is a built-in name ('lowercase'), a built-in with options ({type: 'round', digits: 2}),
+ * or a custom `(path, value) => canonical` function. Entries are applied in order.
+ * @param {Array<string|object|function>} specs The normalizer specifications.
+ * @returns {{normalize: function(string, *): *, descriptor: Array<*>}} The combined normalizer and its
+ *          fingerprint descriptor (custom functions are described by their source text).
+ */
+function compileValueNormalizers(specs) {
+    if (!Array.isArray(specs)) {
+        throw new Error('valueNormalizers must be an array');
+    }
+    const steps = [];
+    const descriptor = [];
+    for (const spec of specs) {
+        if (typeof spec === 'function') {
+            steps.push(spec);
+            descriptor.push({ type: 'custom', source: String(spec) });
+            continue;
+        }
+        const config = typeof spec === 'string' ? { type: spec } : spec;
+        const factory = config && Object.prototype.hasOwnProperty.call(BUILT_IN_NORMALIZERS, config.type) ? BUILT_IN_NORMALIZERS[config.type] : null;
+        if (!factory) {
+            throw new Error(`Unknown value normalizer: ${config && config.type}. Expected a function or one of: ${Object.keys(BUILT_IN_NORMALIZERS).join(', ')}`);
+        }
+        steps.push(factory(config));
+        descriptor.push(config);
+    }
+
+    const normalize = (path, value) => {
+        for (var i = 0; i < steps.length; i++) {
+            value = steps[i](path, value);
+        }
+        return value;
+    };
+    return { normalize, descriptor };
+}
+
+export { BUILT_IN_NORMALIZERS, compileValueNormalizers };
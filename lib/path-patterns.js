@@ -0,0 +1,231 @@
+/**
+ * Path patterns for `ignorePaths` / `includePaths`.
+ *
+ * A pattern is matched against the logical path of a node from the root: its sequence of object
+ * keys and array indices (independent of `preserveArrayOrder`). Supported syntax, with an
+ * optional leading `$` or `$root`:
+ *   - `a.b`, `['a b']`, `["a.b"]`  object keys
+ *   - `[0]`                       a specific array index
+ *   - `[*]`                       any array index
+ *   - `*`                         any single key or index
+ *   - `**`                        zero or more keys or indices (JSONPath `..` is equivalent)
+ *   - `time*`                     a key glob, where `*` matches any run of characters
+ * Patterns are anchored at the root: `data[*].id` only matches `id` directly under elements of `data`.
+ *
+ * All patterns are compiled into one NFA whose states are positions within a pattern. Matching
+ * state for a node is the set of live positions, derived from its parent's set one segment at a time.
+ */
+
+/**
+ * Parses a pattern string into segment matchers.
+ * @param {string} pattern The pattern.
+ * @returns {Array<{kind: string, value?: *}>} Segment matchers.
+ */
+function parsePathPattern(pattern) {
+    if (typeof pattern !== 'string') {
+        throw new Error(`Invalid path pattern ${JSON.stringify(pattern)}: must be a string`);
+    }
+    const fail = (reason) => {
+        throw new Error(`Invalid path pattern "${pattern}": ${reason}`);
+    };
+
+    const segments = [];
+    var i = 0;
+    if (pattern.startsWith('$root')) {
+        i = 5;
+    } else if (pattern.startsWith('$')) {
+        i = 1;
+    }
+    var expectSegment = i === 0; // A leading key needs no separator
+
+    while (i < pattern.length) {
+        const ch = pattern[i];
+        if (ch === '.') {
+            if (pattern[i + 1] === '.') {
+                segments.push({ kind: 'deep' });
+                i += 2;
+            } else {
+                i++;
+            }
+            if (i >= pattern.length) fail('trailing separator');
+            expectSegment = true;
+            continue;
+        }
+        if (ch === '[') {
+            const close = findBracketEnd(pattern, i, fail);
+            segments.push(parseBracket(pattern.slice(i + 1, close), fail));
+            i = close + 1;
+            expectSegment = false;
+            continue;
+        }
+        if (!expectSegment) fail(`unexpected character "${ch}" at ${i}`);
+
+        var end = i;
+        while (end < pattern.length && pattern[end] !== '.' && pattern[end] !== '[') end++;
+        const name = pattern.slice(i, end);
+        if (name === '**') {
+            segments.push({ kind: 'deep' });
+        } else if (name === '*') {
+            segments.push({ kind: 'any' });
+        } else if (name.includes('*')) {
+            const source = name.split('*').map(part => part.replace(/[\\^$.|?+()[\]{}]/g, '\\$&')).join('.*');
+            segments.push({ kind: 'glob', value: new RegExp(`^${source}$`) });
+        } else {
+            segments.push({ kind: 'key', value: name });
+        }
+        i = end;
+        expectSegment = false;
+    }
+    return segments;
+}
+
+/**
+ * Finds the closing bracket of a bracket segment, skipping quoted keys.
+ * @param {string} pattern The pattern.
+ * @param {number} open Index of the opening bracket.
+ * @param {function(string): never} fail Error reporter.
+ * @returns {number} Index of the closing bracket.
+ */
+function findBracketEnd(pattern, open, fail) {
+    const quote = pattern[open + 1];
+    if (quote === '\'' || quote === '"') {
+        var j = open + 2;
+        while (j < pattern.length && pattern[j] !== quote) {
+            if (pattern[j] === '\\') j++;
+            j++;
+        }
+        if (pattern[j + 1] !== ']') fail('unterminated bracket');
+        return j + 1;
+    }
+    const close = pattern.indexOf(']', open);
+    if (close === -1) fail('unterminated bracket');
+    return close;
+}
+
+/**
+ * Parses the contents of a bracket segment.
+ * @param {string} inner Text between the brackets.
+ * @param {function(string): never} fail Error reporter.
+ * @returns {{kind: string, value?: *}} Segment matcher.
+ */
+function parseBracket(inner, fail) {
+    if (inner === '*') return { kind: 'anyIndex' };
+    if (/^\d+$/.test(inner)) return { kind: 'index', value: Number(inner) };
+    const quote = inner[0];
+    if ((quote === '\'' || quote === '"') && inner[inner.length - 1] === quote && inner.length >= 2) {
+        return { kind: 'key', value: inner.slice(1, -1).replace(/\\(.)/g, '$1') };
+    }
+    fail(`unsupported bracket [${inner}]`);
+}
+
+/**
+ * Whether a path segment satisfies a segment matcher.
+ * @param {{kind: string, value?: *}} matcher Segment matcher.
+ * @param {string|number} segment Object key (string) or array index (number).
+ * @returns {boolean}
+ */
+function segmentMatches(matcher, segment) {
+    switch (matcher.kind) {
+        case 'any': return true;
+        case 'anyIndex': return typeof segment === 'number';
+        case 'index': return segment === matcher.value;
+        case 'key': return segment === matcher.value;
+        case 'glob': return typeof segment === 'string' && matcher.value.test(segment);
+        default: return false;
+    }
+}
+
+/**
+ * A set of compiled path patterns.
+ */
+class PathMatcher {
+    /**
+     * @param {Array<string>} patterns Pattern strings.
+     */
+    constructor(patterns) {
+        this.patterns = Array.from(patterns);
+        this._matchers = [];  // Segment matcher per position; null marks an accepting position
+        const starts = [];
+        for (const pattern of this.patterns) {
+            starts.push(this._matchers.length);
+            for (const segment of parsePathPattern(pattern)) {
+                this._matchers.push(segment);
+            }
+            this._matchers.push(null);
+        }
+        this._initial = this._closure(starts);
+    }
+
+    /**
+     * State of the root node.
+     * @returns {Array<number>} Live positions.
+     */
+    initial() {
+        return this._initial;
+    }
+
+    /**
+     * State of a child node.
+     * @param {Array<number>} state The parent's state.
+     * @param {string|number} segment The child's object key (string) or array index (number).
+     * @returns {Array<number>} Live positions.
+     */
+    step(state, segment) {
+        const next = [];
+        for (var s = 0; s < state.length; s++) {
+            const position = state[s];
+            const matcher = this._matchers[position];
+            if (matcher === null) continue;
+            if (matcher.kind === 'deep') {
+                next.push(position);
+            } else if (segmentMatches(matcher, segment)) {
+                next.push(position + 1);
+            }
+        }
+        return next.length === 0 ? next : this._closure(next);
+    }
+
+    /**
+     * Whether a state has matched any pattern completely.
+     * @param {Array<number>} state Live positions.
+     * @returns {boolean}
+     */
+    matches(state) {
+        for (var s = 0; s < state.length; s++) {
+            if (this._matchers[state[s]] === null) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Whether some descendant could still match.
+     * @param {Array<number>} state Live positions.
+     * @returns {boolean}
+     */
+    alive(state) {
+        for (var s = 0; s < state.length; s++) {
+            if (this._matchers[state[s]] !== null) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Adds the positions reachable by letting `**` match zero segments, deduplicated and sorted.
+     * @private
+     * @param {Array<number>} positions Positions.
+     * @returns {Array<number>} Closed state.
+     */
+    _closure(positions) {
+        const closed = new Set();
+        for (var position of positions) {
+            closed.add(position);
+            while (this._matchers[position] !== null && this._matchers[position].kind === 'deep') {
+                position++;
+                closed.add(position);
+            }
+        }
+        return Array.from(closed).sort((a, b) => a - b);
+    }
+}
+
+export { PathMatcher, parsePathPattern };
@@ -0,0 +1,90 @@
+/**
+ * Constructor options for hashing syntax trees. Each preset labels nodes by their `type` member, drops
+ * source positions and comments, and picks the array semantics that suit the format. With
+ * `{anonymize: true}` identifier names and literal values are hashed as their type only, so clones that
+ * differ only in naming or constants get identical sketches.
+ *
+ * Presets return plain options objects, to be spread into the constructor options and overridden:
+ * `new JSONHashify({ ...JSONHashify.presets.estree({ anonymize: true }), numHashFunctions: 64 })`.
+ */
+
+// Members holding names and literal values, by node type.
+const ESTREE_ANONYMIZE = {
+    Identifier: ['name'],
+    PrivateIdentifier: ['name'],
+    Literal: ['value', 'raw', 'regex', 'bigint'],
+    TemplateElement: ['value'],
+    JSXIdentifier: ['name'],
+    JSXText: ['value', 'raw']
+};
+
+const BABEL_ANONYMIZE = {
+    Identifier: ['name'],
+    StringLiteral: ['value'],
+    NumericLiteral: ['value'],
+    BigIntLiteral: ['value'],
+    DecimalLiteral: ['value'],
+    BooleanLiteral: ['value'],
+    RegExpLiteral: ['pattern', 'flags'],
+    DirectiveLiteral: ['value'],
+    TemplateElement: ['value'],
+    JSXIdentifier: ['name'],
+    JSXText: ['value']
+};
+
+// unist literals keep their content in `value`; mdast links, images and definitions add the rest.
+const UNIST_ANONYMIZE = {
+    '*': ['value', 'url', 'title', 'alt', 'identifier', 'label']
+};
+
+/**
+ * Options for ESTree programs (acorn, espree, esprima, meriyah). Statement and argument lists are hashed
+ * without positions, so inserting or moving a statement does not change the paths of its siblings.
+ * @param {object} [presetOptions={}] Preset options.
+ * @param {boolean} [presetOptions.anonymize=false] Hash identifier names and literal values as their type only.
+ * @returns {object} JSONHashify constructor options.
+ */
+function estree(presetOptions = {}) {
+    return {
+        labelKey: 'type',
+        ignoreKeys: ['loc', 'range', 'start', 'end', 'comments', 'tokens', 'leadingComments', 'trailingComments'],
+        preserveArrayOrder: false,
+        ...(presetOptions.anonymize ? { anonymize: ESTREE_ANONYMIZE } : {})
+    };
+}
+
+/**
+ * Options for Babel ASTs, which replace ESTree's `Literal` with one node type per kind of literal and
+ * keep raw source text and parentheses under `extra`.
+ * @param {object} [presetOptions={}] Preset options.
+ * @param {boolean} [presetOptions.anonymize=false] Hash identifier names and literal values as their type only.
+ * @returns {object} JSONHashify constructor options.
+ */
+function babel(presetOptions = {}) {
+    return {
+        labelKey: 'type',
+        ignoreKeys: ['loc', 'range', 'start', 'end', 'extra', 'comments', 'tokens', 'errors', 'leadingComments', 'trailingComments', 'innerComments'],
+        preserveArrayOrder: false,
+        ...(presetOptions.anonymize ? { anonymize: BABEL_ANONYMIZE } : {})
+    };
+}
+
+/**
+ * Options for unist trees (mdast, hast, xast, nlcst). `children` are content in reading order, so
+ * element positions are kept.
+ * @param {object} [presetOptions={}] Preset options.
+ * @param {boolean} [presetOptions.anonymize=false] Hash text, URLs, titles and reference labels as their type only.
+ * @returns {object} JSONHashify constructor options.
+ */
+function unist(presetOptions = {}) {
+    return {
+        labelKey: 'type',
+        ignoreKeys: ['position'],
+        preserveArrayOrder: true,
+        ...(presetOptions.anonymize ? { anonymize: UNIST_ANONYMIZE } : {})
+    };
+}
+
+const presets = { estree, babel, unist };
+
+export { presets };
@@ -0,0 +1,82 @@
+import { createHash } from 'node:crypto';
+
+const MODES = ['content', 'shape'];
+
+// A value of each shape type, used to rebuild a canonical shape as a JSON document.
+const REPRESENTATIVES = { string: '', integer: 0, number: 0.5, boolean: false, null: null };
+
+/**
+ * The shape type of a leaf value: integers are told apart from other numbers.
+ * @param {*} value A JSON scalar.
+ * @returns {'string'|'integer'|'number'|'boolean'|'null'} The type.
+ */
+function shapeType(value) {
+    if (value === null) return 'null';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Infers the canonical shape of a document tree: every leaf becomes its shape type, object members are
+ * sorted by key, and an array becomes the set of its distinct element shapes, sorted. Two documents with
+ * the same schema, whatever their values, array lengths, element order or key order, get the same shape.
+ * Object labels (see the `labelKey` option) are part of the shape.
+ * @param {{rowPtr: Array<number>, colIndices: Array<number>, nodeMap: Map<number, object>}} csrData The document's tree.
+ * @param {string} [labelKey] The key labelled objects get their label back under in the rebuilt document.
+ * @returns {{string: string, value: *}} The shape as a canonical string, and as a JSON document with one
+ *          representative value per leaf type (e.g. `0` for integers) that has the same shape.
+ */
+function canonicalShape(csrData, labelKey) {
+    const { rowPtr, colIndices, nodeMap } = csrData;
+    const strings = new Array(nodeMap.size);
+    const values = new Array(nodeMap.size);
+
+    // Children are created after their parent, so descending ids see every child first.
+    for (var id = nodeMap.size - 1; id >= 0; id--) {
+        const node = nodeMap.get(id);
+        if (node.type === undefined) {
+            const type = shapeType(node.value);
+            strings[id] = JSON.stringify(type);
+            values[id] = REPRESENTATIVES[type];
+        } else if (node.type === 'object') {
+            const members = [];
+            for (var c = rowPtr[id]; c < rowPtr[id + 1]; c++) {
+                members.push(colIndices[c]);
+            }
+            members.sort((a, b) => (nodeMap.get(a).key < nodeMap.get(b).key ? -1 : nodeMap.get(a).key > nodeMap.get(b).key ? 1 : 0));
+            const value = {};
+            if (node.label !== undefined) value[labelKey] = node.label;
+            for (const member of members) {
+                value[nodeMap.get(member).key] = values[member];
+            }
+            strings[id] = (node.label === undefined ? '' : '<' + JSON.stringify(node.label) + '>') + '{' + members.map(member => JSON.stringify(nodeMap.get(member).key) + ':' + strings[member]).join(',') + '}';
+            values[id] = value;
+        } else {
+            const elements = new Map();
+            if (node.elements !== undefined) {
+                for (const element of node.elements) {
+                    const type = shapeType(element);
+                    elements.set(JSON.stringify(type), REPRESENTATIVES[type]);
+                }
+            }
+            for (var c = rowPtr[id]; c < rowPtr[id + 1]; c++) {
+                elements.set(strings[colIndices[c]], values[colIndices[c]]);
+            }
+            const sorted = Array.from(elements.keys()).sort();
+            strings[id] = '[' + sorted.join(',') + ']';
+            values[id] = sorted.map(string => elements.get(string));
+        }
+    }
+    return { string: strings[0], value: values[0] };
+}
+
+/**
+ * Hashes a canonical shape string.
+ * @param {string} shapeString The string from `canonicalShape`.
+ * @returns {string} Hex SHA-256 digest.
+ */
+function shapeDigest(shapeString) {
+    return createHash('sha256').update(shapeString).digest('hex');
+}
+
+export { MODES, shapeType, canonicalShape, shapeDigest };
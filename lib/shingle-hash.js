@@ -0,0 +1,77 @@
+import { murmurhash3_32_gc_single_int } from 'grouped-oph';
+
+// Each k-character window is reduced to a polynomial rolling hash modulo a prime, which the hash
+// function then spreads over 32 bits. The residues only span ~2^30 values, so 64-bit shingle hashes
+// add a second, independent rolling hash modulo 2^31 - 1 and concatenate both hashed residues.
+const ROLLING_PRIME_BASE = 257;
+const ROLLING_PRIME_MODULUS = 1000000007;
+const WIDE_ROLLING_PRIME_MODULUS = 2147483647;
+
+const HASH_BITS = [32, 64];
+
+// Seeded bases stay below 2^21, so `residue * base + charCode` never exceeds 2^53.
+const MAX_ROLLING_BASE = 1 << 21;
+const BASE_SALT = 0x27D4EB2F;
+const WIDE_BASE_SALT = 0x165667B1;
+const WIDE_HASH_SALT = 0x9E3779B9;
+
+/**
+ * Rolling hash parameters for a seed. Seed 0 keeps the historical base, so sketches made before seeds
+ * existed stay comparable; other seeds draw their bases from the seed, so two seeds disagree on which
+ * windows collide as well as on every hash.
+ * @param {number} seed Unsigned 32-bit seed.
+ * @returns {{base: number, wideBase: number, wideSeed: number}} The base of the 32-bit rolling hash, the base
+ *          of the second rolling hash used for 64-bit hashes, and the hash function seed of that second half.
+ */
+function rollingParameters(seed) {
+    const drawBase = (salt) => 256 + murmurhash3_32_gc_single_int(seed, salt) % (MAX_ROLLING_BASE - 256);
+    return {
+        base: seed === 0 ? ROLLING_PRIME_BASE : drawBase(BASE_SALT),
+        wideBase: drawBase(WIDE_BASE_SALT),
+        wideSeed: (seed ^ WIDE_HASH_SALT) >>> 0
+    };
+}
+
+/**
+ * base^(k-1) modulo `modulus`, the weight of the character leaving a k-character window.
+ * @param {number} base The rolling hash base.
+ * @param {number} modulus The rolling hash modulus.
+ * @param {number} k The window size.
+ * @returns {number} The power.
+ */
+function rollingPower(base, modulus, k) {
+    var power = 1;
+    for (var i = 0; i < k - 1; i++) {
+        power = (power * base) % modulus;
+    }
+    return power;
+}
+
+/**
+ * Concatenates two unsigned 32-bit hashes into a 64-bit shingle hash.
+ * @param {number} high The high 32 bits.
+ * @param {number} low The low 32 bits.
+ * @returns {bigint} The 64-bit hash.
+ */
+function wideHash(high, low) {
+    return (BigInt(high >>> 0) << 32n) | BigInt(low >>> 0);
+}
+
+/**
+ * Folds a 64-bit shingle hash to the unsigned 32-bit element hashed by Grouped-OPH; 32-bit hashes pass through.
+ * @param {number|bigint} hash A shingle hash.
+ * @returns {number} Unsigned 32-bit hash.
+ */
+function foldHash(hash) {
+    return typeof hash === 'bigint' ? Number(BigInt.asUintN(32, hash ^ (hash >> 32n))) : hash;
+}
+
+export {
+    ROLLING_PRIME_MODULUS,
+    WIDE_ROLLING_PRIME_MODULUS,
+    HASH_BITS,
+    rollingParameters,
+    rollingPower,
+    wideHash,
+    foldHash
+};
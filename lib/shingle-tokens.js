@@ -0,0 +1,46 @@
+// How node strings are cut into shingles (see `options.shingleMode`).
+const SHINGLE_MODES = ['chars', 'codepoints', 'pathSegments', 'tokens'];
+
+// Modes whose shingles are n-grams of tokens; `shingleSize` then counts tokens.
+const TOKEN_MODES = ['pathSegments', 'tokens'];
+
+// Bracketed path segments ([0], [#digest], <Label>) stay whole; anything else splits into runs of letters,
+// digits, '_' and '$', so path separators, the ':' before a value and punctuation in values all end a token.
+const SEGMENT_PATTERN = /\[[^\]]*\]|<[^>]*>|[\p{L}\p{M}\p{N}_$]+/gu;
+
+// Words of an identifier: an uppercase run before a capitalised word (HTTP|Server), capitalised or lowercase
+// words, digit runs, and letters without case.
+const WORD_PATTERN = /\p{Lu}+(?![\p{Ll}\p{M}])|\p{Lu}?[\p{Ll}\p{M}]+|\p{N}+|[\p{L}\p{M}]+/gu;
+
+/**
+ * Splits a string into the symbols shingled by a mode other than 'chars'.
+ * - 'codepoints': Unicode code points, so surrogate pairs are never split.
+ * - 'pathSegments': path segments and value words.
+ * - 'tokens': like 'pathSegments', with identifiers further split at camelCase, snake_case and digit
+ *   boundaries and lowercased, so `userName`, `user_name` and `UserName` all become `user`, `name`.
+ * A string without any token is a single token.
+ * @param {string} str The string.
+ * @param {string} mode The shingle mode.
+ * @returns {Array<string>} The symbols, in order.
+ */
+function tokenize(str, mode) {
+    if (mode === 'codepoints') {
+        return Array.from(str);
+    }
+    const tokens = [];
+    for (const [segment] of str.matchAll(SEGMENT_PATTERN)) {
+        if (mode === 'pathSegments' || segment[0] === '[' || segment[0] === '<') {
+            tokens.push(segment);
+            continue;
+        }
+        for (const [word] of segment.matchAll(WORD_PATTERN)) {
+            tokens.push(word.toLowerCase());
+        }
+    }
+    if (tokens.length === 0 && str.length > 0) {
+        tokens.push(str);
+    }
+    return tokens;
+}
+
+export { SHINGLE_MODES, TOKEN_MODES, tokenize };
@@ -0,0 +1,81 @@
+/**
+ * Finds a basis of a one-permutation-hashing signature: a subset of its elements with the same signature.
+ *
+ * A one-permutation signature depends only on the element that owns each bin (the one with the minimum
+ * hash there); empty bins are then filled from the owned ones by densification. The owners of the bins
+ * of a union are among the owners of its parts' bins, so the signature of a union is the signature of
+ * the union of its parts' bases, densification included, and a basis is all a sketch needs to keep to be
+ * merged exactly.
+ *
+ * The signature function is used as a black box. Elements are offered `binCount` at a time: a batch that
+ * leaves the signature of the basis unchanged owns no bin and is dropped whole, and one that changes it
+ * is halved until its owners are found. Owners displaced by later elements are pruned whenever the basis
+ * outgrows twice the number of bins, and once at the end, so the result has at most one element per bin.
+ * @param {Array<number>} elements The sketched element hashes.
+ * @param {function(Array<number>): Array<number>} signatureOf Signature of a list of elements.
+ * @param {number} binCount Number of bins in a signature.
+ * @returns {Array<number>} The basis.
+ */
+function signatureBasis(elements, signatureOf, binCount) {
+    const state = { basis: elements.slice(0, binCount), signature: null };
+    if (elements.length <= binCount) {
+        return state.basis;
+    }
+    state.signature = signatureOf(state.basis);
+    for (var start = binCount; start < elements.length; start += binCount) {
+        addOwners(state, elements.slice(start, start + binCount), signatureOf);
+        if (state.basis.length > 2 * binCount) {
+            pruneBasis(state, signatureOf);
+        }
+    }
+    pruneBasis(state, signatureOf);
+    return state.basis;
+}
+
+/**
+ * Adds the elements of a batch that own a bin of the basis's signature extended by the batch.
+ * @param {{basis: Array<number>, signature: Array<number>}} state The basis and its signature; updated in place.
+ * @param {Array<number>} batch The elements to offer.
+ * @param {function(Array<number>): Array<number>} signatureOf Signature of a list of elements.
+ */
+function addOwners(state, batch, signatureOf) {
+    const signature = signatureOf(state.basis.concat(batch));
+    if (sameSignature(signature, state.signature)) return;
+    if (batch.length === 1) {
+        state.basis.push(batch[0]);
+        state.signature = signature;
+        return;
+    }
+    const half = batch.length >>> 1;
+    addOwners(state, batch.slice(0, half), signatureOf);
+    addOwners(state, batch.slice(half), signatureOf);
+}
+
+/**
+ * Drops the elements of a basis that own no bin, which leaves its signature unchanged.
+ * @param {{basis: Array<number>, signature: Array<number>}} state The basis and its signature; updated in place.
+ * @param {function(Array<number>): Array<number>} signatureOf Signature of a list of elements.
+ */
+function pruneBasis(state, signatureOf) {
+    for (var i = state.basis.length - 1; i >= 0 && state.basis.length > 1; i--) {
+        const without = state.basis.slice(0, i).concat(state.basis.slice(i + 1));
+        if (sameSignature(signatureOf(without), state.signature)) {
+            state.basis = without;
+        }
+    }
+}
+
+/**
+ * Whether two signatures are equal.
+ * @param {Array<number>} a First signature.
+ * @param {Array<number>} b Second signature.
+ * @returns {boolean}
+ */
+function sameSignature(a, b) {
+    for (var i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+export { signatureBasis };
@@ -0,0 +1,381 @@
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+const CODE_QUOTE = 34;        // "
+const CODE_BACKSLASH = 92;    // \
+const CODE_SPACE = 32;
+const CODE_TAB = 9;
+const CODE_LF = 10;
+const CODE_CR = 13;
+
+/**
+ * Incremental sketch builder. Tokenises raw JSON text chunk by chunk and feeds every node
+ * to the owning JSONHashify instance as soon as it is complete, so only the stack of open
+ * containers is held in memory rather than the parsed document or its CSR tree.
+ *
+ * A node at depth d lies inside min(d, subtreeDepth) + 1 of the depth-limited subtrees a sketch
+ * is built from, so its shingles are counted that many times. The resulting sketch is
+ * identical to `generateSketch(JSON.parse(text))`, except for documents with duplicate object
+ * keys, where JSON.parse keeps only the last value but every occurrence is streamed.
+ *
+ * An array's own node is emitted when it closes. Up to `arrayToHashifyThreshold` of its scalar
+ * elements are buffered until then; once there are more, the array is summarised and its scalars are
+ * fingerprinted as they arrive, so an open array holds a bounded amount of state however long it is.
+ */
+class SketchBuilder {
+    /**
+     * @param {JSONHashify} hasher The hasher whose configuration the sketch is built with.
+     */
+    constructor(hasher) {
+        this.hasher = hasher;
+        this._shingleCollection = hasher._createShingleCollection();
+        this._decoder = null;
+        this._ended = false;
+
+        // Tokeniser state
+        this._tokenKind = null; // null | 'string' | 'number' | 'literal'
+        this._tokenText = '';
+        this._escaped = false;
+
+        // Parser state
+        this._stack = [];
+        this._expect = 'value';
+    }
+
+    /**
+     * Feeds a chunk of JSON text.
+     * @param {string|Uint8Array} chunk Text, or UTF-8 bytes (multi-byte characters may be split across chunks).
+     * @returns {SketchBuilder} This builder.
+     */
+    write(chunk) {
+        if (this._ended) {
+            throw new Error('SketchBuilder has already ended');
+        }
+        if (typeof chunk !== 'string') {
+            if (!this._decoder) this._decoder = new TextDecoder('utf-8');
+            chunk = this._decoder.decode(chunk, { stream: true });
+        }
+        this._consume(chunk);
+        return this;
+    }
+
+    /**
+     * Feeds an optional final chunk and returns the sketch of the complete document.
+     * @param {string|Uint8Array} [chunk] Final chunk.
+     * @returns {Array<number>} The sketch.
+     */
+    end(chunk) {
+        return this.hasher._sketchFromShingleCollection(this.endShingleCollection(chunk));
+    }
+
+    /**
+     * Like `end`, but returns the raw shingle collection instead of the sketch.
+     * @param {string|Uint8Array} [chunk] Final chunk.
+     * @returns {Map<number, number>|Set<number>|object} Shingle hashes (Map: hash -> count, or Set: hash), per component if enabled.
+     */
+    endShingleCollection(chunk) {
+        if (chunk !== undefined) this.write(chunk);
+        if (this._ended) {
+            throw new Error('SketchBuilder has already ended');
+        }
+        if (this._decoder) {
+            this._consume(this._decoder.decode());
+        }
+        this._ended = true;
+
+        if (this._tokenKind === 'string') {
+            throw new SyntaxError('Unterminated string in JSON');
+        }
+        this._flushToken();
+        if (this._expect !== 'eof') {
+            throw new SyntaxError('Unexpected end of JSON input');
+        }
+        return this._shingleCollection;
+    }
+
+    /**
+     * Tokenises a decoded chunk of text.
+     * @private
+     * @param {string} text The chunk.
+     */
+    _consume(text) {
+        const len = text.length;
+        var i = 0;
+        while (i < len) {
+            if (this._tokenKind === 'string') {
+                var start = i;
+                while (i < len) {
+                    const code = text.charCodeAt(i);
+                    if (this._escaped) {
+                        this._escaped = false;
+                    } else if (code === CODE_BACKSLASH) {
+                        this._escaped = true;
+                    } else if (code === CODE_QUOTE) {
+                        break;
+                    }
+                    i++;
+                }
+                if (i === len) {
+                    this._tokenText += text.slice(start);
+                    break;
+                }
+                const raw = this._tokenText + text.slice(start, i + 1);
+                this._tokenKind = null;
+                this._tokenText = '';
+                i++;
+                this._onToken('string', JSON.parse(raw));
+                continue;
+            }
+
+            const ch = text[i];
+            if (this._tokenKind === 'number') {
+                if ((ch >= '0' && ch <= '9') || ch === '-' || ch === '+' || ch === '.' || ch === 'e' || ch === 'E') {
+                    this._tokenText += ch;
+                    i++;
+                    continue;
+                }
+                this._flushToken();
+            } else if (this._tokenKind === 'literal') {
+                if (ch >= 'a' && ch <= 'z') {
+                    this._tokenText += ch;
+                    i++;
+                    continue;
+                }
+                this._flushToken();
+            }
+
+            const code = text.charCodeAt(i);
+            if (code === CODE_SPACE || code === CODE_LF || code === CODE_CR || code === CODE_TAB) {
+                i++;
+            } else if (code === CODE_QUOTE) {
+                this._tokenKind = 'string';
+                this._tokenText = '"';
+                i++;
+            } else if (ch === '-' || (ch >= '0' && ch <= '9')) {
+                this._tokenKind = 'number';
+                this._tokenText = ch;
+                i++;
+            } else if (ch >= 'a' && ch <= 'z') {
+                this._tokenKind = 'literal';
+                this._tokenText = ch;
+                i++;
+            } else if (ch === '{' || ch === '}' || ch === '[' || ch === ']' || ch === ':' || ch === ',') {
+                i++;
+                this._onToken(ch);
+            } else {
+                throw new SyntaxError(`Unexpected token ${ch} in JSON`);
+            }
+        }
+    }
+
+    /**
+     * Emits a pending number or literal token.
+     * @private
+     */
+    _flushToken() {
+        const kind = this._tokenKind;
+        const text = this._tokenText;
+        if (kind === null) return;
+        this._tokenKind = null;
+        this._tokenText = '';
+
+        if (kind === 'number') {
+            if (!NUMBER_PATTERN.test(text)) {
+                throw new SyntaxError(`Invalid number ${text} in JSON`);
+            }
+            this._onToken('primitive', Number(text));
+        } else {
+            if (text === 'true') this._onToken('primitive', true);
+            else if (text === 'false') this._onToken('primitive', false);
+            else if (text === 'null') this._onToken('primitive', null);
+            else throw new SyntaxError(`Unexpected token ${text} in JSON`);
+        }
+    }
+
+    /**
+     * Advances the parser by one token.
+     * @private
+     * @param {string} type Punctuation character, 'string' or 'primitive'.
+     * @param {*} [value] Decoded value for 'string' and 'primitive' tokens.
+     */
+    _onToken(type, value) {
+        const expect = this._expect;
+        const frame = this._stack.length > 0 ? this._stack[this._stack.length - 1] : null;
+
+        if (expect === 'value' || expect === 'valueOrEnd') {
+            if (expect === 'valueOrEnd' && type === ']') {
+                this._closeContainer();
+                return;
+            }
+            if (type === '{' || type === '[' || type === 'string' || type === 'primitive') {
+                this._onValue(type, value, frame);
+                return;
+            }
+        } else if (expect === 'key' || expect === 'keyOrEnd') {
+            if (expect === 'keyOrEnd' && type === '}') {
+                this._closeContainer();
+                return;
+            }
+            if (type === 'string') {
+                frame.key = value;
+                this._expect = 'colon';
+                return;
+            }
+        } else if (expect === 'colon') {
+            if (type === ':') {
+                this._expect = 'value';
+                return;
+            }
+        } else if (expect === 'commaOrEnd') {
+            if (type === ',') {
+                this._expect = frame.isArray ? 'value' : 'key';
+                return;
+            }
+            if ((type === ']' && frame.isArray) || (type === '}' && !frame.isArray)) {
+                this._closeContainer();
+                return;
+            }
+        } else if (expect === 'eof') {
+            throw new SyntaxError('Unexpected non-whitespace character after JSON');
+        }
+
+        const shown = type === 'string' ? JSON.stringify(value) : type === 'primitive' ? String(value) : type;
+        throw new SyntaxError(`Unexpected token ${shown} in JSON`);
+    }
+
+    /**
+     * Handles the start of a value: emits its node and opens a frame for containers.
+     * @private
+     * @param {string} type '{', '[', 'string' or 'primitive'.
+     * @param {*} value Decoded value for primitives.
+     * @param {object|null} parent The enclosing container frame, or null at the root.
+     */
+    _onValue(type, value, parent) {
+        const hasher = this.hasher;
+        const isContainer = type === '{' || type === '[';
+        var path;
+        var depth;
+        var skip;
+        var memberKey;
+        var filter = null;
+        if (parent === null) {
+            path = '$root';
+            depth = 0;
+            skip = false;
+            if (hasher._hasPathFilters) filter = hasher._rootPathFilter();
+        } else {
+            var itemKey;
+            var segment;
+            if (parent.isArray) {
+                itemKey = hasher.options.preserveArrayOrder ? `[${parent.index}]` : '';
+                segment = parent.index;
+                parent.index++;
+                skip = parent.skip;
+            } else {
+                itemKey = parent.key;
+                memberKey = itemKey;
+                segment = itemKey;
+                skip = parent.skip || hasher.ignoreKeys.has(itemKey);
+            }
+            if (!skip && hasher._hasPathFilters) {
+                filter = hasher._childPathFilter(parent.filter, segment, !isContainer);
+                skip = filter === null;
+            }
+            path = parent.path === '$root' ? itemKey : `${parent.path}.${itemKey}`;
+            depth = parent.depth + 1;
+        }
+
+        var arrayNode = null;
+        if (!isContainer && parent !== null && parent.isArray && !parent.skip) {
+            // Filtered-out scalars still count towards the summarising threshold, as in _isSummarisedArray.
+            this._onScalarElement(parent, skip ? null : { path, value, key: undefined }, segment);
+        } else if (!skip) {
+            if (type === '[') {
+                arrayNode = { path, key: memberKey, type: 'array' };
+            } else {
+                this._emitNode(isContainer ? { path, key: memberKey, type: 'object' } : { path, value, key: memberKey }, depth);
+            }
+        }
+
+        if (isContainer) {
+            const buffered = arrayNode !== null && hasher.options.arrayToHashifyThreshold !== Infinity;
+            this._stack.push({
+                isArray: type === '[', path, depth, skip, filter, index: 0, key: undefined,
+                arrayNode, scalarCount: 0, elements: buffered ? [] : null, fingerprinter: null
+            });
+            this._expect = type === '[' ? 'valueOrEnd' : 'keyOrEnd';
+        } else {
+            this._afterValue();
+        }
+    }
+
+    /**
+     * Handles a scalar element of an array that is not skipped. It is buffered while the array has at most
+     * `arrayToHashifyThreshold` scalars, fingerprinted once it has more, and emitted right away if the
+     * threshold is Infinity.
+     * @private
+     * @param {object} frame The array's frame.
+     * @param {object|null} node The element's node, or null if path filters drop it.
+     * @param {number} index Index of the element in the array.
+     */
+    _onScalarElement(frame, node, index) {
+        const hasher = this.hasher;
+        frame.scalarCount++;
+        if (frame.fingerprinter === null && frame.elements !== null && frame.scalarCount > hasher.options.arrayToHashifyThreshold) {
+            frame.fingerprinter = hasher._rollingHasher.createSequenceFingerprinter(hasher.options.preserveArrayOrder);
+            for (const element of frame.elements) {
+                frame.fingerprinter.add(hasher._summarisedElementHash(frame.arrayNode, element.node.value, element.index));
+            }
+            frame.elements = null;
+        }
+        if (node === null) return;
+        if (frame.fingerprinter !== null) {
+            frame.fingerprinter.add(hasher._summarisedElementHash(frame.arrayNode, node.value, index));
+        } else if (frame.elements !== null) {
+            frame.elements.push({ node, index });
+        } else {
+            this._emitNode(node, frame.depth + 1);
+        }
+    }
+
+    /**
+     * Pops the current container frame, emitting an array's node and its buffered scalar elements.
+     * @private
+     */
+    _closeContainer() {
+        const frame = this._stack.pop();
+        if (frame.arrayNode !== null) {
+            if (frame.fingerprinter !== null) {
+                // _leafValue returns a node's memoised leaf, so the summarised array contributes these fingerprints.
+                frame.arrayNode.leaf = { text: undefined, fingerprints: frame.fingerprinter.digest() };
+            }
+            this._emitNode(frame.arrayNode, frame.depth);
+            if (frame.elements !== null) {
+                for (const element of frame.elements) {
+                    this._emitNode(element.node, frame.depth + 1);
+                }
+            }
+        }
+        this._afterValue();
+    }
+
+    /**
+     * Sets the parser expectation after a complete value.
+     * @private
+     */
+    _afterValue() {
+        this._expect = this._stack.length === 0 ? 'eof' : 'commaOrEnd';
+    }
+
+    /**
+     * Adds a node's shingles once for every extracted subtree that contains it.
+     * @private
+     * @param {{path: string, value?: *, key?: string, type?: string}} node The node.
+     * @param {number} depth Depth of the node below the root.
+     */
+    _emitNode(node, depth) {
+        const hasher = this.hasher;
+        hasher._addNodeShingles(node, this._shingleCollection, hasher._subtreeMultiplicity(depth));
+    }
+}
+
+export { SketchBuilder };
@@ -0,0 +1,169 @@
+// Binary sketch format: a little-endian sequence of uint32 words.
+//   [0] magic 'JSHF'  [1] format version  [2] config fingerprint
+//   [3] sketch length (the hasher's `sketchLength`: numHashFunctions times the number of components)
+//   [4] numGroups  [5] number of set cardinalities (0, or one per component)
+//   [6..] signature values  [6 + length..] set cardinalities
+// Version 1 had no cardinality count and no cardinalities: its signature values start at word [5].
+const SKETCH_MAGIC = 0x4648534A;
+const SKETCH_FORMAT_VERSION = 2;
+const HEADER_WORDS = 6;
+const V1_HEADER_WORDS = 5;
+
+/**
+ * 32-bit FNV-1a hash of a string, used to fingerprint hasher configurations.
+ * @param {string} str The string to hash.
+ * @returns {number} Unsigned 32-bit hash.
+ */
+function fnv1a32(str) {
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Serializes a value to JSON with object keys sorted, so equal configurations always produce equal strings.
+ * @param {*} value The value to serialize.
+ * @returns {string} Canonical JSON string.
+ */
+function canonicalStringify(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(canonicalStringify).join(',') + ']';
+    }
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return '{' + keys.map(key => JSON.stringify(key) + ':' + canonicalStringify(value[key])).join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Computes the fingerprint of a hasher configuration descriptor.
+ * @param {object} descriptor Plain object describing every option that affects sketch contents.
+ * @returns {number} Unsigned 32-bit fingerprint.
+ */
+function fingerprintConfig(descriptor) {
+    return fnv1a32(canonicalStringify(descriptor));
+}
+
+/**
+ * Encodes a sketch and its header into the binary format.
+ * @param {Array<number>} sketch The signature values.
+ * @param {{fingerprint: number, numHashFunctions: number, numGroups: number, cardinalities?: Array<number>}} header Header fields,
+ *        and the set cardinalities to append (none by default).
+ * @returns {Uint32Array} The encoded sketch.
+ */
+function encodeSketch(sketch, header) {
+    if (!sketch || sketch.length !== header.numHashFunctions) {
+        throw new Error(`Sketch length must be ${header.numHashFunctions}`);
+    }
+    const cardinalities = header.cardinalities ?? [];
+    if (cardinalities.length > sketch.length) {
+        throw new Error('A sketch has at most one cardinality per sketch value');
+    }
+    const buffer = new ArrayBuffer((HEADER_WORDS + sketch.length + cardinalities.length) * 4);
+    const view = new DataView(buffer);
+    view.setUint32(0, SKETCH_MAGIC, true);
+    view.setUint32(4, SKETCH_FORMAT_VERSION, true);
+    view.setUint32(8, header.fingerprint, true);
+    view.setUint32(12, header.numHashFunctions, true);
+    view.setUint32(16, header.numGroups, true);
+    view.setUint32(20, cardinalities.length, true);
+    for (var i = 0; i < sketch.length; i++) {
+        const value = sketch[i];
+        if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+            throw new Error('Sketch values must be unsigned 32-bit integers');
+        }
+        view.setUint32((HEADER_WORDS + i) * 4, value, true);
+    }
+    for (var i = 0; i < cardinalities.length; i++) {
+        const cardinality = cardinalities[i];
+        if (!Number.isInteger(cardinality) || cardinality < 0 || cardinality > 0xFFFFFFFF) {
+            throw new Error('Sketch cardinalities must be unsigned 32-bit integers');
+        }
+        view.setUint32((HEADER_WORDS + sketch.length + i) * 4, cardinality, true);
+    }
+    return new Uint32Array(buffer);
+}
+
+/**
+ * Decodes a sketch from the binary or base64 format, in the current version or version 1.
+ * @param {Uint32Array|Uint8Array|ArrayBuffer|string} input The encoded sketch.
+ * @returns {{version: number, fingerprint: number, numHashFunctions: number, numGroups: number, sketch: Array<number>, cardinality?: number|Array<number>}}
+ *          The decoded sketch. `cardinality` is present when cardinalities were encoded: a number if there is one, else an array.
+ */
+function decodeSketch(input) {
+    var bytes;
+    if (typeof input === 'string') {
+        bytes = Buffer.from(input, 'base64');
+    } else if (input instanceof ArrayBuffer) {
+        bytes = new Uint8Array(input);
+    } else if (ArrayBuffer.isView(input)) {
+        bytes = new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    } else {
+        throw new Error('Serialized sketch must be a Uint32Array, Uint8Array, ArrayBuffer or base64 string');
+    }
+
+    if (bytes.byteLength < V1_HEADER_WORDS * 4 || bytes.byteLength % 4 !== 0) {
+        throw new Error('Serialized sketch is truncated or malformed');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(0, true) !== SKETCH_MAGIC) {
+        throw new Error('Serialized sketch has an invalid header');
+    }
+    const version = view.getUint32(4, true);
+    if (version !== 1 && version !== SKETCH_FORMAT_VERSION) {
+        throw new Error(`Unsupported sketch format version ${version}`);
+    }
+
+    const headerWords = version === 1 ? V1_HEADER_WORDS : HEADER_WORDS;
+    if (bytes.byteLength < headerWords * 4) {
+        throw new Error('Serialized sketch is truncated or malformed');
+    }
+    const numHashFunctions = view.getUint32(12, true);
+    const numCardinalities = version === 1 ? 0 : view.getUint32(20, true);
+    if (numCardinalities > numHashFunctions || bytes.byteLength / 4 !== headerWords + numHashFunctions + numCardinalities) {
+        throw new Error('Serialized sketch is truncated or malformed');
+    }
+    const sketch = new Array(numHashFunctions);
+    for (var i = 0; i < numHashFunctions; i++) {
+        sketch[i] = view.getUint32((headerWords + i) * 4, true);
+    }
+
+    const decoded = {
+        version,
+        fingerprint: view.getUint32(8, true),
+        numHashFunctions,
+        numGroups: view.getUint32(16, true),
+        sketch
+    };
+    if (numCardinalities > 0) {
+        const cardinalities = new Array(numCardinalities);
+        for (var i = 0; i < numCardinalities; i++) {
+            cardinalities[i] = view.getUint32((headerWords + numHashFunctions + i) * 4, true);
+        }
+        decoded.cardinality = numCardinalities === 1 ? cardinalities[0] : cardinalities;
+    }
+    return decoded;
+}
+
+/**
+ * Encodes a binary sketch as base64.
+ * @param {Uint32Array} encoded The encoded sketch.
+ * @returns {string} Base64 string.
+ */
+function toBase64(encoded) {
+    return Buffer.from(encoded.buffer, encoded.byteOffset, encoded.byteLength).toString('base64');
+}
+
+export {
+    SKETCH_FORMAT_VERSION,
+    fnv1a32,
+    canonicalStringify,
+    fingerprintConfig,
+    encodeSketch,
+    decodeSketch,
+    toBase64
+};
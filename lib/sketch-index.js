@@ -0,0 +1,242 @@
+import { estimateJaccardSimilarity } from 'grouped-oph';
+
+/**
+ * Locality-sensitive hashing index over JSONHashify sketches.
+ * Splits each sketch into `bands` bands of `rows` consecutive hash values and buckets
+ * sketches by the exact contents of each band. Two sketches become candidates for each
+ * other when at least one band matches, which happens with probability 1 - (1 - s^rows)^bands
+ * for Jaccard similarity s. Candidates are then re-ranked with the `compareSketches` option,
+ * by default `estimateJaccardSimilarity`.
+ *
+ * Sketches may be bare arrays or sketch objects (from `generateSketch(json, { withCardinality: true })`
+ * or `JSONHashify.deserializeSketch`). The configuration fingerprint of sketch objects is checked against
+ * the index's: the `fingerprint` option, or else that of the first sketch object added. Bare arrays carry
+ * no fingerprint, so only their length is checked.
+ */
+class SketchIndex {
+    /**
+     * Initializes an empty SketchIndex.
+     * @param {object} [options={}] Configuration options.
+     * @param {number} [options.numHashFunctions=128] Length of the sketches that will be indexed.
+     * @param {number} [options.numGroups=4] Number of GOPH groups the sketches were built with.
+     * @param {number} [options.bands] Number of LSH bands. Defaults to `numHashFunctions / numGroups`.
+     * @param {number} [options.rows] Number of hash values per band. Defaults to `numHashFunctions / bands`.
+     * @param {number} [options.fingerprint] Configuration fingerprint of the hasher the sketches were built with.
+     * @param {function(Array<number>, Array<number>): number} [options.compareSketches] Similarity of two bare sketches,
+     *        used to re-rank candidates. Defaults to `estimateJaccardSimilarity`.
+     */
+    constructor(options = {}) {
+        this.numHashFunctions = options.numHashFunctions ?? 128;
+        this.numGroups = options.numGroups ?? 4;
+        this._configuredFingerprint = options.fingerprint;
+        this.fingerprint = options.fingerprint;
+        this._compareSketches = options.compareSketches ?? estimateJaccardSimilarity;
+
+        if (this.numHashFunctions <= 0 || !Number.isInteger(this.numHashFunctions)) {
+            throw new Error('numHashFunctions must be a positive integer.');
+        }
+        if (this.numGroups <= 0 || !Number.isInteger(this.numGroups)) {
+            throw new Error('numGroups must be a positive integer.');
+        }
+
+        if (options.bands === undefined && options.rows !== undefined) {
+            this.rows = options.rows;
+            this.bands = this.numHashFunctions / this.rows;
+        } else {
+            this.bands = options.bands ?? this.numHashFunctions / this.numGroups;
+            this.rows = options.rows ?? this.numHashFunctions / this.bands;
+        }
+
+        if (this.bands <= 0 || !Number.isInteger(this.bands)) {
+            throw new Error('bands must be a positive integer.');
+        }
+        if (this.rows <= 0 || !Number.isInteger(this.rows)) {
+            throw new Error('rows must be a positive integer.');
+        }
+        if (this.bands * this.rows > this.numHashFunctions) {
+            throw new Error('bands * rows must not exceed numHashFunctions');
+        }
+
+        this._sketches = new Map();
+        this._buckets = [];
+        for (var b = 0; b < this.bands; b++) {
+            this._buckets.push(new Map());
+        }
+    }
+
+    /**
+     * Number of sketches currently in the index.
+     * @returns {number}
+     */
+    get size() {
+        return this._sketches.size;
+    }
+
+    /**
+     * Approximate Jaccard similarity at which a pair has a 50% chance of becoming a candidate.
+     * @returns {number}
+     */
+    get threshold() {
+        return Math.pow(1 / this.bands, 1 / this.rows);
+    }
+
+    /**
+     * Unwraps a sketch object after checking its configuration fingerprint, and checks the sketch length.
+     * @private
+     * @param {Array<number>|object} sketch A bare sketch or a sketch object.
+     * @returns {Array<number>} The bare sketch.
+     * @throws {Error} If the sketch has the wrong length or was built with a different configuration.
+     */
+    _resolveSketch(sketch) {
+        if (sketch !== null && typeof sketch === 'object' && !Array.isArray(sketch) && !ArrayBuffer.isView(sketch)) {
+            if (sketch.fingerprint !== undefined && this.fingerprint !== undefined && sketch.fingerprint !== this.fingerprint) {
+                throw new Error(`Incompatible sketch: built with configuration fingerprint ${sketch.fingerprint}, expected ${this.fingerprint}`);
+            }
+            sketch = sketch.sketch;
+        }
+        if (!sketch || sketch.length !== this.numHashFunctions) {
+            throw new Error(`Sketch length must be ${this.numHashFunctions}`);
+        }
+        return sketch;
+    }
+
+    /**
+     * Computes the bucket key of every band of a sketch.
+     * @private
+     * @param {Array<number>} sketch The bare sketch.
+     * @returns {Array<string>} One key per band.
+     */
+    _bandKeys(sketch) {
+        const keys = new Array(this.bands);
+        const rows = this.rows;
+        for (var b = 0; b < this.bands; b++) {
+            const start = b * rows;
+            var key = '' + sketch[start];
+            for (var r = 1; r < rows; r++) {
+                key += ',' + sketch[start + r];
+            }
+            keys[b] = key;
+        }
+        return keys;
+    }
+
+    /**
+     * Adds a copy of a sketch to the index. Re-adding an existing id replaces its sketch.
+     * @param {*} id Identifier returned by `query` for this sketch.
+     * @param {Array<number>|object} sketch The sketch to index, bare or as a sketch object.
+     * @returns {SketchIndex} This index.
+     * @throws {Error} If the sketch has the wrong length or was built with a different configuration.
+     */
+    add(id, sketch) {
+        const signature = Array.from(this._resolveSketch(sketch));
+        if (this.fingerprint === undefined && !Array.isArray(sketch) && sketch.fingerprint !== undefined) {
+            this.fingerprint = sketch.fingerprint;
+        }
+        const keys = this._bandKeys(signature);
+        if (this._sketches.has(id)) {
+            this.remove(id);
+        }
+        this._sketches.set(id, signature);
+        for (var b = 0; b < this.bands; b++) {
+            const bucketMap = this._buckets[b];
+            var bucket = bucketMap.get(keys[b]);
+            if (!bucket) {
+                bucket = new Set();
+                bucketMap.set(keys[b], bucket);
+            }
+            bucket.add(id);
+        }
+        return this;
+    }
+
+    /**
+     * Removes a sketch from the index.
+     * @param {*} id Identifier passed to `add`.
+     * @returns {boolean} Whether the id was present.
+     */
+    remove(id) {
+        const sketch = this._sketches.get(id);
+        if (sketch === undefined) return false;
+
+        const keys = this._bandKeys(sketch);
+        for (var b = 0; b < this.bands; b++) {
+            const bucketMap = this._buckets[b];
+            const bucket = bucketMap.get(keys[b]);
+            if (!bucket) continue;
+            bucket.delete(id);
+            if (bucket.size === 0) {
+                bucketMap.delete(keys[b]);
+            }
+        }
+        this._sketches.delete(id);
+        return true;
+    }
+
+    /**
+     * Whether an id is present in the index.
+     * @param {*} id Identifier passed to `add`.
+     * @returns {boolean}
+     */
+    has(id) {
+        return this._sketches.has(id);
+    }
+
+    /**
+     * Returns the ids sharing at least one band with the sketch, without re-ranking.
+     * @param {Array<number>|object} sketch The query sketch, bare or as a sketch object.
+     * @returns {Set<*>} Candidate ids.
+     */
+    candidates(sketch) {
+        const keys = this._bandKeys(this._resolveSketch(sketch));
+        const candidateIds = new Set();
+        for (var b = 0; b < this.bands; b++) {
+            const bucket = this._buckets[b].get(keys[b]);
+            if (!bucket) continue;
+            for (const id of bucket) {
+                candidateIds.add(id);
+            }
+        }
+        return candidateIds;
+    }
+
+    /**
+     * Finds indexed sketches similar to the query sketch.
+     * @param {Array<number>|object} sketch The query sketch, bare or as a sketch object.
+     * @param {object} [queryOptions={}] Query options.
+     * @param {number} [queryOptions.threshold=0] Minimum similarity (see the `compareSketches` option) of returned results.
+     * @param {number} [queryOptions.topK=Infinity] Maximum number of results to return.
+     * @returns {Array<{id: *, similarity: number}>} Results sorted by descending similarity.
+     */
+    query(sketch, queryOptions = {}) {
+        const threshold = queryOptions.threshold ?? 0;
+        const topK = queryOptions.topK ?? Infinity;
+        sketch = this._resolveSketch(sketch);
+
+        const results = [];
+        for (const id of this.candidates(sketch)) {
+            const similarity = this._compareSketches(sketch, this._sketches.get(id));
+            if (similarity >= threshold) {
+                results.push({ id, similarity });
+            }
+        }
+        results.sort((a, b) => b.similarity - a.similarity);
+
+        if (results.length > topK) {
+            results.length = topK;
+        }
+        return results;
+    }
+
+    /**
+     * Removes every sketch from the index, and forgets a fingerprint taken from them.
+     */
+    clear() {
+        this.fingerprint = this._configuredFingerprint;
+        this._sketches.clear();
+        for (const bucketMap of this._buckets) {
+            bucketMap.clear();
+        }
+    }
+}
+
+export { SketchIndex };
@@ -0,0 +1,439 @@
+const ARRAY_INDEX_PATTERN = /^(0|[1-9]\d*)$/;
+
+/**
+ * A document and the shingle counts of its sketch, kept up to date under RFC 6902 JSON Patch
+ * operations so that an edit only re-shingles the subtrees it touches.
+ *
+ * The counts are exactly those of `_buildShingleMultiset` in counting mode: every node adds its
+ * shingles once for each extracted subtree containing it, i.e. min(depth, subtreeDepth) + 1 times.
+ * A subtree's contribution therefore depends only on its own contents, path, depth and path filter
+ * state. An operation subtracts the contribution of the affected subtree as it was, mutates the
+ * document, and adds the contribution of the subtree as it is now. The old contribution is
+ * re-derived from the old value rather than stored per node, which is exact because shingling is
+ * deterministic. When array elements are inserted or removed and element paths carry indices
+ * (`preserveArrayOrder`, or index-based path filters), the affected subtree is the whole array.
+ */
+class SketchState {
+    /**
+     * @param {JSONHashify} hasher The hasher whose configuration the sketch is built with.
+     * @param {object|Array} json The initial document. It is copied, so later changes to it are not seen.
+     */
+    constructor(hasher, json) {
+        this.hasher = hasher;
+        this.document = structuredClone(json);
+        this._counts = this._createCounts();
+        this._applySubtree([], 1);
+    }
+
+    /**
+     * The sketch of the current document, identical to `hasher.generateSketch(state.document)`.
+     * @returns {Array<number>} The MinHash sketch (signature).
+     */
+    sketch() {
+        return this.hasher._sketchFromShingleCollection(this._counts);
+    }
+
+    /**
+     * Applies a JSON Patch. The patch is atomic: if an operation fails (including a failed `test`),
+     * the operations already applied are rolled back and the error is rethrown.
+     * @param {Array<{op: string, path: string, from?: string, value?: *}>} operations RFC 6902 operations.
+     * @returns {SketchState} This state.
+     * @throws {Error} If an operation is malformed, targets a missing location or fails its test.
+     */
+    applyPatch(operations) {
+        if (!Array.isArray(operations)) {
+            throw new Error('JSON Patch must be an array of operations');
+        }
+        const undo = [];
+        try {
+            for (var i = 0; i < operations.length; i++) {
+                try {
+                    this._applyOperation(operations[i], undo);
+                } catch (error) {
+                    throw new Error(`JSON Patch operation ${i} (${operations[i] && operations[i].op}) failed: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            for (var u = undo.length - 1; u >= 0; u--) {
+                undo[u]();
+            }
+            throw error;
+        }
+        return this;
+    }
+
+    /**
+     * Applies one operation, recording how to revert it.
+     * @private
+     * @param {{op: string, path: string, from?: string, value?: *}} operation The operation.
+     * @param {Array<function(): void>} undo Revert steps, appended to.
+     */
+    _applyOperation(operation, undo) {
+        if (!operation || typeof operation !== 'object') {
+            throw new Error('operation must be an object');
+        }
+        const tokens = parsePointer(operation.path);
+        switch (operation.op) {
+            case 'add':
+                this._add(tokens, cloneValue(operation), undo);
+                return;
+            case 'remove':
+                this._remove(tokens, undo);
+                return;
+            case 'replace':
+                this._locate(tokens);
+                this._set(tokens, cloneValue(operation), undo);
+                return;
+            case 'move': {
+                const from = parsePointer(operation.from);
+                if (from.length < tokens.length && from.every((token, i) => token === tokens[i])) {
+                    throw new Error('cannot move a value into one of its own children');
+                }
+                const value = this._locate(from);
+                this._remove(from, undo);
+                this._add(tokens, value, undo);
+                return;
+            }
+            case 'copy':
+                this._add(tokens, structuredClone(this._locate(parsePointer(operation.from))), undo);
+                return;
+            case 'test':
+                if (!deepEqual(this._locate(tokens), operation.value)) {
+                    throw new Error(`test failed at "${operation.path}"`);
+                }
+                return;
+            default:
+                throw new Error(`unknown op ${JSON.stringify(operation.op)}`);
+        }
+    }
+
+    /**
+     * RFC 6902 `add`: inserts into an array, or sets an object member or the whole document.
+     * @private
+     * @param {Array<string>} tokens Target pointer tokens.
+     * @param {*} value The value.
+     * @param {Array<function(): void>} undo Revert steps.
+     */
+    _add(tokens, value, undo) {
+        if (tokens.length > 0) {
+            const { container, token } = this._parentOf(tokens);
+            if (Array.isArray(container)) {
+                const index = token === '-' ? container.length : arrayIndex(token, container.length + 1);
+                this._insert(tokens.slice(0, -1).concat(String(index)), value, undo);
+                return;
+            }
+        }
+        this._set(tokens, value, undo);
+    }
+
+    /**
+     * RFC 6902 `remove`.
+     * @private
+     * @param {Array<string>} tokens Target pointer tokens.
+     * @param {Array<function(): void>} undo Revert steps.
+     */
+    _remove(tokens, undo) {
+        if (tokens.length === 0) {
+            throw new Error('cannot remove the whole document');
+        }
+        const old = this._locate(tokens);
+        const { container, token } = this._parentOf(tokens);
+        if (Array.isArray(container)) {
+            const index = Number(token);
+            this._update(tokens, true, false, () => container.splice(index, 1));
+            undo.push(() => this._insert(tokens, old, null));
+        } else {
+            this._update(tokens, true, false, () => delete container[token]);
+            undo.push(() => this._set(tokens, old, null));
+        }
+    }
+
+    /**
+     * Inserts an array element at an existing index or at the end.
+     * @private
+     * @param {Array<string>} tokens Pointer tokens of the new element.
+     * @param {*} value The value.
+     * @param {Array<function(): void>|null} undo Revert steps, or null when reverting.
+     */
+    _insert(tokens, value, undo) {
+        const { container, token } = this._parentOf(tokens);
+        const index = Number(token);
+        this._update(tokens, false, true, () => container.splice(index, 0, value), value);
+        if (undo) undo.push(() => this._remove(tokens, []));
+    }
+
+    /**
+     * Sets an object member, replaces an array element, or replaces the whole document.
+     * @private
+     * @param {Array<string>} tokens Target pointer tokens.
+     * @param {*} value The value.
+     * @param {Array<function(): void>|null} undo Revert steps, or null when reverting.
+     */
+    _set(tokens, value, undo) {
+        if (tokens.length === 0) {
+            const old = this.document;
+            this._update(tokens, true, true, () => { this.document = value; });
+            if (undo) undo.push(() => this._set(tokens, old, null));
+            return;
+        }
+        const { container, token } = this._parentOf(tokens);
+        if (Array.isArray(container)) {
+            const index = arrayIndex(token, container.length);
+            const old = container[index];
+            this._update(tokens, true, true, () => { container[index] = value; }, value);
+            if (undo) undo.push(() => this._set(tokens, old, null));
+            return;
+        }
+        const existed = Object.prototype.hasOwnProperty.call(container, token);
+        const old = container[token];
+        this._update(tokens, existed, true, () => { container[token] = value; });
+        if (undo) undo.push(() => existed ? this._set(tokens, old, null) : this._remove(tokens, []));
+    }
+
+    /**
+     * Mutates the document, updating the counts of the affected subtree around the mutation.
+     * @private
+     * @param {Array<string>} tokens Pointer tokens of the mutated location.
+     * @param {boolean} existedBefore Whether the location holds a value before the mutation.
+     * @param {boolean} existsAfter Whether the location holds a value after the mutation.
+     * @param {function(): void} mutate Performs the mutation.
+     * @param {*} [newElement] For array insertions and element replacements, the new element.
+     */
+    _update(tokens, existedBefore, existsAfter, mutate, newElement) {
+        var affected = tokens;
+        if (tokens.length > 0) {
+            const { container } = this._parentOf(tokens);
+            if (Array.isArray(container) && !this._isElementLocal(container, tokens, existedBefore, existsAfter, newElement)) {
+                affected = tokens.slice(0, -1);
+                existedBefore = true;
+                existsAfter = true;
+            }
+        }
+        if (existedBefore) this._applySubtree(affected, -1);
+        mutate();
+        if (existsAfter) this._applySubtree(affected, 1);
+    }
+
+    /**
+     * Whether changing one array element leaves the nodes of its siblings untouched: the element
+     * paths must not carry indices when elements shift, and the array must not be summarised
+     * (see `arrayToHashifyThreshold`) before or after the change.
+     * @private
+     * @param {Array} array The array.
+     * @param {Array<string>} tokens Pointer tokens of the element.
+     * @param {boolean} existedBefore Whether the element exists before the change.
+     * @param {boolean} existsAfter Whether the element exists after the change.
+     * @param {*} newElement The new element, if any.
+     * @returns {boolean}
+     */
+    _isElementLocal(array, tokens, existedBefore, existsAfter, newElement) {
+        const hasher = this.hasher;
+        const replacing = existedBefore && existsAfter;
+        if (!replacing && (hasher.options.preserveArrayOrder || hasher._hasPathFilters)) {
+            return false;
+        }
+        if (hasher._isSummarisedArray(array)) {
+            return false;
+        }
+        const index = Number(tokens[tokens.length - 1]);
+        const after = replacing
+            ? array.map((element, i) => i === index ? newElement : element)
+            : existsAfter ? array.concat([newElement]) : array.filter((element, i) => i !== index);
+        return !hasher._isSummarisedArray(after);
+    }
+
+    /**
+     * Adds (sign 1) or subtracts (sign -1) the shingle counts of the subtree at a location.
+     * @private
+     * @param {Array<string>} tokens Pointer tokens of the subtree root.
+     * @param {number} sign 1 or -1.
+     */
+    _applySubtree(tokens, sign) {
+        const hasher = this.hasher;
+        const origin = this._origin(tokens);
+        if (origin === null) return;
+
+        const { nodeMap, depths } = hasher._buildCSRFromJSON(this._locate(tokens), origin);
+        const contribution = this._createCounts();
+        for (const [id, node] of nodeMap) {
+            hasher._addNodeShingles(node, contribution, hasher._subtreeMultiplicity(origin.depth + depths[id]));
+        }
+
+        if (hasher.components) {
+            for (const { name } of hasher.components) {
+                mergeCounts(this._counts[name], contribution[name], sign);
+            }
+        } else {
+            mergeCounts(this._counts, contribution, sign);
+        }
+    }
+
+    /**
+     * Path, object key, depth and path filter state of the node at a location, or null if
+     * `ignoreKeys` or the path filters drop it.
+     * @private
+     * @param {Array<string>} tokens Pointer tokens.
+     * @returns {{path: string, memberKey: string|undefined, depth: number, filter: object|null}|null} The origin.
+     */
+    _origin(tokens) {
+        const hasher = this.hasher;
+        var path = '$root';
+        var memberKey;
+        var filter = hasher._hasPathFilters ? hasher._rootPathFilter() : null;
+        var value = this.document;
+        for (var i = 0; i < tokens.length; i++) {
+            var itemKey;
+            var segment;
+            if (Array.isArray(value)) {
+                segment = Number(tokens[i]);
+                itemKey = hasher.options.preserveArrayOrder ? `[${segment}]` : '';
+                memberKey = undefined;
+            } else {
+                if (hasher.ignoreKeys.has(tokens[i])) return null;
+                segment = tokens[i];
+                itemKey = segment;
+                memberKey = segment;
+            }
+            value = value[segment];
+            if (hasher._hasPathFilters) {
+                filter = hasher._childPathFilter(filter, segment, typeof value !== 'object' || value === null);
+                if (filter === null) return null;
+            }
+            path = path === '$root' ? itemKey : `${path}.${itemKey}`;
+        }
+        return { path, memberKey, depth: tokens.length, filter };
+    }
+
+    /**
+     * Creates empty counts: a Map per enabled component, or a single Map.
+     * @private
+     * @returns {Map<number, number>|object} Empty counts.
+     */
+    _createCounts() {
+        if (!this.hasher.components) return new Map();
+        const counts = {};
+        for (const { name } of this.hasher.components) {
+            counts[name] = new Map();
+        }
+        return counts;
+    }
+
+    /**
+     * Resolves a location, throwing if it does not exist.
+     * @private
+     * @param {Array<string>} tokens Pointer tokens.
+     * @returns {*} The value.
+     */
+    _locate(tokens) {
+        var value = this.document;
+        for (var i = 0; i < tokens.length; i++) {
+            if (Array.isArray(value)) {
+                value = value[arrayIndex(tokens[i], value.length)];
+            } else if (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, tokens[i])) {
+                value = value[tokens[i]];
+            } else {
+                throw new Error(`path "${formatPointer(tokens.slice(0, i + 1))}" does not exist`);
+            }
+        }
+        return value;
+    }
+
+    /**
+     * The container holding a location, and the location's last token.
+     * @private
+     * @param {Array<string>} tokens Pointer tokens (at least one).
+     * @returns {{container: object|Array, token: string}} The parent container and token.
+     */
+    _parentOf(tokens) {
+        const container = this._locate(tokens.slice(0, -1));
+        if (container === null || typeof container !== 'object') {
+            throw new Error(`path "${formatPointer(tokens.slice(0, -1))}" is not a container`);
+        }
+        return { container, token: tokens[tokens.length - 1] };
+    }
+}
+
+/**
+ * Parses an RFC 6901 JSON Pointer into unescaped reference tokens.
+ * @param {string} pointer The pointer, e.g. '/a/b~1c/0'.
+ * @returns {Array<string>} Tokens.
+ */
+function parsePointer(pointer) {
+    if (typeof pointer !== 'string' || (pointer !== '' && pointer[0] !== '/')) {
+        throw new Error(`invalid JSON Pointer ${JSON.stringify(pointer)}`);
+    }
+    if (pointer === '') return [];
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Formats tokens back into a JSON Pointer.
+ * @param {Array<string>} tokens Tokens.
+ * @returns {string} The pointer.
+ */
+function formatPointer(tokens) {
+    return tokens.map(token => '/' + token.replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+/**
+ * Validates an array index token.
+ * @param {string} token The token.
+ * @param {number} limit Exclusive upper bound.
+ * @returns {number} The index.
+ */
+function arrayIndex(token, limit) {
+    if (!ARRAY_INDEX_PATTERN.test(token) || Number(token) >= limit) {
+        throw new Error(`array index "${token}" is out of bounds`);
+    }
+    return Number(token);
+}
+
+/**
+ * The `value` of an operation, copied so later changes by the caller are not seen.
+ * @param {{value?: *}} operation The operation.
+ * @returns {*} The copied value.
+ */
+function cloneValue(operation) {
+    if (!('value' in operation)) {
+        throw new Error('missing value');
+    }
+    return structuredClone(operation.value);
+}
+
+/**
+ * Adds `sign` times the counts of `source` to `target`, dropping entries that reach zero.
+ * @param {Map<number, number>} target Counts to update.
+ * @param {Map<number, number>} source Counts to add.
+ * @param {number} sign 1 or -1.
+ */
+function mergeCounts(target, source, sign) {
+    for (const [hash, count] of source) {
+        const next = (target.get(hash) || 0) + sign * count;
+        if (next === 0) {
+            target.delete(hash);
+        } else {
+            target.set(hash, next);
+        }
+    }
+}
+
+/**
+ * JSON equality, ignoring object key order.
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @returns {boolean}
+ */
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keysA = Object.keys(a);
+    if (keysA.length !== Object.keys(b).length) return false;
+    for (const key of keysA) {
+        if (!Object.prototype.hasOwnProperty.call(b, key) || !deepEqual(a[key], b[key])) return false;
+    }
+    return true;
+}
+
+export { SketchState };
@@ -0,0 +1,14 @@
+// Worker thread entry for `JSONHashify#generateSketches`: rebuilds the hasher from the options
+// in `workerData` and answers {id, batch} messages with {id, sketches} or {id, error}.
+import { parentPort, workerData } from 'node:worker_threads';
+import { JSONHashify } from '../index.js';
+
+const hasher = new JSONHashify(workerData);
+
+parentPort.on('message', ({ id, batch }) => {
+    try {
+        parentPort.postMessage({ id, sketches: batch.map(json => hasher.generateSketch(json)) });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
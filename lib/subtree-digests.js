@@ -0,0 +1,88 @@
+import { createHash } from 'node:crypto';
+
+/**
+ * Merkle-style content digests of every subtree of a document tree. A node's digest hashes its own
+ * content and its children's digests, each paired with the child's object key; object members (and
+ * array elements when order does not matter) are combined in sorted order, so equal subtrees get equal
+ * digests wherever they appear and whatever their key order.
+ * @param {Map<number, object>} nodeMap Nodes by id. Children must have larger ids than their parent.
+ * @param {function(number): Array<number>} childrenOf Child ids of a node, in document order.
+ * @param {function(object): string} contentOf A node's own content (value, or type for containers), without its key.
+ * @param {boolean} ordered Whether array element order is part of the content.
+ * @returns {Array<string>} 128-bit hex digests, indexed by node id.
+ */
+function subtreeDigests(nodeMap, childrenOf, contentOf, ordered) {
+    const digests = new Array(nodeMap.size);
+    for (var id = nodeMap.size - 1; id >= 0; id--) {
+        const node = nodeMap.get(id);
+        const parts = childrenOf(id).map(child => {
+            const key = nodeMap.get(child).key;
+            return (key === undefined ? '' : JSON.stringify(key) + ':') + digests[child];
+        });
+        if (node.type === 'object' || !ordered) {
+            parts.sort();
+        }
+        digests[id] = createHash('sha256').update(contentOf(node) + '(' + parts.join(',') + ')').digest('hex').slice(0, 32);
+    }
+    return digests;
+}
+
+/**
+ * Groups identical subtrees across several document trees. A group is left out when it is implied by a
+ * larger one: when every occurrence is the child of an occurrence of the same larger duplicate subtree.
+ * @param {Array<{nodeMap: Map<number, object>, parents: Array<number>, digests: Array<string>, sizes: Array<number>}>} trees
+ *        Per document: its nodes, the parent id of every node (-1 for the root), the subtree digests and the subtree sizes in nodes.
+ * @param {number} minNodes Smallest subtree size to report.
+ * @returns {Array<{digest: string, nodeCount: number, occurrences: Array<{document: number, path: string}>}>} Groups of two or more
+ *          occurrences, largest subtrees first.
+ */
+function groupDuplicateSubtrees(trees, minNodes) {
+    const groups = new Map();
+    for (var document = 0; document < trees.length; document++) {
+        const { digests, sizes } = trees[document];
+        for (var id = 0; id < digests.length; id++) {
+            if (sizes[id] < minNodes) continue;
+            var occurrences = groups.get(digests[id]);
+            if (!occurrences) {
+                occurrences = [];
+                groups.set(digests[id], occurrences);
+            }
+            occurrences.push({ document, id });
+        }
+    }
+
+    const results = [];
+    for (const [digest, occurrences] of groups) {
+        if (occurrences.length < 2 || isImpliedByParent(trees, groups, occurrences)) continue;
+        const first = occurrences[0];
+        results.push({
+            digest,
+            nodeCount: trees[first.document].sizes[first.id],
+            occurrences: occurrences.map(({ document, id }) => ({ document, path: trees[document].nodeMap.get(id).path }))
+        });
+    }
+    return results.sort((a, b) => b.nodeCount - a.nodeCount || b.occurrences.length - a.occurrences.length);
+}
+
+/**
+ * Whether every occurrence of a duplicate subtree sits directly under an occurrence of one larger duplicate
+ * subtree with as many occurrences, which already reports it.
+ * @param {Array<object>} trees The document trees (see `groupDuplicateSubtrees`).
+ * @param {Map<string, Array<{document: number, id: number}>>} groups Occurrences by digest.
+ * @param {Array<{document: number, id: number}>} occurrences The group's occurrences.
+ * @returns {boolean}
+ */
+function isImpliedByParent(trees, groups, occurrences) {
+    var parentDigest;
+    for (const { document, id } of occurrences) {
+        const parent = trees[document].parents[id];
+        if (parent === -1) return false;
+        const digest = trees[document].digests[parent];
+        if (parentDigest === undefined) parentDigest = digest;
+        else if (digest !== parentDigest) return false;
+    }
+    const parentOccurrences = groups.get(parentDigest);
+    return parentOccurrences !== undefined && parentOccurrences.length === occurrences.length;
+}
+
+export { subtreeDigests, groupDuplicateSubtrees };
@@ -0,0 +1,105 @@
+/**
+ * Zhang-Shasha tree edit distance with unit costs: the minimum number of node insertions,
+ * deletions and relabelings turning one ordered labelled tree into another.
+ * Runs in O(|A| |B| min(depth, leaves)^2) time and O(|A| |B|) memory.
+ * @param {{labels: Array<string>, leftmost: Array<number>}} treeA First tree in postorder (see `postorderTree`).
+ * @param {{labels: Array<string>, leftmost: Array<number>}} treeB Second tree in postorder.
+ * @returns {number} The edit distance.
+ */
+function treeEditDistance(treeA, treeB) {
+    const sizeA = treeA.labels.length;
+    const sizeB = treeB.labels.length;
+    if (sizeA === 0 || sizeB === 0) return sizeA + sizeB;
+
+    const labelsA = treeA.labels;
+    const labelsB = treeB.labels;
+    const leftmostA = treeA.leftmost;
+    const leftmostB = treeB.leftmost;
+    const treeDistances = new Uint32Array(sizeA * sizeB);
+    const forest = new Uint32Array((sizeA + 1) * (sizeB + 1));
+    const width = sizeB + 1;
+    const keyrootsB = keyroots(leftmostB);
+
+    for (const i of keyroots(leftmostA)) {
+        for (const j of keyrootsB) {
+            const li = leftmostA[i];
+            const lj = leftmostB[j];
+            const rows = i - li + 2;
+            const columns = j - lj + 2;
+
+            forest[0] = 0;
+            for (var di = 1; di < rows; di++) forest[di * width] = di;
+            for (var dj = 1; dj < columns; dj++) forest[dj] = dj;
+
+            for (var di = 1; di < rows; di++) {
+                const x = li + di - 1;
+                for (var dj = 1; dj < columns; dj++) {
+                    const y = lj + dj - 1;
+                    const remove = forest[(di - 1) * width + dj] + 1;
+                    const insert = forest[di * width + dj - 1] + 1;
+                    var best = remove < insert ? remove : insert;
+                    if (leftmostA[x] === li && leftmostB[y] === lj) {
+                        const relabel = forest[(di - 1) * width + dj - 1] + (labelsA[x] === labelsB[y] ? 0 : 1);
+                        if (relabel < best) best = relabel;
+                        treeDistances[x * sizeB + y] = best;
+                    } else {
+                        const subtrees = forest[(leftmostA[x] - li) * width + (leftmostB[y] - lj)] + treeDistances[x * sizeB + y];
+                        if (subtrees < best) best = subtrees;
+                    }
+                    forest[di * width + dj] = best;
+                }
+            }
+        }
+    }
+    return treeDistances[(sizeA - 1) * sizeB + (sizeB - 1)];
+}
+
+/**
+ * Lists a tree in postorder with the leftmost leaf descendant of every node.
+ * @param {number} root Id of the root node.
+ * @param {function(number): Array<number>} childrenOf Ordered child ids of a node.
+ * @param {function(number): string} labelOf Label of a node.
+ * @returns {{labels: Array<string>, leftmost: Array<number>}} Labels and leftmost-leaf postorder indices, indexed by postorder position.
+ */
+function postorderTree(root, childrenOf, labelOf) {
+    const labels = [];
+    const leftmost = [];
+    const stack = [{ id: root, children: childrenOf(root), next: 0, leftmost: -1 }];
+    while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        if (frame.next < frame.children.length) {
+            const child = frame.children[frame.next++];
+            stack.push({ id: child, children: childrenOf(child), next: 0, leftmost: -1 });
+            continue;
+        }
+        stack.pop();
+        const index = labels.length;
+        const nodeLeftmost = frame.leftmost === -1 ? index : frame.leftmost;
+        labels.push(labelOf(frame.id));
+        leftmost.push(nodeLeftmost);
+        if (stack.length > 0) {
+            const parent = stack[stack.length - 1];
+            if (parent.leftmost === -1) parent.leftmost = nodeLeftmost;
+        }
+    }
+    return { labels, leftmost };
+}
+
+/**
+ * Key roots of a postorder tree: the root, and every node that has a left sibling.
+ * @param {Array<number>} leftmost Leftmost leaf descendant of each node.
+ * @returns {Array<number>} Postorder indices, ascending.
+ */
+function keyroots(leftmost) {
+    const seen = new Set();
+    const roots = [];
+    for (var i = leftmost.length - 1; i >= 0; i--) {
+        if (!seen.has(leftmost[i])) {
+            seen.add(leftmost[i]);
+            roots.push(i);
+        }
+    }
+    return roots.reverse();
+}
+
+export { treeEditDistance, postorderTree };
@@ -0,0 +1,124 @@
+import { murmurhash3_32_gc_single_int } from 'grouped-oph';
+import { foldHash } from './shingle-hash.js';
+
+const WEIGHTING_MODES = ['none', 'multiset', 'tfidf'];
+
+/**
+ * Expands a weighted shingle collection into a plain set of element hashes so that the set
+ * Jaccard similarity of two expansions equals the weighted Jaccard similarity of their weights.
+ * A shingle of weight w becomes the elements (hash, 0) .. (hash, w - 1); copy 0 keeps the
+ * original hash, so a collection whose weights are all 1 expands to its own key set.
+ * The expansion has as many elements as the weights add up to; `maxShingleWeight` bounds each weight
+ * and `boundTotalWeight` their sum.
+ * 64-bit shingle hashes are folded to 32 bits first.
+ * @param {Map<number|bigint, number>} weights Map of shingle hash -> positive integer weight.
+ * @returns {Array<number>} Expanded element hashes.
+ */
+function expandWeightedMultiset(weights) {
+    const elements = [];
+    for (const [shingleHash, weight] of weights) {
+        if (weight <= 0) continue;
+        const hash = foldHash(shingleHash);
+        elements.push(hash);
+        for (var copy = 1; copy < weight; copy++) {
+            elements.push(murmurhash3_32_gc_single_int(hash, copy));
+        }
+    }
+    return elements;
+}
+
+/**
+ * Scales weights down in proportion when they add up to more than `maxTotal`, so that their expansion
+ * stays bounded however many heavy shingles a document has. Each weight w becomes
+ * max(1, floor(w * maxTotal / total)), so the scaled weights add up to at most `maxTotal` plus the
+ * number of shingles, and every shingle keeps a weight.
+ * @param {Map<number, number>} weights Map of shingle hash -> positive integer weight.
+ * @param {number} maxTotal Largest total weight kept as is.
+ * @returns {Map<number, number>} `weights` itself, or the scaled weights.
+ */
+function boundTotalWeight(weights, maxTotal) {
+    var total = 0;
+    for (const weight of weights.values()) {
+        total += weight;
+    }
+    if (total <= maxTotal) return weights;
+    const factor = maxTotal / total;
+    const scaled = new Map();
+    for (const [hash, weight] of weights) {
+        scaled.set(hash, Math.max(1, Math.floor(weight * factor)));
+    }
+    return scaled;
+}
+
+/**
+ * Exact weighted Jaccard similarity: sum of min(weights) over sum of max(weights).
+ * @param {Map<number, number>} weightsA First map of shingle hash -> weight.
+ * @param {Map<number, number>} weightsB Second map of shingle hash -> weight.
+ * @returns {number} Weighted Jaccard similarity (0 to 1). Two empty collections have similarity 1.
+ */
+function weightedJaccardSimilarity(weightsA, weightsB) {
+    var minSum = 0;
+    var maxSum = 0;
+    for (const [hash, weightA] of weightsA) {
+        const weightB = weightsB.get(hash) || 0;
+        minSum += Math.min(weightA, weightB);
+        maxSum += Math.max(weightA, weightB);
+    }
+    for (const [hash, weightB] of weightsB) {
+        if (!weightsA.has(hash)) {
+            maxSum += weightB;
+        }
+    }
+    return maxSum === 0 ? 1.0 : minSum / maxSum;
+}
+
+/**
+ * Normalises an IDF table given as `{documentCount, documentFrequencies}`, where the frequencies
+ * are a Map or an iterable of [hash, documentFrequency] entries. In entries, 64-bit shingle hashes
+ * may be decimal strings, as JSON has no bigints.
+ * @param {{documentCount: number, documentFrequencies: Map<number|bigint, number>|Iterable<Array<number|string>>}} idf The table.
+ * @returns {{documentCount: number, documentFrequencies: Map<number|bigint, number>}} The normalised table.
+ */
+function normalizeIdfTable(idf) {
+    if (!idf || !Number.isInteger(idf.documentCount) || idf.documentCount < 0 || !idf.documentFrequencies) {
+        throw new Error('idf must be an object with a documentCount and documentFrequencies');
+    }
+    const documentFrequencies = idf.documentFrequencies instanceof Map
+        ? idf.documentFrequencies
+        : new Map(Array.from(idf.documentFrequencies, ([hash, df]) => [typeof hash === 'string' ? BigInt(hash) : hash, df]));
+    return { documentCount: idf.documentCount, documentFrequencies };
+}
+
+/**
+ * Smoothed inverse document frequency: ln((1 + N) / (1 + df)) + 1.
+ * @param {{documentCount: number, documentFrequencies: Map<number, number>}} idf The table.
+ * @param {number} hash Shingle hash.
+ * @returns {number} The IDF weight (at least 1).
+ */
+function inverseDocumentFrequency(idf, hash) {
+    const df = idf.documentFrequencies.get(hash) || 0;
+    return Math.log((1 + idf.documentCount) / (1 + df)) + 1;
+}
+
+/**
+ * Order-independent 32-bit digest of an IDF table, used in configuration fingerprints.
+ * @param {{documentCount: number, documentFrequencies: Map<number, number>}} idf The table.
+ * @returns {number} Unsigned 32-bit digest.
+ */
+function idfDigest(idf) {
+    var digest = murmurhash3_32_gc_single_int(idf.documentCount, 0);
+    for (const [hash, df] of idf.documentFrequencies) {
+        digest = (digest + murmurhash3_32_gc_single_int(foldHash(hash), df)) >>> 0;
+    }
+    return digest;
+}
+
+export {
+    WEIGHTING_MODES,
+    expandWeightedMultiset,
+    boundTotalWeight,
+    weightedJaccardSimilarity,
+    normalizeIdfTable,
+    inverseDocumentFrequency,
+    idfDigest
+};
@@ -0,0 +1,112 @@
+import { Worker } from 'node:worker_threads';
+import { availableParallelism } from 'node:os';
+
+const WORKER_URL = new URL('./sketch-worker.js', import.meta.url);
+
+// Batches queued per worker, so a worker never waits for the next batch to be posted.
+const BATCHES_PER_WORKER = 2;
+
+/**
+ * Starts a sketch worker and tracks the batches it has been sent.
+ * @param {object} hasherOptions Structured-cloneable JSONHashify constructor options.
+ * @returns {{worker: Worker, pending: Map<number, object>, submit: function(number, Array): Promise<Array<Array<number>>>}} The worker handle.
+ */
+function startWorker(hasherOptions) {
+    const worker = new Worker(WORKER_URL, { workerData: hasherOptions });
+    const pending = new Map();
+    const failAll = (error) => {
+        for (const request of pending.values()) {
+            request.reject(error);
+        }
+        pending.clear();
+    };
+
+    worker.on('message', ({ id, sketches, error }) => {
+        const request = pending.get(id);
+        pending.delete(id);
+        if (error !== undefined) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(sketches);
+        }
+    });
+    worker.on('error', failAll);
+    worker.on('exit', (code) => failAll(new Error(`Sketch worker exited with code ${code}`)));
+
+    const submit = (id, batch) => {
+        const result = new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject });
+        });
+        worker.postMessage({ id, batch });
+        return result;
+    };
+    return { worker, pending, submit };
+}
+
+/**
+ * Sketches documents on a pool of worker threads, yielding sketches in input order.
+ * Input is pulled lazily, so at most `concurrency * 2` batches are held in memory at once.
+ * @param {object} hasherOptions Structured-cloneable JSONHashify constructor options.
+ * @param {Iterable<*>|AsyncIterable<*>} documents The JSON documents.
+ * @param {object} poolOptions Pool options.
+ * @param {number} [poolOptions.concurrency] Number of worker threads (defaults to the available parallelism).
+ * @param {number} poolOptions.batchSize Documents sent to a worker per message.
+ * @param {function({completed: number, total: number|undefined}): void} [poolOptions.onProgress] Called after each batch.
+ * @param {number} [poolOptions.total] Number of documents, when known, passed through to `onProgress`.
+ * @returns {AsyncGenerator<Array<number>>} Sketches in input order.
+ */
+async function* sketchInWorkers(hasherOptions, documents, poolOptions) {
+    const { batchSize, onProgress, total } = poolOptions;
+    const concurrency = poolOptions.concurrency ?? availableParallelism();
+    const iterator = documents[Symbol.asyncIterator] ? documents[Symbol.asyncIterator]() : documents[Symbol.iterator]();
+    const workers = [];
+    for (var i = 0; i < concurrency; i++) {
+        workers.push(startWorker(hasherOptions));
+    }
+
+    const queue = []; // Batch results, in input order
+    var exhausted = false;
+    var nextBatchId = 0;
+    var completed = 0;
+    try {
+        while (true) {
+            while (!exhausted && queue.length < concurrency * BATCHES_PER_WORKER) {
+                const batch = [];
+                while (batch.length < batchSize) {
+                    const step = await iterator.next();
+                    if (step.done) {
+                        exhausted = true;
+                        break;
+                    }
+                    batch.push(step.value);
+                }
+                if (batch.length === 0) break;
+
+                var target = workers[0];
+                for (var w = 1; w < workers.length; w++) {
+                    if (workers[w].pending.size < target.pending.size) target = workers[w];
+                }
+                const result = target.submit(nextBatchId++, batch);
+                result.catch(() => {}); // Rejections surface when the batch reaches the head of the queue
+                queue.push(result);
+            }
+            if (queue.length === 0) break;
+
+            const sketches = await queue.shift();
+            completed += sketches.length;
+            if (onProgress) {
+                onProgress({ completed, total });
+            }
+            for (const sketch of sketches) {
+                yield sketch;
+            }
+        }
+    } finally {
+        if (!exhausted && typeof iterator.return === 'function') {
+            await iterator.return();
+        }
+        await Promise.all(workers.map(({ worker }) => worker.terminate()));
+    }
+}
+
+export { sketchInWorkers };
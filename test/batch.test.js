@@ -0,0 +1,94 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+
+function makeDocument(i) {
+    return {
+        id: i,
+        name: `item-${i % 7}`,
+        tags: ['alpha', 'beta', 'gamma'].slice(0, (i % 3) + 1),
+        nested: { level: i % 4, values: [i, i * 2, { deep: i % 5 === 0 }] }
+    };
+}
+const documents = Array.from({ length: 50 }, (_, i) => makeDocument(i));
+
+async function collect(iterable) {
+    const results = [];
+    for await (const item of iterable) {
+        results.push(item);
+    }
+    return results;
+}
+
+test('generateSketches - Identical to generateSketch, in Order', async (t) => {
+    t.plan(2);
+    const hasher = new JSONHashify({ numHashFunctions: 64, shingleSize: 3, ignoreKeys: ['id'], valueNormalizers: ['lowercase'] });
+    const sketches = await collect(hasher.generateSketches(documents, { concurrency: 2, batchSize: 4 }));
+    t.equal(sketches.length, documents.length, 'Should yield one sketch per document');
+    t.deepEqual(sketches, documents.map(json => hasher.generateSketch(json)), 'Sketches should match serial generation in input order');
+});
+
+test('generateSketches - Async Iterable Input and Progress', async (t) => {
+    t.plan(3);
+    const hasher = new JSONHashify({ numHashFunctions: 32 });
+    async function* source() {
+        for (const json of documents.slice(0, 10)) {
+            yield json;
+        }
+    }
+    const progress = [];
+    const sketches = await collect(hasher.generateSketches(source(), { concurrency: 1, batchSize: 3, onProgress: (p) => progress.push(p) }));
+    t.deepEqual(sketches, documents.slice(0, 10).map(json => hasher.generateSketch(json)), 'Async iterables should be accepted');
+    t.deepEqual(progress.map(p => p.completed), [3, 6, 9, 10], 'Progress should be reported per batch');
+    t.equal(progress[0].total, undefined, 'Total should be unknown for unsized inputs');
+});
+
+test('generateSketches - Fitted IDF and Components', async (t) => {
+    t.plan(2);
+    const tfidf = new JSONHashify({ numHashFunctions: 32, weighting: 'tfidf' });
+    tfidf.fitIdf(documents);
+    const tfidfSketches = await collect(tfidf.generateSketches(documents.slice(0, 8), { concurrency: 2 }));
+    t.deepEqual(tfidfSketches, documents.slice(0, 8).map(json => tfidf.generateSketch(json)), 'Workers should use the fitted IDF table');
+
+    const components = new JSONHashify({ numHashFunctions: 16, components: { structure: true, values: { weight: 2 } } });
+    const progress = [];
+    const componentSketches = await collect(components.generateSketches(documents.slice(0, 8), { onProgress: (p) => progress.push(p) }));
+    t.deepEqual(componentSketches, documents.slice(0, 8).map(json => components.generateSketch(json)), 'Component sketches should match');
+});
+
+test('generateSketches - Errors', async (t) => {
+    t.plan(3);
+    const custom = new JSONHashify({ valueNormalizers: [(path, value) => value] });
+    try {
+        await collect(custom.generateSketches(documents));
+        t.fail('Should throw');
+    } catch (error) {
+        t.ok(error.message.includes('valueNormalizers'), 'Custom normalizer functions should be rejected');
+    }
+
+    const hasher = new JSONHashify();
+    try {
+        await collect(hasher.generateSketches(documents, { concurrency: 0 }));
+        t.fail('Should throw');
+    } catch (error) {
+        t.ok(error.message.includes('concurrency'), 'Invalid concurrency should be rejected');
+    }
+
+    const tfidf = new JSONHashify({ weighting: 'tfidf' });
+    try {
+        await collect(tfidf.generateSketches(documents.slice(0, 2), { concurrency: 1 }));
+        t.fail('Should throw');
+    } catch (error) {
+        t.ok(error.message.includes('fitIdf'), 'Worker errors should be rethrown');
+    }
+});
+
+test('generateSketches - Early Exit', async (t) => {
+    t.plan(1);
+    const hasher = new JSONHashify({ numHashFunctions: 32 });
+    const taken = [];
+    for await (const sketch of hasher.generateSketches(documents, { concurrency: 2, batchSize: 2 })) {
+        taken.push(sketch);
+        if (taken.length === 3) break;
+    }
+    t.deepEqual(taken, documents.slice(0, 3).map(json => hasher.generateSketch(json)), 'Breaking out should stop the pool cleanly');
+});
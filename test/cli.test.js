@@ -0,0 +1,167 @@
+import test from 'tape';
+import { Readable } from 'node:stream';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { JSONHashify } from '../index.js';
+import { run, parseArgs } from '../lib/cli.js';
+
+const base = { id: 1, user: { name: 'Alice', roles: ['admin', 'dev'] }, settings: { theme: 'dark', beta: true } };
+const near = { id: 2, user: { name: 'Alice', roles: ['admin', 'dev'] }, settings: { theme: 'dark', beta: true } };
+const other = { kind: 'invoice', total: 99.5, lines: [{ sku: 'X1', qty: 3 }, { sku: 'Y2', qty: 1 }] };
+
+const dir = mkdtempSync(join(tmpdir(), 'json-hashify-cli-'));
+writeFileSync(join(dir, 'a.json'), JSON.stringify(base));
+writeFileSync(join(dir, 'b.json'), JSON.stringify(near));
+writeFileSync(join(dir, 'c.json'), JSON.stringify(other));
+writeFileSync(join(dir, 'notes.txt'), 'ignored');
+
+async function cli(argv, stdinText = '') {
+    var stdout = '';
+    var stderr = '';
+    const code = await run(argv, {
+        stdin: Readable.from([stdinText]),
+        stdout: { write: (chunk) => { stdout += chunk; } },
+        stderr: { write: (chunk) => { stderr += chunk; } }
+    });
+    return { code, stdout, stderr };
+}
+
+test('CLI - Flag Parsing', (t) => {
+    t.plan(3);
+    const parsed = parseArgs(['compare', 'a.json', '--shingle-size=3', '--no-preserve-array-order', '--ignore-keys', 'id,meta', '--components', '{"keys":{}}', 'b.json']);
+    t.equal(parsed.command, 'compare', 'First positional should be the command');
+    t.deepEqual(parsed.inputs, ['a.json', 'b.json'], 'Remaining positionals should be inputs');
+    t.deepEqual(parsed.hasherOptions, { shingleSize: 3, preserveArrayOrder: false, ignoreKeys: ['id', 'meta'], components: { keys: {} } }, 'Flags should map to constructor options');
+});
+
+test('CLI - sketch', async (t) => {
+    t.plan(5);
+    const hasher = new JSONHashify({ numHashFunctions: 32, shingleSize: 3 });
+    const { code, stdout } = await cli(['sketch', join(dir, 'a.json'), join(dir, 'c.json'), '--num-hash-functions', '32', '--shingle-size', '3']);
+    const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+
+    t.equal(code, 0, 'Should exit with 0');
+    t.equal(lines[0].config.fingerprint, hasher.fingerprint, 'Header should carry the configuration fingerprint');
+    t.deepEqual(lines[0].config.options, { numHashFunctions: 32, shingleSize: 3 }, 'Header should carry the options');
+    t.deepEqual(lines[1], { id: join(dir, 'a.json'), sketch: hasher.generateSketch(base) }, 'Sketch should match generateSketch');
+    t.deepEqual(lines[2].sketch, hasher.generateSketch(other), 'Each file should get its own line');
+});
+
+test('CLI - sketch reads NDJSON from stdin', async (t) => {
+    t.plan(4);
+    const hasher = new JSONHashify({ numHashFunctions: 32 });
+    const { code, stdout } = await cli(['sketch', '--ndjson', '--num-hash-functions', '32', '--encoding', 'base64'], `${JSON.stringify(base)}\n\n${JSON.stringify(other)}\n`);
+    const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+
+    t.equal(code, 0, 'Should exit with 0');
+    t.deepEqual(lines.slice(1).map(line => line.id), ['-:1', '-:3'], 'Ids should name the stdin line');
+    t.deepEqual(JSONHashify.deserializeSketch(lines[1].sketch).sketch, hasher.generateSketch(base), 'base64 sketches should round-trip');
+    t.deepEqual(JSONHashify.deserializeSketch(lines[2].sketch).sketch, hasher.generateSketch(other), 'Blank lines should be skipped');
+});
+
+test('CLI - compare', async (t) => {
+    t.plan(3);
+    const hasher = new JSONHashify();
+    const { code, stdout } = await cli(['compare', join(dir, 'a.json'), join(dir, 'b.json')]);
+    t.equal(code, 0, 'Should exit with 0');
+    t.equal(Number(stdout), hasher.compareSketches(hasher.generateSketch(base), hasher.generateSketch(near)), 'Should print compareSketches');
+
+    const failed = await cli(['compare', join(dir, 'a.json')]);
+    t.equal(failed.code, 1, 'Should fail without two inputs');
+});
+
+test('CLI - matrix', async (t) => {
+    t.plan(4);
+    const { code, stdout } = await cli(['matrix', dir]);
+    const rows = stdout.trim().split('\n').map(line => line.split(','));
+    t.equal(code, 0, 'Should exit with 0');
+    t.deepEqual(rows[0], ['file', join(dir, 'a.json'), join(dir, 'b.json'), join(dir, 'c.json')], 'Header should list the JSON files of the directory');
+    t.deepEqual([rows[1][1], rows[2][2], rows[3][3]], ['1.0000', '1.0000', '1.0000'], 'Diagonal should be 1');
+    t.equal(rows[1][2], rows[2][1], 'Matrix should be symmetric');
+});
+
+test('CLI - dedupe', async (t) => {
+    t.plan(3);
+    const { code, stdout } = await cli(['dedupe', dir, '--threshold', '0.5']);
+    const clusters = stdout.trim().split('\n').map(line => JSON.parse(line));
+    t.equal(code, 0, 'Should exit with 0');
+    t.equal(clusters.length, 1, 'Should find one cluster');
+    t.deepEqual(clusters[0], { size: 2, members: [join(dir, 'a.json'), join(dir, 'b.json')] }, 'Near-duplicates should be clustered');
+});
+
+test('CLI - sketch with a preset', async (t) => {
+    t.plan(4);
+    const ast = { type: 'Program', start: 0, end: 9, body: [{ type: 'ExpressionStatement', start: 0, end: 9, expression: { type: 'Identifier', start: 0, end: 8, name: 'answer' } }] };
+    writeFileSync(join(dir, 'ast.json'), JSON.stringify(ast));
+    const hasher = new JSONHashify({ ...JSONHashify.presets.estree(), numHashFunctions: 32 });
+    const { code, stdout } = await cli(['sketch', join(dir, 'ast.json'), '--preset', 'estree', '--num-hash-functions', '32']);
+    const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+    rmSync(join(dir, 'ast.json'));
+
+    t.equal(code, 0, 'Should exit with 0');
+    t.equal(lines[0].config.fingerprint, hasher.fingerprint, 'Preset options should be applied under the flags');
+    t.deepEqual(lines[1].sketch, hasher.generateSketch(ast), 'Options that cannot stream should parse the whole file');
+    const unknown = await cli(['sketch', '--preset', 'cobol']);
+    t.ok(unknown.code === 1 && unknown.stderr.includes('Unknown preset: cobol'), 'Unknown presets should fail');
+});
+
+test('CLI - Options that need the whole tree', async (t) => {
+    t.plan(4);
+    const relative = new JSONHashify({ relativePaths: true });
+    const relativeRun = await cli(['compare', join(dir, 'a.json'), join(dir, 'b.json'), '--relative-paths']);
+    t.equal(relativeRun.code, 0, '--relative-paths should exit with 0');
+    t.equal(Number(relativeRun.stdout), relative.compareSketches(relative.generateSketch(base), relative.generateSketch(near)),
+        '--relative-paths should parse the whole file');
+
+    const decayed = new JSONHashify({ weighting: 'multiset', depthDecay: 0.5 });
+    const decayedRun = await cli(['compare', join(dir, 'a.json'), join(dir, 'b.json'), '--weighting', 'multiset', '--depth-decay', '0.5']);
+    t.equal(decayedRun.code, 0, '--depth-decay should exit with 0');
+    t.equal(Number(decayedRun.stdout), decayed.compareSketches(decayed.generateSketch(base), decayed.generateSketch(near)),
+        '--depth-decay should parse the whole file');
+});
+
+test('CLI - tfidf weighting', async (t) => {
+    t.plan(8);
+    const rejected = await cli(['compare', join(dir, 'a.json'), join(dir, 'b.json'), '--weighting', 'tfidf']);
+    t.ok(rejected.code === 1 && rejected.stderr.includes('--weighting tfidf needs --idf <file> with compare'), 'compare without --idf should fail clearly');
+
+    const fitted = await cli(['fit-idf', dir, '--weighting', 'tfidf']);
+    t.equal(fitted.code, 0, 'fit-idf should exit with 0');
+    const hasher = new JSONHashify({ weighting: 'tfidf' });
+    const table = hasher.fitIdf([base, near, other]);
+    t.deepEqual(JSON.parse(fitted.stdout), { documentCount: 3, documentFrequencies: Array.from(table.documentFrequencies) }, 'fit-idf should print the fitIdf table');
+
+    writeFileSync(join(dir, 'idf.table'), fitted.stdout);
+    const compared = await cli(['compare', join(dir, 'a.json'), join(dir, 'b.json'), '--weighting', 'tfidf', '--idf', join(dir, 'idf.table')]);
+    t.equal(compared.code, 0, 'compare with --idf should exit with 0');
+    t.equal(Number(compared.stdout), hasher.compareSketches(hasher.generateSketch(base), hasher.generateSketch(near)), 'compare should use the table');
+    rmSync(join(dir, 'idf.table'));
+
+    const wideFitted = await cli(['fit-idf', dir, '--weighting', 'tfidf', '--hash-bits', '64']);
+    const wide = new JSONHashify({ weighting: 'tfidf', hashBits: 64 });
+    wide.fitIdf([base, near, other]);
+    writeFileSync(join(dir, 'idf.table'), wideFitted.stdout);
+    const wideCompared = await cli(['compare', join(dir, 'a.json'), join(dir, 'b.json'), '--weighting', 'tfidf', '--hash-bits', '64', '--idf', join(dir, 'idf.table')]);
+    t.equal(Number(wideCompared.stdout), wide.compareSketches(wide.generateSketch(base), wide.generateSketch(near)), 'fit-idf should print 64-bit tables that --idf reads back');
+    rmSync(join(dir, 'idf.table'));
+
+    const matrix = await cli(['matrix', dir, '--weighting', 'tfidf']);
+    t.equal(matrix.code, 0, 'matrix should fit IDF over its inputs');
+    const rows = matrix.stdout.trim().split('\n').map(line => line.split(','));
+    t.equal(rows[1][2], hasher.compareSketches(hasher.generateSketch(base), hasher.generateSketch(near)).toFixed(4), 'matrix should match a hasher fitted on the inputs');
+});
+
+test('CLI - Errors', async (t) => {
+    t.plan(3);
+    const unknown = await cli(['sketch', '--no-such-flag']);
+    t.equal(unknown.code, 1, 'Unknown flags should fail');
+    t.ok(unknown.stderr.includes('Unknown option --no-such-flag'), 'Should report the unknown flag');
+    const usage = await cli([]);
+    t.ok(usage.code === 1 && usage.stderr.startsWith('Usage:'), 'No command should print usage');
+});
+
+test('CLI - Cleanup', (t) => {
+    rmSync(dir, { recursive: true, force: true });
+    t.end();
+});
@@ -0,0 +1,67 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+
+// Simplified ASTs for `function add(a, b) { return a + b; }` and the same function with renamed identifiers.
+function functionAst(name, left, right) {
+    return {
+        type: 'FunctionDeclaration',
+        id: { type: 'Identifier', name },
+        params: [{ type: 'Identifier', name: left }, { type: 'Identifier', name: right }],
+        body: {
+            type: 'BlockStatement',
+            body: [{
+                type: 'ReturnStatement',
+                argument: {
+                    type: 'BinaryExpression',
+                    operator: '+',
+                    left: { type: 'Identifier', name: left },
+                    right: { type: 'Identifier', name: right }
+                }
+            }]
+        }
+    };
+}
+
+test('Components - Option Validation', (t) => {
+    t.plan(6);
+    const hasher = new JSONHashify({ numHashFunctions: 32, components: { structure: { weight: 0.8 }, values: { weight: 0.2, shingleSize: 2 } } });
+    t.deepEqual(hasher.components.map(c => c.name), ['structure', 'values'], 'Enabled components should be kept in sketch order');
+    t.equal(hasher.components[0].shingleSize, 5, 'Component shingleSize should default to options.shingleSize');
+    t.equal(hasher.sketchLength, 64, 'Sketch length should be numHashFunctions per component');
+
+    t.throws(() => new JSONHashify({ components: { shape: true } }), /Unknown component: shape/, 'Should reject unknown components');
+    t.throws(() => new JSONHashify({ components: { keys: { weight: 0 } } }), /at least one component with a positive weight/, 'Should require a positive total weight');
+    t.notEqual(hasher.fingerprint, new JSONHashify({ numHashFunctions: 32 }).fingerprint, 'Components should change the configuration fingerprint');
+});
+
+test('Components - Identifier Renames Only Affect Values', (t) => {
+    t.plan(5);
+    const hasher = new JSONHashify({
+        numHashFunctions: 64,
+        components: { structure: { weight: 0.8 }, keys: { weight: 0.1, shingleSize: 3 }, values: { weight: 0.1, shingleSize: 2 } }
+    });
+    const sketch1 = hasher.generateSketch(functionAst('add', 'a', 'b'));
+    const sketch2 = hasher.generateSketch(functionAst('sum', 'x', 'y'));
+    t.equal(sketch1.length, 192, 'Sketch should hold one block per component');
+
+    const report = hasher.compareSketches(sketch1, sketch2, { perComponent: true });
+    t.equal(report.components.structure, 1.0, 'Structure should be identical');
+    t.equal(report.components.keys, 1.0, 'Key names should be identical');
+    t.ok(report.components.values < 1.0, `Values (${report.components.values.toFixed(3)}) should differ`);
+
+    const expected = 0.8 * report.components.structure + 0.1 * report.components.keys + 0.1 * report.components.values;
+    t.ok(Math.abs(report.similarity - expected) < 1e-9, 'Overall similarity should be the weighted average of the components');
+});
+
+test('Components - Streaming and Plain Similarity', (t) => {
+    t.plan(3);
+    const hasher = new JSONHashify({ numHashFunctions: 32, frequencyThreshold: 2, components: { structure: true, keys: true, values: true } });
+    const ast = functionAst('add', 'a', 'b');
+
+    t.deepEqual(hasher.createSketchBuilder().end(JSON.stringify(ast)), hasher.generateSketch(ast), 'Streamed component sketch should match generateSketch');
+    t.equal(typeof hasher.compareSketches(hasher.generateSketch(ast), hasher.generateSketch(ast)), 'number', 'compareSketches should return a number without perComponent');
+
+    const plain = new JSONHashify({ numHashFunctions: 32 });
+    const sketch = plain.generateSketch(ast);
+    t.deepEqual(plain.compareSketches(sketch, sketch, { perComponent: true }), { similarity: 1.0, components: {} }, 'perComponent without components should report no components');
+});
@@ -0,0 +1,76 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+
+// A large configuration and a snippet of it.
+const services = {};
+for (var i = 0; i < 40; i++) {
+    services[`service${i}`] = { image: `registry.local/app-${i}:1.${i}`, replicas: i % 5 + 1, ports: [8000 + i], env: { LOG_LEVEL: i % 2 ? 'debug' : 'info' } };
+}
+const config = { version: '3.9', services };
+const snippet = { version: '3.9', services: { service7: services.service7 } };
+const unrelated = { name: 'Widget', price: 10, tags: ['blue', 'small'], dims: { w: 3, h: 4 } };
+
+function exactContainment(setA, setB) {
+    var intersection = 0;
+    for (const hash of setA) {
+        if (setB.has(hash)) intersection++;
+    }
+    return intersection / setA.size;
+}
+
+test('Containment - Snippet Within a Large Document', (t) => {
+    t.plan(6);
+    const hasher = new JSONHashify({ numHashFunctions: 256 });
+    const a = hasher.generateSketch(snippet, { withCardinality: true });
+    const b = hasher.generateSketch(config, { withCardinality: true });
+
+    t.deepEqual(a.sketch, hasher.generateSketch(snippet), 'The sketch should not change when its cardinality is requested');
+    t.equal(a.cardinality, hasher.generateShingleSet(snippet).size, 'Cardinality should be the size of the sketched shingle set');
+
+    const expected = exactContainment(hasher.generateShingleSet(snippet), hasher.generateShingleSet(config));
+    const containment = hasher.compareSketches(a, b, { metric: 'containment' });
+    t.ok(hasher.compareSketches(a, b) < 0.2, 'Jaccard similarity should be crushed by the size difference');
+    t.ok(Math.abs(containment - expected) < 0.15, `Containment ${containment} should estimate the exact containment ${expected}`);
+    t.ok(hasher.compareSketches(b, a, { metric: 'containment' }) < 0.2, 'Containment should be asymmetric');
+    t.ok(hasher.compareSketches(a, b, { metric: 'overlap' }) > 0.7, 'The overlap coefficient should be high for a contained snippet');
+});
+
+test('Containment - Unrelated and Identical Documents', (t) => {
+    t.plan(2);
+    const hasher = new JSONHashify({ numHashFunctions: 128 });
+    const config1 = hasher.generateSketch(config, { withCardinality: true });
+    t.ok(hasher.compareSketches(hasher.generateSketch(unrelated, { withCardinality: true }), config1, { metric: 'containment' }) < 0.2, 'Unrelated documents should have low containment');
+    t.equal(hasher.compareSketches(config1, config1, { metric: 'containment' }), 1, 'A document should be fully contained in itself');
+});
+
+test('Containment - Components and Weighting', (t) => {
+    t.plan(4);
+    const hasher = new JSONHashify({ numHashFunctions: 128, components: { structure: true, values: true } });
+    const a = hasher.generateSketch(snippet, { withCardinality: true });
+    const b = hasher.generateSketch(config, { withCardinality: true });
+    t.equal(a.cardinality.length, 2, 'Components should carry one cardinality each');
+    const result = hasher.compareSketches(a, b, { metric: 'containment', perComponent: true });
+    t.ok(result.components.structure > 0.6 && result.components.values > 0.6, 'Each component should estimate its own containment');
+
+    const weighted = new JSONHashify({ numHashFunctions: 256, weighting: 'multiset' });
+    const weightedSketch = weighted.generateSketch(snippet, { withCardinality: true });
+    const total = Array.from(weighted.generateWeightedShingles(snippet).values()).reduce((sum, weight) => sum + weight, 0);
+    t.equal(weightedSketch.cardinality, total, 'Weighted cardinality should be the total weight');
+    t.ok(weighted.compareSketches(weightedSketch, weighted.generateSketch(config, { withCardinality: true }), { metric: 'containment' }) > 0.6, 'Weighted containment should be high for a contained snippet');
+});
+
+test('Containment - Serialization and Errors', (t) => {
+    t.plan(6);
+    const hasher = new JSONHashify({ numHashFunctions: 64 });
+    const a = hasher.generateSketch(snippet, { withCardinality: true });
+    const b = hasher.generateSketch(config, { withCardinality: true });
+
+    const decoded = JSONHashify.deserializeSketch(hasher.serializeSketch(a, { encoding: 'base64' }));
+    t.equal(decoded.cardinality, a.cardinality, 'Cardinality should survive serialization');
+    t.equal(hasher.compareSketches(decoded, b, { metric: 'containment' }), hasher.compareSketches(a, b, { metric: 'containment' }), 'Deserialized sketches should support containment');
+    t.notOk('cardinality' in JSONHashify.deserializeSketch(hasher.serializeSketch(a.sketch)), 'Bare sketches should serialize without a cardinality');
+
+    t.throws(() => hasher.compareSketches(a.sketch, b, { metric: 'containment' }), /needs sketches with a cardinality/, 'Bare sketches should be rejected for containment');
+    t.throws(() => hasher.compareSketches(a, b, { metric: 'containment', similarityThreshold: 0.5, errorTolerance: 0.01 }), /not supported/, 'Early termination should be rejected for containment');
+    t.throws(() => hasher.compareSketches(a, b, { metric: 'cosine' }), /Unknown metric/, 'Unknown metrics should throw');
+});
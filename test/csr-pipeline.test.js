@@ -0,0 +1,62 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+
+// Shingle multisets recorded with the recursive subtree extraction that the typed-array CSR and the
+// bottom-up counting pass replaced. The hash function passes each window's rolling hash residue through,
+// so the expected [hash, weight] pairs do not depend on MurmurHash3.
+const cases = [
+    {
+        name: 'Nested arrays',
+        options: {},
+        doc: { matrix: [[1, 2], [3, [4, 5]]], tags: ['x', 'y'] },
+        expected: [[40012835, 9], [40012836, 15], [547882255, 6], [547882267, 12], [547948304, 18], [547948316, 9], [581698831, 9], [581698832, 15],
+            [618643572, 1], [653368162, 6], [654226601, 26], [755990620, 6], [786854166, 21], [786854423, 33], [790270051, 24], [820934934, 6],
+            [820937976, 3], [820937978, 3], [820937979, 3], [820938047, 3], [837909527, 18], [837912570, 3], [837912573, 3], [837912641, 3],
+            [856667309, 26], [942069626, 24], [942463677, 1], [955139877, 3], [955139878, 3], [975486120, 8], [976609472, 26]]
+    },
+    {
+        name: 'Depth limit',
+        options: { subtreeDepth: 1 },
+        doc: { a: { b: { c: { d: 'deep' } } }, list: [[['z']]] },
+        expected: [[97, 2], [6418673, 2], [547882255, 6], [547882267, 2], [581698831, 6], [618643572, 1], [649599000, 4], [666573850, 2],
+            [683548712, 2], [701315936, 2], [704156311, 2], [786854166, 12], [787316001, 4], [787382051, 2], [787451184, 2], [789957751, 6],
+            [820934934, 6], [820938049, 2], [840220853, 8], [942463677, 1], [959751785, 6], [972114470, 6], [991157352, 2]]
+    },
+    {
+        name: 'ignorePaths',
+        options: { ignorePaths: ['user.password', 'meta', 'user.roles[1]'] },
+        doc: { user: { name: 'Ada', password: 'secret', roles: ['admin', 'dev'] }, meta: { ts: 1 } },
+        expected: [[547882267, 3], [582493013, 3], [618643572, 1], [653168532, 3], [653760870, 3], [704685729, 3], [718281533, 3], [721975404, 3],
+            [721975408, 6], [722041434, 3], [786854166, 3], [788121706, 3], [788389499, 6], [820938024, 3], [839956587, 3], [856916550, 3],
+            [873640090, 3], [891339180, 6], [938170216, 3], [938171258, 6], [942462891, 6], [942463677, 1], [955139877, 3], [958778481, 9],
+            [988845376, 3], [990958956, 3], [993649080, 11]]
+    },
+    {
+        name: 'Unordered root array',
+        options: { preserveArrayOrder: false },
+        doc: [{ id: 1, kids: [{ id: 2 }] }, [true, null]],
+        expected: [[618643572, 1], [705066796, 3], [783896617, 3], [784690507, 3], [784692046, 3], [787792181, 6], [787925606, 9], [788952113, 3],
+            [788952114, 3], [788966759, 6], [823242404, 9], [874960820, 3], [942463677, 1], [955128369, 3], [976612537, 3], [991821961, 3],
+            [992217493, 3]]
+    }
+];
+
+test('CSR pipeline - Shingle multisets are unchanged', (t) => {
+    t.plan(cases.length);
+    for (const { name, options, doc, expected } of cases) {
+        const hasher = new JSONHashify({ shingleSize: 4, weighting: 'multiset', hashFunction: residue => residue, hashFunctionId: 'residue', ...options });
+        const weights = Array.from(hasher.generateWeightedShingles(doc)).sort((a, b) => a[0] - b[0]);
+        t.deepEqual(weights, expected, `${name} should give the recorded shingle weights`);
+    }
+});
+
+test('CSR pipeline - Set-mode sketches skip deduplication without changing the signature', (t) => {
+    const configurations = [{}, { hashBits: 64 }, { subtreeDepth: 1 }, { relativePaths: true }, { enableNodeStringCache: true }];
+    const doc = { rows: [{ id: 1, tags: ['a', 'a', 'b'] }, { id: 1, tags: ['a', 'a', 'b'] }], note: 'aaaaaaaa' };
+    t.plan(configurations.length);
+    for (const options of configurations) {
+        const hasher = new JSONHashify(options);
+        const deduplicated = hasher._sketchFromShingleCollection(hasher._buildShingleMultiset(doc));
+        t.deepEqual(hasher.generateSketch(doc), deduplicated, `${JSON.stringify(options)} should sketch the deduplicated set`);
+    }
+});
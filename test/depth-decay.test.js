@@ -0,0 +1,61 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+
+const account = { user: { name: 'Ada', roles: ['admin', 'dev'], address: { city: 'London', zip: 'N1' } }, active: true, count: 12 };
+const wrapped = { data: account };
+const rootChange = { ...account, active: false };
+const deepChange = { ...account, user: { ...account.user, address: { ...account.user.address, zip: 'N2' } } };
+
+test('Depth decay - Relative paths', (t) => {
+    t.plan(4);
+    const absolute = new JSONHashify({ numHashFunctions: 128 });
+    const relative = new JSONHashify({ numHashFunctions: 128, relativePaths: true });
+    t.ok(relative.exactSimilarity(account, wrapped) > absolute.exactSimilarity(account, wrapped),
+        `Relative paths should make a wrapped document more similar (${relative.exactSimilarity(account, wrapped).toFixed(3)} vs ${absolute.exactSimilarity(account, wrapped).toFixed(3)})`);
+    const nested = relative.generateShingleSet({ a: { b: 1 } });
+    t.ok(Array.from(relative.generateShingleSet({ b: 1 })).every(hash => nested.has(hash)), 'A subtree should have every shingle of the same value at the root');
+    t.equal(relative.compareSketches(relative.generateSketch(account), relative.generateSketch(JSON.parse(JSON.stringify(account)))), 1,
+        'Equal documents should get equal sketches');
+    t.notEqual(relative.fingerprint, absolute.fingerprint, 'relativePaths should be part of the fingerprint');
+});
+
+test('Depth decay - Root emphasis', (t) => {
+    t.plan(4);
+    const flat = new JSONHashify({ numHashFunctions: 256, weighting: 'multiset' });
+    const decayed = new JSONHashify({ numHashFunctions: 256, weighting: 'multiset', depthDecay: 0.5 });
+    t.ok(decayed.exactSimilarity(account, rootChange) < flat.exactSimilarity(account, rootChange), 'A root-level change should weigh more with decay');
+    t.ok(decayed.exactSimilarity(account, deepChange) > flat.exactSimilarity(account, deepChange), 'A deep change should weigh less with decay');
+    t.ok(decayed.exactSimilarity(account, rootChange) < decayed.exactSimilarity(account, deepChange),
+        'With decay, a root-level change should lower the similarity more than a deep one');
+    const explanation = decayed.explainSimilarity(account, deepChange);
+    t.deepEqual(explanation.onlyInA.map(entry => entry.path), ['user.address.zip'], 'explainSimilarity should count decayed shingles');
+});
+
+test('Depth decay - From the leaves', (t) => {
+    t.plan(2);
+    // Without enclosing subtrees every node is counted once, so weights are the decay weights times weightScale.
+    const weights = new JSONHashify({ weighting: 'multiset', depthDecay: 0.5, depthDecayFrom: 'leaves', subtreeDepth: 0, weightScale: 8 })
+        .generateWeightedShingles({ a: { b: { c: 'xyz' } } });
+    t.deepEqual([Math.min(...weights.values()), Math.max(...weights.values())], [1, 8], 'Leaves should keep the full weight and the root the least');
+    const hasher = new JSONHashify({ numHashFunctions: 128, weighting: 'multiset', depthDecay: 0.5, depthDecayFrom: 'leaves' });
+    const relative = new JSONHashify({ numHashFunctions: 128, weighting: 'multiset', depthDecay: 0.5, depthDecayFrom: 'leaves', relativePaths: true });
+    t.ok(relative.exactSimilarity(account, wrapped) > hasher.exactSimilarity(account, wrapped),
+        'Relative paths should make a wrapped document more similar under leaf decay');
+});
+
+test('Depth decay - Options', (t) => {
+    t.plan(9);
+    t.equal(new JSONHashify({ depthDecay: 1, weighting: 'multiset' }).fingerprint, new JSONHashify({ weighting: 'multiset' }).fingerprint,
+        'depthDecay 1 should keep the default fingerprint');
+    t.notEqual(new JSONHashify({ depthDecay: 0.5, weighting: 'multiset' }).fingerprint, new JSONHashify({ depthDecay: 0.7, weighting: 'multiset' }).fingerprint,
+        'depthDecay should be part of the fingerprint');
+    t.throws(() => new JSONHashify({ depthDecay: 0, weighting: 'multiset' }), /depthDecay must be greater than 0 and at most 1/, 'Zero decay should throw');
+    t.throws(() => new JSONHashify({ depthDecay: 1.5, weighting: 'multiset' }), /depthDecay must be greater than 0 and at most 1/, 'Growth should throw');
+    t.throws(() => new JSONHashify({ depthDecay: 0.5 }), /depthDecay requires weighting 'multiset' or 'tfidf'/, 'Set weighting should throw');
+    t.throws(() => new JSONHashify({ depthDecay: 0.5, weighting: 'multiset', frequencyThreshold: 2 }), /frequencyThreshold/, 'Thresholds should throw');
+    t.throws(() => new JSONHashify({ depthDecayFrom: 'middle' }), /depthDecayFrom must be one of: root, leaves/, 'Unknown origins should throw');
+
+    const hasher = new JSONHashify({ relativePaths: true });
+    t.throws(() => hasher.createSketchBuilder(), /cannot be used with streaming/, 'Streaming should throw');
+    t.throws(() => hasher.generateSubtreeSketches(account), /cannot be used with generateSubtreeSketches/, 'Subtree sketches should throw');
+});
@@ -0,0 +1,44 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+
+const original = { roles: [{ a: 1, b: 2 }, { a: 3, b: 4 }] };
+const reordered = { roles: [{ b: 4, a: 3 }, { a: 1, b: 2 }] };
+const recombined = { roles: [{ a: 1, b: 4 }, { a: 3, b: 2 }] };
+
+test('Array Element Digests - Elements Stay Distinguishable', (t) => {
+    t.plan(4);
+    const flat = new JSONHashify({ numHashFunctions: 64, preserveArrayOrder: false });
+    const digests = new JSONHashify({ numHashFunctions: 64, preserveArrayOrder: false, arrayElementDigests: true });
+
+    t.deepEqual(flat.generateShingleSet(original), flat.generateShingleSet(recombined), 'Without digests, recombined elements are indistinguishable');
+    t.notDeepEqual(digests.generateShingleSet(original), digests.generateShingleSet(recombined), 'With digests, recombined elements should differ');
+    t.deepEqual(digests.generateSketch(original), digests.generateSketch(reordered), 'Reordering elements and their keys should not matter');
+    t.notEqual(digests.fingerprint, flat.fingerprint, 'arrayElementDigests should be part of the configuration fingerprint');
+});
+
+test('Array Element Digests - Nested Arrays and Scalars', (t) => {
+    t.plan(4);
+    const hasher = new JSONHashify({ numHashFunctions: 64, preserveArrayOrder: false, arrayElementDigests: true });
+    const permissions = { grants: [{ resource: 'users', actions: ['read', 'write'] }, { resource: 'posts', actions: ['read'] }] };
+    const shuffled = { grants: [{ actions: ['read'], resource: 'posts' }, { resource: 'users', actions: ['write', 'read'] }] };
+    const moved = { grants: [{ resource: 'users', actions: ['read'] }, { resource: 'posts', actions: ['read', 'write'] }] };
+
+    t.deepEqual(hasher.generateSketch(permissions), hasher.generateSketch(shuffled), 'Nested arrays should be order-insensitive at every level');
+    t.notDeepEqual(hasher.generateShingleSet(permissions), hasher.generateShingleSet(moved), 'Moving an action between grants should change the shingles');
+    t.deepEqual(hasher.generateShingleSet({ tags: ['b', 'a'] }), new JSONHashify({ preserveArrayOrder: false }).generateShingleSet({ tags: ['a', 'b'] }), 'Scalar elements should hash as without digests');
+
+    const similar = hasher.compareSketches(hasher.generateSketch(permissions), hasher.generateSketch({ grants: [...permissions.grants, { resource: 'tags', actions: ['read'] }] }));
+    t.ok(similar > 0.5, `Adding an element should keep the other elements' shingles (similarity ${similar})`);
+});
+
+test('Array Element Digests - Consistency and Options', (t) => {
+    t.plan(4);
+    const hasher = new JSONHashify({ numHashFunctions: 32, preserveArrayOrder: false, arrayElementDigests: true });
+    const doc = { outer: { list: [{ x: 1, inner: [{ y: 2 }, { y: 3 }] }, { x: 4 }] } };
+    const subtree = hasher.generateSubtreeSketches(doc, { paths: ['outer'] })[0];
+    t.deepEqual(subtree.sketch, hasher.generateSketch(doc.outer), 'Subtree sketches should match generateSketch of the subtree');
+
+    t.throws(() => new JSONHashify({ arrayElementDigests: true }), /requires preserveArrayOrder: false/, 'Digests should require unordered arrays');
+    t.throws(() => hasher.createSketchBuilder(), /cannot be used with streaming/, 'Digests should reject streaming');
+    t.throws(() => hasher.createSketchState(doc), /cannot be used with incremental updates/, 'Digests should reject incremental updates');
+});
@@ -0,0 +1,80 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+import { treeEditDistance, postorderTree } from '../lib/tree-edit-distance.js';
+
+const docA = { name: 'Widget', price: 10, tags: ['blue', 'small'], dims: { w: 3, h: 4 } };
+const docB = { name: 'Widget', price: 12, tags: ['blue', 'small'], dims: { w: 3, h: 4 }, sku: 'W-1' };
+
+// Builds a postorder tree from nested [label, ...children] arrays.
+function labelledTree(spec) {
+    const nodes = [];
+    const add = (node) => {
+        const id = nodes.length;
+        nodes.push({ label: node[0], children: [] });
+        for (const child of node.slice(1)) {
+            nodes[id].children.push(add(child));
+        }
+        return id;
+    };
+    add(spec);
+    return postorderTree(0, id => nodes[id].children, id => nodes[id].label);
+}
+
+test('treeEditDistance - Zhang-Shasha Reference Example', (t) => {
+    t.plan(4);
+    const a = labelledTree(['f', ['d', ['a'], ['c', ['b']]], ['e']]);
+    const b = labelledTree(['f', ['c', ['d', ['a'], ['b']]], ['e']]);
+    t.equal(treeEditDistance(a, b), 2, 'Classic example should have distance 2');
+    t.equal(treeEditDistance(a, a), 0, 'Identical trees should have distance 0');
+    t.equal(treeEditDistance(labelledTree(['a']), labelledTree(['b'])), 1, 'Single relabel should cost 1');
+    t.equal(treeEditDistance(labelledTree(['a', ['b'], ['c']]), labelledTree(['a'])), 2, 'Deleting two leaves should cost 2');
+});
+
+test('exactSimilarity - Jaccard', (t) => {
+    t.plan(4);
+    const hasher = new JSONHashify({ numHashFunctions: 64 });
+    t.equal(hasher.exactSimilarity(docA, docA), 1, 'Identical documents should have similarity 1');
+    t.equal(hasher.exactSimilarity(docA, docB), hasher.explainSimilarity(docA, docB).exactJaccard, 'Should equal the exact shingle Jaccard');
+
+    const weighted = new JSONHashify({ numHashFunctions: 64, weighting: 'multiset' });
+    t.equal(weighted.exactSimilarity(docA, docB), weighted.weightedSimilarity(docA, docB), 'Weighted modes should use weighted Jaccard');
+
+    const components = new JSONHashify({ numHashFunctions: 64, components: { structure: { weight: 3 }, values: true } });
+    const structureOnly = new JSONHashify({ numHashFunctions: 64, components: { structure: true } });
+    const valuesOnly = new JSONHashify({ numHashFunctions: 64, components: { values: true } });
+    const expected = (3 * structureOnly.exactSimilarity(docA, docB) + valuesOnly.exactSimilarity(docA, docB)) / 4;
+    t.ok(Math.abs(components.exactSimilarity(docA, docB) - expected) < 1e-12, 'Components should be combined by weight');
+});
+
+test('exactSimilarity - Tree Edit Distance', (t) => {
+    t.plan(7);
+    const hasher = new JSONHashify();
+    t.equal(hasher.treeEditDistance(docA, docA), 0, 'Identical documents should have distance 0');
+    t.equal(hasher.treeEditDistance(docA, { ...docA, price: 11 }), 1, 'Changing a leaf should cost one relabel');
+    t.equal(hasher.treeEditDistance(docA, docB), 2, 'A changed leaf and an added member should cost 2');
+    t.equal(hasher.treeEditDistance(docA, { dims: { h: 4, w: 3 }, tags: ['blue', 'small'], price: 10, name: 'Widget' }), 0, 'Object key order should not matter');
+
+    const nodes = 10; // root, name, price, tags, 2 tags, dims, w, h, sku
+    t.equal(hasher.exactSimilarity(docA, docB, { metric: 'treeEditDistance' }), 1 - 2 / nodes, 'Similarity should be 1 - distance / larger tree size');
+    t.equal(new JSONHashify({ ignoreKeys: ['price', 'sku'] }).treeEditDistance(docA, docB), 0, 'ignoreKeys should be honoured');
+    t.equal(hasher.exactSimilarity({ a: 1 }, [1, 2, 3, 4], { metric: 'treeEditDistance' }), 0, 'Similarity should be clamped to 0');
+});
+
+test('exactSimilarity - Array Order', (t) => {
+    t.plan(3);
+    const list = { items: [{ id: 1, v: 'x' }, { id: 2, v: 'y' }, 3] };
+    const reversed = { items: [3, { id: 2, v: 'y' }, { id: 1, v: 'x' }] };
+    const ordered = new JSONHashify();
+    const unordered = new JSONHashify({ preserveArrayOrder: false });
+    t.ok(ordered.treeEditDistance(list, reversed) > 0, 'Reordering should cost edits when preserveArrayOrder is true');
+    t.equal(unordered.treeEditDistance(list, reversed), 0, 'Reordering should be free when preserveArrayOrder is false');
+    t.equal(unordered.treeEditDistance(list, { items: [3, { id: 2, v: 'z' }, { id: 1, v: 'x' }] }), 1, 'Unordered comparison should still count edits');
+});
+
+test('exactSimilarity - Errors', (t) => {
+    t.plan(2);
+    const hasher = new JSONHashify();
+    const big = { values: Array.from({ length: 50 }, (_, i) => ({ i })) };
+    t.throws(() => hasher.exactSimilarity(big, big, { metric: 'treeEditDistance', maxNodes: 100 }), /limited to 100 nodes/, 'Trees above maxNodes should be rejected');
+    t.throws(() => hasher.exactSimilarity(docA, docB, { metric: 'cosine' }), /Unknown metric/, 'Unknown metrics should throw');
+});
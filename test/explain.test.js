@@ -0,0 +1,50 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+
+const jsonA = { user: { name: 'Alice Smith', email: 'alice@example.com' }, status: 'active', tags: ['a', 'b'] };
+const jsonB = { user: { name: 'Alice Smith', email: 'asmith@example.org' }, status: 'active', tags: ['a', 'b'], extra: 'only in B' };
+
+test('explainSimilarity - Report Shape and Exact Jaccard', (t) => {
+    t.plan(6);
+    const hasher = new JSONHashify({ numHashFunctions: 128, shingleSize: 3 });
+    const report = hasher.explainSimilarity(jsonA, jsonB);
+
+    const setA = hasher.generateShingleSet(jsonA);
+    const setB = hasher.generateShingleSet(jsonB);
+    const intersection = Array.from(setA).filter(h => setB.has(h)).length;
+    const union = new Set([...setA, ...setB]).size;
+
+    t.equal(report.sharedShingles, intersection, 'sharedShingles should be the intersection size');
+    t.equal(report.totalShingles, union, 'totalShingles should be the union size');
+    t.equal(report.exactJaccard, intersection / union, 'exactJaccard should be the exact set Jaccard');
+    t.equal(report.estimatedJaccard, hasher.compareSketches(hasher.generateSketch(jsonA), hasher.generateSketch(jsonB)), 'estimatedJaccard should match compareSketches');
+
+    const sum = (entries) => entries.reduce((acc, e) => acc + e.contribution, 0);
+    t.ok(Math.abs(sum(report.shared) - report.exactJaccard) < 1e-9, 'Shared contributions should sum to the exact Jaccard');
+    t.ok(Math.abs(sum(report.onlyInA) + sum(report.onlyInB) - (1 - report.exactJaccard)) < 1e-9, 'Unique contributions should sum to 1 - Jaccard');
+});
+
+test('explainSimilarity - Path Attribution', (t) => {
+    t.plan(5);
+    const hasher = new JSONHashify({ numHashFunctions: 64, shingleSize: 3 });
+    const report = hasher.explainSimilarity(jsonA, jsonB);
+
+    const onlyBPaths = report.onlyInB.map(e => e.path);
+    t.ok(onlyBPaths.includes('extra'), 'Key only present in B should be reported as unique to B');
+    t.ok(onlyBPaths.includes('user.email'), 'Changed value should be reported as unique to B');
+    t.ok(report.onlyInA.map(e => e.path).includes('user.email'), 'Changed value should be reported as unique to A');
+    t.ok(report.shared.map(e => e.path).includes('user.name'), 'Unchanged value should be reported as shared');
+
+    const ranked = report.shared.every((e, i) => i === 0 || report.shared[i - 1].contribution >= e.contribution);
+    t.ok(ranked, 'Shared paths should be ranked by contribution');
+});
+
+test('explainSimilarity - Limit and Identical Documents', (t) => {
+    t.plan(4);
+    const hasher = new JSONHashify({ numHashFunctions: 64, frequencyThreshold: 2 });
+    const report = hasher.explainSimilarity(jsonA, jsonA, { limit: 2 });
+    t.equal(report.exactJaccard, 1.0, 'Identical documents should have exact Jaccard 1.0');
+    t.equal(report.shared.length, 2, 'limit should truncate ranked lists');
+    t.deepEqual(report.onlyInA, [], 'Identical documents should have nothing unique to A');
+    t.deepEqual(report.onlyInB, [], 'Identical documents should have nothing unique to B');
+});
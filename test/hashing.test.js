@@ -0,0 +1,125 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+
+const orders = [
+    { id: 'A-1', customer: { name: 'Ada', tier: 'gold' }, items: [{ sku: 'X1', qty: 2 }, { sku: 'Y7', qty: 1 }], notes: 'leave at door' },
+    { id: 'A-2', customer: { name: 'Ada', tier: 'gold' }, items: [{ sku: 'X1', qty: 3 }, { sku: 'Z9', qty: 1 }], notes: 'leave at door' }
+];
+
+// Seeded random text, so the collision counts below are fixed.
+function randomText(length) {
+    const alphabet = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-_';
+    var state = 12345;
+    var text = '';
+    for (var i = 0; i < length; i++) {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        text += alphabet[state >>> 26];
+    }
+    return text;
+}
+
+test('Hashing - Seeds', (t) => {
+    t.plan(7);
+    const unseeded = new JSONHashify({ numHashFunctions: 128 });
+    const zero = new JSONHashify({ numHashFunctions: 128, seed: 0 });
+    const seeded = new JSONHashify({ numHashFunctions: 128, seed: 42 });
+    const other = new JSONHashify({ numHashFunctions: 128, seed: 43 });
+
+    t.deepEqual(zero.generateSketch(orders[0]), unseeded.generateSketch(orders[0]), 'Seed 0 should reproduce the default sketches');
+    t.equal(zero.fingerprint, unseeded.fingerprint, 'Seed 0 should keep the default fingerprint');
+    t.deepEqual(new JSONHashify({ numHashFunctions: 128, seed: 42 }).generateSketch(orders[0]), seeded.generateSketch(orders[0]),
+        'Sketches should be reproducible from the seed');
+    t.notEqual(seeded.fingerprint, other.fingerprint, 'The seed should be part of the configuration fingerprint');
+
+    const a = seeded.generateSketch(orders[0]);
+    const b = other.generateSketch(orders[0]);
+    t.ok(a.filter((value, i) => value === b[i]).length < 8, 'Sketches of the same document under different seeds should share almost no values');
+
+    const exact = seeded.exactSimilarity(orders[0], orders[1]);
+    const estimates = [seeded, other].map(hasher => hasher.compareSketches(hasher.generateSketch(orders[0]), hasher.generateSketch(orders[1])));
+    t.ok(estimates.every(estimate => Math.abs(estimate - exact) < 0.15), `Every seed should estimate the Jaccard similarity (${exact.toFixed(3)}): ${estimates.map(e => e.toFixed(3))}`);
+    t.throws(() => new JSONHashify({ seed: -1 }), /seed must be an unsigned 32-bit integer/, 'Invalid seeds should throw');
+});
+
+test('Hashing - 64-bit shingle hashes', (t) => {
+    t.plan(7);
+    const narrow = new JSONHashify({ numHashFunctions: 64, stringToHashifyThreshold: 8 });
+    const wide = new JSONHashify({ numHashFunctions: 64, hashBits: 64, stringToHashifyThreshold: 8 });
+
+    const shingles = wide.generateWeightedShingles(orders[0]);
+    t.ok(Array.from(shingles.keys()).every(hash => typeof hash === 'bigint'), 'Every shingle hash, large-value fingerprints included, should be a bigint');
+    t.equal(shingles.size, narrow.generateWeightedShingles(orders[0]).size, 'Small documents should have as many distinct shingles either way');
+    const sketch = wide.generateSketch(orders[0]);
+    t.ok(sketch.every(value => Number.isInteger(value) && value >= 0 && value < 2 ** 32), 'Sketch values should stay unsigned 32-bit integers');
+    t.notEqual(wide.fingerprint, narrow.fingerprint, 'hashBits should be part of the configuration fingerprint');
+    t.equal(wide.exactSimilarity(orders[0], orders[1]), narrow.exactSimilarity(orders[0], orders[1]), 'Exact similarity should not depend on the hash width');
+
+    const multiset = new JSONHashify({ numHashFunctions: 64, hashBits: 64, weighting: 'multiset' });
+    t.ok(multiset.compareSketches(multiset.generateSketch(orders[0]), multiset.generateSketch(orders[1])) > 0.3, 'Weighted sketches should work with 64-bit hashes');
+    t.throws(() => new JSONHashify({ hashBits: 48 }), /hashBits must be one of: 32, 64/, 'Other widths should throw');
+});
+
+test('Hashing - 64-bit IDF tables', (t) => {
+    t.plan(5);
+    const wide = new JSONHashify({ numHashFunctions: 64, hashBits: 64, weighting: 'tfidf' });
+    const table = wide.fitIdf(orders);
+    t.ok(Array.from(table.documentFrequencies.keys()).every(hash => typeof hash === 'bigint'), 'IDF tables should keep 64-bit shingle hashes');
+    const narrowTable = new JSONHashify({ weighting: 'tfidf' }).fitIdf(orders);
+    t.equal(table.documentFrequencies.size, narrowTable.documentFrequencies.size, 'Small corpora should have as many distinct shingles either way');
+
+    const entries = Array.from(table.documentFrequencies, ([hash, df]) => [String(hash), df]);
+    const restored = new JSONHashify({ numHashFunctions: 64, hashBits: 64, weighting: 'tfidf', idf: { documentCount: table.documentCount, documentFrequencies: entries } });
+    t.deepEqual(restored.generateSketch(orders[0]), wide.generateSketch(orders[0]), 'Tables with decimal string hashes should read back as bigints');
+    t.equal(restored.fingerprint, wide.fingerprint, 'A table read back should fingerprint like the fitted one');
+    t.throws(() => new JSONHashify({ weighting: 'tfidf', idf: table }), /idf was fitted with a different hashBits/, 'Tables of the other width should throw');
+});
+
+test('Hashing - Custom hash function', (t) => {
+    t.plan(9);
+    const calls = [];
+    const multiplicative = (residue, seed) => {
+        calls.push(seed);
+        return Math.imul(residue ^ seed, 0x9E3779B1) >>> 0;
+    };
+    const hasher = new JSONHashify({ numHashFunctions: 64, hashFunction: multiplicative, hashFunctionId: 'multiplicative', seed: 5 });
+    const sketch = hasher.generateSketch(orders[0]);
+
+    t.ok(calls.length > 0 && calls.every(seed => seed === 5), 'The hash function should be called with the seed');
+    t.notDeepEqual(sketch, new JSONHashify({ numHashFunctions: 64, seed: 5 }).generateSketch(orders[0]), 'The hash function should change the sketch');
+    t.equal(hasher.compareSketches(sketch, hasher.generateSketch(JSON.parse(JSON.stringify(orders[0])))), 1, 'Equal documents should still get equal sketches');
+    t.notEqual(hasher.fingerprint, new JSONHashify({ numHashFunctions: 64, seed: 5, hashFunction: (residue) => residue, hashFunctionId: 'identity' }).fingerprint,
+        'The hash function id should be part of the configuration fingerprint');
+
+    // Same source, different captured state: only the id tells them apart.
+    const salted = (salt) => (residue, seed) => Math.imul(residue ^ seed ^ salt, 0x9E3779B1) >>> 0;
+    t.notEqual(new JSONHashify({ hashFunction: salted(1), hashFunctionId: 'salted-1' }).fingerprint,
+        new JSONHashify({ hashFunction: salted(2), hashFunctionId: 'salted-2' }).fingerprint, 'Closures should be told apart by their ids');
+    t.throws(() => new JSONHashify({ hashFunction: multiplicative }), /hashFunction requires a hashFunctionId/, 'A hash function without an id should throw');
+    t.throws(() => new JSONHashify({ hashFunctionId: 'murmur' }), /hashFunctionId requires hashFunction/, 'An id without a hash function should throw');
+    t.throws(() => new JSONHashify({ hashFunction: 'murmur', hashFunctionId: 'murmur' }), /hashFunction must be a function/, 'Non-functions should throw');
+    hasher.generateSketches([orders[0]]).next().then(
+        () => t.fail('generateSketches should reject a custom hash function'),
+        (err) => t.ok(/hashFunction/.test(err.message), 'generateSketches should reject a custom hash function'));
+});
+
+test('Hashing - Collision characteristics', (t) => {
+    // One string of 100,000 distinct 8-character windows. 32-bit shingle hashes go through a rolling hash
+    // modulo ~2^30 and then 32 bits, so about n^2/2 * (2^-30 + 2^-32) = 6 pairs of windows should collide
+    // (the birthday bound); 64-bit hashes combine two independent residues and should never collide here.
+    t.plan(5);
+    const text = randomText(100000);
+    const options = { shingleSize: 8, stringToHashifyThreshold: Infinity };
+    const nodeString = '$root:' + text;
+    const windows = new Set();
+    for (var i = 0; i + 8 <= nodeString.length; i++) windows.add(nodeString.slice(i, i + 8));
+    const expected = (windows.size ** 2 / 2) * (1 / 1000000007 + 1 / 2 ** 32);
+
+    const narrowCollisions = windows.size - new JSONHashify(options).generateWeightedShingles(text).size;
+    const wideCollisions = windows.size - new JSONHashify({ ...options, hashBits: 64 }).generateWeightedShingles(text).size;
+    t.ok(narrowCollisions > 0, `32-bit hashes should collide on a document this size (${narrowCollisions} collisions, ~${expected.toFixed(1)} expected)`);
+    t.ok(narrowCollisions < 4 * expected, '32-bit collisions should stay near the birthday bound');
+    t.ok(wideCollisions < narrowCollisions, `64-bit hashes should collide less on the same input (${wideCollisions} vs ${narrowCollisions})`);
+    t.equal(wideCollisions, 0, '64-bit hashes should not collide');
+    t.equal(new JSONHashify({ ...options, hashBits: 64, seed: 99 }).generateWeightedShingles(text).size, windows.size,
+        '64-bit hashes should not collide under another seed');
+});
@@ -0,0 +1,156 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+import { JsonRollingHasher } from '../lib/json-rolling-hasher.js';
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Deterministic pseudo-random base64 text.
+function blob(length, seed) {
+    var state = seed;
+    var text = '';
+    for (var i = 0; i < length; i++) {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        text += BASE64[state >>> 26];
+    }
+    return text;
+}
+
+function exactJaccard(setA, setB) {
+    var intersection = 0;
+    for (const hash of setA) {
+        if (setB.has(hash)) intersection++;
+    }
+    return intersection / (setA.size + setB.size - intersection);
+}
+
+const attachment = blob(200000, 7);
+const editedAttachment = attachment.slice(0, 100000) + 'EDIT' + attachment.slice(100004);
+const samples = Array.from({ length: 5000 }, (_, i) => (i * 7919) % 1000);
+const editedSamples = samples.slice();
+editedSamples[2500] = -1;
+
+test('Large Values - Bounded Shingle Counts', (t) => {
+    t.plan(4);
+    const hasher = new JSONHashify({ numHashFunctions: 64 });
+    const unbounded = new JSONHashify({ numHashFunctions: 64, stringToHashifyThreshold: Infinity, arrayToHashifyThreshold: Infinity });
+
+    const stringDoc = { name: 'report.pdf', data: attachment };
+    const small = hasher.generateShingleSet({ name: 'report.pdf', data: 'x' }).size;
+    const bounded = hasher.generateShingleSet(stringDoc).size;
+    t.ok(bounded <= small + hasher.options.largeValueFingerprintSize, `A 200k character string should add at most largeValueFingerprintSize shingles (got ${bounded - small})`);
+    t.ok(unbounded.generateShingleSet(stringDoc).size > 100000, 'Without the threshold the string is shingled character by character');
+
+    const arrayDoc = { name: 'signal', samples };
+    t.ok(hasher.generateShingleSet(arrayDoc).size <= hasher.generateShingleSet({ name: 'signal', samples: [] }).size + 32, 'A 5000 element array should add at most largeValueFingerprintSize shingles');
+    t.ok(unbounded.generateShingleSet(arrayDoc).size > 5000, 'Without the threshold every element is a node');
+});
+
+test('Large Values - Stable Similarity for Small Edits', (t) => {
+    t.plan(5);
+    const hasher = new JSONHashify({ numHashFunctions: 128 });
+    const doc = { name: 'report.pdf', data: attachment, samples };
+
+    const editedString = { ...doc, data: editedAttachment };
+    const editedArray = { ...doc, samples: editedSamples };
+    const unrelated = { ...doc, data: blob(200000, 99) };
+
+    t.ok(exactJaccard(hasher.generateShingleSet(doc), hasher.generateShingleSet(editedString)) > 0.9, 'Editing a few characters inside a large string should keep the shingle sets nearly identical');
+    t.ok(exactJaccard(hasher.generateShingleSet(doc), hasher.generateShingleSet(editedArray)) > 0.9, 'Editing one element of a large array should keep the shingle sets nearly identical');
+    t.ok(hasher.compareSketches(hasher.generateSketch(doc), hasher.generateSketch(editedString)) > 0.8, 'Sketch similarity should stay high after a small edit');
+    t.ok(exactJaccard(hasher.generateShingleSet(doc), hasher.generateShingleSet(unrelated)) < 0.7, 'A different blob should lower the similarity');
+
+    const lengthened = { ...doc, data: 'prefix' + attachment };
+    t.ok(exactJaccard(hasher.generateShingleSet(doc), hasher.generateShingleSet(lengthened)) > 0.9, 'Inserting text should not shift every chunk');
+});
+
+test('Large Values - Values Below the Thresholds are Unchanged', (t) => {
+    t.plan(2);
+    const doc = { title: 'short string', tags: ['a', 'b', 'c'], counts: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10], mixed: Array.from({ length: 20 }, (_, i) => ({ i })) };
+    const hasher = new JSONHashify({ numHashFunctions: 64 });
+    const disabled = new JSONHashify({ numHashFunctions: 64, stringToHashifyThreshold: Infinity, arrayToHashifyThreshold: Infinity });
+    t.deepEqual(hasher.generateSketch(doc), disabled.generateSketch(doc), 'Short strings, short arrays and arrays of objects should be hashed as before');
+    t.notEqual(hasher.fingerprint, disabled.fingerprint, 'The thresholds should be part of the configuration fingerprint');
+});
+
+test('Large Values - Array Order and Normalizers', (t) => {
+    t.plan(3);
+    const reversed = samples.slice().reverse();
+    const ordered = new JSONHashify({ numHashFunctions: 64 });
+    const unordered = new JSONHashify({ numHashFunctions: 64, preserveArrayOrder: false });
+    t.notDeepEqual(ordered.generateSketch({ samples }), ordered.generateSketch({ samples: reversed }), 'Order should matter when preserveArrayOrder is true');
+    t.deepEqual(unordered.generateSketch({ samples }), unordered.generateSketch({ samples: reversed }), 'Order should not matter when preserveArrayOrder is false');
+
+    const rounding = new JSONHashify({ numHashFunctions: 64, valueNormalizers: [{ type: 'round', digits: 0 }] });
+    t.deepEqual(rounding.generateSketch({ samples: samples.map(n => n + 0.2) }), rounding.generateSketch({ samples }), 'Normalizers should apply to summarised elements');
+});
+
+test('Large Values - Streaming and Components Match', async (t) => {
+    const doc = {
+        data: editedAttachment.slice(0, 5000),
+        samples: samples.slice(0, 300),
+        nested: [[1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], { deep: samples.slice(0, 50) }, 'x'],
+        mixed: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, { late: true }]
+    };
+    const configurations = [
+        {},
+        { preserveArrayOrder: false },
+        { subtreeDepth: 3, frequencyThreshold: 2 },
+        { ignorePaths: ['samples[3]', 'nested[0][*]'] },
+        { includePaths: ['samples[1]', 'nested.**'] },
+        { valueNormalizers: ['lowercase'] },
+        { components: { structure: true, keys: true, values: { weight: 2 } } }
+    ];
+    t.plan(configurations.length + 1);
+    for (const options of configurations) {
+        const hasher = new JSONHashify({ numHashFunctions: 32, ...options });
+        const text = JSON.stringify(doc);
+        const streamed = await hasher.generateSketchFromStream([text.slice(0, 4000), text.slice(4000)]);
+        t.deepEqual(streamed, hasher.generateSketch(doc), `Streaming should match generateSketch with ${JSON.stringify(options)}`);
+    }
+    const hasher = new JSONHashify({ numHashFunctions: 32 });
+    t.deepEqual(hasher.createSketchBuilder().end(JSON.stringify(samples)), hasher.generateSketch(samples), 'A summarised root array should stream identically');
+});
+
+test('Large Values - Mixed Arrays', async (t) => {
+    t.plan(5);
+    const hasher = new JSONHashify({ numHashFunctions: 64 });
+    const mixed = { samples: samples.concat([{ marker: 'end' }]) };
+    const scalarsOnly = hasher.generateShingleSet({ samples }).size;
+    t.ok(hasher.generateShingleSet(mixed).size <= scalarsOnly + hasher.generateShingleSet({ samples: [{ marker: 'end' }] }).size,
+        'An object element should not stop the scalars of a long array from being summarised');
+    t.ok(hasher.exactSimilarity(mixed, { samples }) > 0.5, 'A summarised mixed array should stay similar to its scalars alone');
+
+    const text = JSON.stringify(mixed);
+    const builder = hasher.createSketchBuilder();
+    builder.write(text.slice(0, text.length >> 1));
+    const frame = builder._stack[builder._stack.length - 1];
+    t.ok(frame.elements === null && frame.fingerprinter !== null, 'A streamed array past the threshold should be fingerprinted, not buffered');
+    t.deepEqual(builder.end(text.slice(text.length >> 1)), hasher.generateSketch(mixed), 'A streamed mixed array should match generateSketch');
+
+    const shapes = new JSONHashify({ numHashFunctions: 64, mode: 'shape' });
+    t.deepEqual(await shapes.generateSketchFromStream([text]), shapes.generateSketch(mixed), 'Shape mode, which summarises nothing, should stream identically');
+});
+
+test('JsonRollingHasher - Fingerprints', (t) => {
+    t.plan(5);
+    const rolling = new JsonRollingHasher({ fingerprintSize: 16 });
+    const fingerprint = rolling.fingerprintString(attachment);
+    t.equal(fingerprint.length, 16, 'Fingerprints should be capped at fingerprintSize');
+    t.deepEqual(fingerprint, fingerprint.slice().sort((a, b) => a - b), 'Fingerprints should be sorted ascending');
+    t.deepEqual(rolling.fingerprintString(attachment), fingerprint, 'Fingerprints should be deterministic');
+    t.ok(rolling.fingerprintString('short').length === 1, 'Short strings should form a single chunk');
+    t.throws(() => new JsonRollingHasher({ averageChunkSize: 30 }), /powers of two/, 'Chunk sizes should be powers of two');
+});
+
+test('JsonRollingHasher - Incremental Sequences', (t) => {
+    t.plan(2);
+    const rolling = new JsonRollingHasher({ fingerprintSize: 16 });
+    const unbounded = new JsonRollingHasher({ fingerprintSize: samples.length });
+    const elementHashes = samples.map(n => rolling.hashElement(String(n)));
+    for (const ordered of [true, false]) {
+        const fingerprinter = rolling.createSequenceFingerprinter(ordered);
+        for (const hash of elementHashes) fingerprinter.add(hash);
+        t.deepEqual(fingerprinter.digest(), unbounded.fingerprintSequence(elementHashes, ordered).slice(0, 16),
+            `An incremental ${ordered ? 'ordered' : 'unordered'} fingerprint should keep the smallest of all its hashes`);
+    }
+});
@@ -0,0 +1,94 @@
+import test from 'tape';
+import { generateGroupedOPHSignature } from 'grouped-oph';
+import { JSONHashify } from '../index.js';
+import { expandWeightedMultiset } from '../lib/weighting.js';
+
+// Responses from one endpoint: similar in shape, different in content.
+function response(seed) {
+    const items = [];
+    for (var i = 0; i < 30; i++) {
+        items.push({ id: seed * 100 + i, sku: `SKU-${seed}-${i}`, qty: (seed + i) % 7, tags: [`t${i % 5}`, `s${seed}`] });
+    }
+    return { status: 'ok', page: seed, items };
+}
+
+// The sketch of the combined shingle sets of several documents.
+function unionSketch(hasher, docs) {
+    const union = new Set();
+    for (const doc of docs) {
+        for (const hash of hasher.generateShingleSet(doc)) union.add(hash);
+    }
+    return generateGroupedOPHSignature(Array.from(union), hasher.numHashFunctions, hasher.numGroups);
+}
+
+test('mergeSketches - Union of Shingle Sets', (t) => {
+    t.plan(3);
+    const hasher = new JSONHashify({ numHashFunctions: 64 });
+    const docs = [response(1), response(2), response(3)];
+    const sketches = docs.map(doc => hasher.generateSketch(doc));
+    t.deepEqual(JSONHashify.mergeSketches(sketches.slice(0, 2)), unionSketch(hasher, docs.slice(0, 2)), 'merge(sketch(A), sketch(B)) should equal the sketch of the combined shingle sets');
+    t.deepEqual(JSONHashify.mergeSketches(sketches), unionSketch(hasher, docs), 'Merging several sketches should equal the sketch of their union');
+    t.deepEqual(JSONHashify.mergeSketches([sketches[0]]), sketches[0], 'Merging one sketch should return it unchanged');
+});
+
+test('mergeSketches - Cardinality and Sketch Objects', (t) => {
+    t.plan(5);
+    const hasher = new JSONHashify({ numHashFunctions: 128 });
+    const a = hasher.generateSketch(response(1), { withCardinality: true });
+    const b = hasher.generateSketch(response(2), { withCardinality: true });
+    const merged = JSONHashify.mergeSketches([a, b]);
+
+    const exact = new Set([...hasher.generateShingleSet(response(1)), ...hasher.generateShingleSet(response(2))]).size;
+    t.equal(merged.fingerprint, hasher.fingerprint, 'The merged sketch should keep the configuration fingerprint');
+    t.ok(Math.abs(merged.cardinality - exact) / exact < 0.15, `Merged cardinality ${merged.cardinality} should estimate the union size ${exact}`);
+    t.equal(hasher.compareSketches(a, merged, { metric: 'containment' }), 1, 'Each input should be contained in the merged sketch');
+    t.equal(JSONHashify.mergeSketches([a, b.sketch]).cardinality, undefined, 'Cardinality should be dropped when an input lacks one');
+
+    const components = new JSONHashify({ numHashFunctions: 64, components: { structure: true, values: true } });
+    const mergedComponents = JSONHashify.mergeSketches([response(1), response(2)].map(doc => components.generateSketch(doc, { withCardinality: true })));
+    t.equal(mergedComponents.cardinality.length, 2, 'Component cardinalities should be merged separately');
+});
+
+test('mergeSketches - Small Documents with Empty Bins', (t) => {
+    t.plan(6);
+    const hasher = new JSONHashify({ numHashFunctions: 64 });
+    // A handful of shingles each, so most of the 64 bins of every sketch are filled by densification.
+    const docs = [{ a: 1 }, { b: 'two' }, [true]];
+    t.ok(docs.every(doc => hasher.generateShingleSet(doc).size < 64), 'Every document should have fewer shingles than bins');
+
+    const sketches = docs.map(doc => hasher.generateSketch(doc, { mergeable: true }));
+    t.ok(sketches.every(sketch => sketch.basis[0].length <= 64), 'A basis should hold at most one element per bin');
+    const pair = JSONHashify.mergeSketches(sketches.slice(0, 2));
+    t.deepEqual(pair.sketch, unionSketch(hasher, docs.slice(0, 2)), 'merge(sketch(A), sketch(B)) should equal the sketch of the combined shingle sets');
+    t.deepEqual(JSONHashify.mergeSketches([pair, sketches[2]]).sketch, unionSketch(hasher, docs), 'A merged sketch should merge again exactly');
+
+    const weighted = new JSONHashify({ numHashFunctions: 32, weighting: 'multiset' });
+    const merged = JSONHashify.mergeSketches(docs.map(doc => weighted.generateSketch(doc, { mergeable: true })));
+    const maxWeights = new Map();
+    for (const doc of docs) {
+        for (const [hash, weight] of weighted.generateWeightedShingles(doc)) maxWeights.set(hash, Math.max(weight, maxWeights.get(hash) ?? 0));
+    }
+    t.deepEqual(merged.sketch, generateGroupedOPHSignature(expandWeightedMultiset(maxWeights), 32, weighted.numGroups),
+        'Weighted sketches should merge into the sketch of the maximum weights');
+
+    const components = new JSONHashify({ numHashFunctions: 32, components: { structure: true, values: true } });
+    const mergedComponents = JSONHashify.mergeSketches(docs.map(doc => components.generateSketch(doc, { mergeable: true })));
+    const expected = [];
+    for (const { name } of components.components) {
+        const union = new Set();
+        for (const doc of docs) {
+            for (const hash of components._buildShingleMultiset(doc)[name]) union.add(hash);
+        }
+        expected.push(...generateGroupedOPHSignature(Array.from(union), 32, components.numGroups));
+    }
+    t.deepEqual(mergedComponents.sketch, expected, 'Component sketches should merge exactly, one basis per component');
+});
+
+test('mergeSketches - Errors', (t) => {
+    t.plan(3);
+    const hasher = new JSONHashify({ numHashFunctions: 64 });
+    const other = new JSONHashify({ numHashFunctions: 64, shingleSize: 3 });
+    t.throws(() => JSONHashify.mergeSketches([]), /at least one sketch/, 'An empty list should throw');
+    t.throws(() => JSONHashify.mergeSketches([hasher.generateSketch(response(1)), new JSONHashify({ numHashFunctions: 32 }).generateSketch(response(1))]), /must all have length 64/, 'Sketches of different lengths should throw');
+    t.throws(() => JSONHashify.mergeSketches([hasher.generateSketch(response(1), { withCardinality: true }), other.generateSketch(response(1), { withCardinality: true })]), /Incompatible sketch/, 'Sketches from different configurations should throw');
+});
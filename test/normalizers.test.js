@@ -0,0 +1,83 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+import { BUILT_IN_NORMALIZERS, compileValueNormalizers } from '../lib/normalizers.js';
+
+test('Value Normalizers - Built-ins', (t) => {
+    t.plan(11);
+    const apply = (spec, value) => compileValueNormalizers([spec]).normalize('path', value);
+
+    t.equal(apply('lowercase', 'Alice@Example.COM'), 'alice@example.com', 'lowercase should fold case');
+    t.equal(apply('collapseWhitespace', '  two \n\t words '), 'two words', 'collapseWhitespace should trim and collapse');
+    t.equal(apply('maskUuid', 'user 123e4567-e89b-12d3-a456-426614174000 ok'), 'user <uuid> ok', 'maskUuid should mask UUIDs');
+    t.equal(apply('maskHex', 'commit 9fceb02d0ae598e95dc970b74767f19372d61af8'), 'commit <hex>', 'maskHex should mask long hex runs');
+    t.equal(apply({ type: 'maskHex', minLength: 4 }, 'id 0xBEEF'), 'id <hex>', 'maskHex should honour minLength');
+    t.equal(apply({ type: 'round', digits: 2 }, 1.0000001), 1, 'round should round to the given digits');
+    t.equal(apply({ type: 'bucket', size: 10 }, 47), 40, 'bucket should floor to the bucket size');
+    t.equal(apply({ type: 'truncateDate', unit: 'minute' }, '2024-03-05T10:42:17.123Z'), '2024-03-05T10:42:00.000Z', 'truncateDate should drop smaller units');
+    t.equal(apply({ type: 'truncateDate', unit: 'day' }, 'not a date'), 'not a date', 'truncateDate should ignore non-dates');
+    t.equal(apply('typeOnly', 42), '<number>', 'typeOnly should keep only the type');
+    t.equal(apply('typeOnly', null), '<null>', 'typeOnly should handle null');
+});
+
+test('Value Normalizers - truncateDate without an offset', (t) => {
+    t.plan(4);
+    const apply = (unit, value) => compileValueNormalizers([{ type: 'truncateDate', unit }]).normalize('path', value);
+    const timeZone = process.env.TZ;
+    const results = [];
+    for (const zone of ['UTC', 'Asia/Tokyo', 'America/New_York']) {
+        process.env.TZ = zone;
+        results.push(apply('hour', '2024-01-02T10:30:15'));
+    }
+    if (timeZone === undefined) delete process.env.TZ; else process.env.TZ = timeZone;
+
+    t.deepEqual(results, Array(3).fill('2024-01-02T10:00:00.000Z'), 'Times without an offset should be read as UTC in every time zone');
+    t.equal(apply('minute', '2024-01-02 10:30:15'), '2024-01-02T10:30:00.000Z', 'A space should separate the date and time like T');
+    t.equal(apply('hour', '2024-01-02T10:30:15+0900'), '2024-01-02T01:00:00.000Z', 'Offsets should still be applied');
+    t.equal(apply('month', '2024-01-02'), '2024-01-01T00:00:00.000Z', 'Dates should be read as UTC');
+});
+
+test('Value Normalizers - Options Validation', (t) => {
+    t.plan(4);
+    t.throws(() => new JSONHashify({ valueNormalizers: ['nope'] }), /Unknown value normalizer: nope/, 'Should reject unknown normalizers');
+    t.throws(() => new JSONHashify({ valueNormalizers: [{ type: 'truncateDate', unit: 'week' }] }), /unit must be one of/, 'Should reject unknown date units');
+    t.ok(Object.keys(BUILT_IN_NORMALIZERS).includes('typeOnly'), 'Built-ins should be exposed');
+    t.notEqual(new JSONHashify({ valueNormalizers: ['lowercase'] }).fingerprint, new JSONHashify().fingerprint, 'Normalizers should change the configuration fingerprint');
+});
+
+test('Value Normalizers - Fuzzy Response Drift', (t) => {
+    t.plan(4);
+    const responseA = { id: '123e4567-e89b-12d3-a456-426614174000', email: 'Alice@Example.com', score: 1.0000001, at: '2024-03-05T10:42:17.123Z' };
+    const responseB = { id: '9b2f6c1e-0d4a-4c7e-8f3b-2a1d5e6f7a8b', email: 'alice@example.COM', score: 1, at: '2024-03-05T10:42:59.999Z' };
+
+    const plain = new JSONHashify({ numHashFunctions: 64, shingleSize: 3 });
+    const normalized = new JSONHashify({
+        numHashFunctions: 64,
+        shingleSize: 3,
+        valueNormalizers: [{ type: 'truncateDate', unit: 'minute' }, 'maskUuid', 'lowercase', { type: 'round', digits: 3 }]
+    });
+
+    t.ok(plain.compareSketches(plain.generateSketch(responseA), plain.generateSketch(responseB)) < 1.0, 'Raw responses should differ');
+    t.equal(normalized.compareSketches(normalized.generateSketch(responseA), normalized.generateSketch(responseB)), 1.0, 'Normalized responses should be identical');
+    t.deepEqual(normalized.createSketchBuilder().end(JSON.stringify(responseA)), normalized.generateSketch(responseA), 'Streamed sketch should apply normalizers');
+
+    const typeOnly = new JSONHashify({ numHashFunctions: 64, valueNormalizers: ['typeOnly'] });
+    t.equal(typeOnly.compareSketches(typeOnly.generateSketch({ a: 1, b: 'x' }), typeOnly.generateSketch({ a: 2, b: 'y' })), 1.0, 'typeOnly should ignore literal values');
+});
+
+test('Value Normalizers - Custom Callback', (t) => {
+    t.plan(3);
+    const seen = [];
+    const hasher = new JSONHashify({
+        numHashFunctions: 64,
+        valueNormalizers: [(path, value) => {
+            seen.push(path);
+            if (path === 'requestId') return undefined;
+            return value;
+        }]
+    });
+    const sketch1 = hasher.generateSketch({ requestId: 'abc', status: 200 });
+    const sketch2 = hasher.generateSketch({ requestId: 'xyz', status: 200 });
+    t.ok(seen.includes('requestId') && seen.includes('status'), 'Callback should receive the node path');
+    t.equal(hasher.compareSketches(sketch1, sketch2), 1.0, 'Returning undefined should hash the path alone');
+    t.notEqual(hasher.compareSketches(sketch1, hasher.generateSketch({ requestId: 'abc', status: 500 })), 1.0, 'Values passed through should still count');
+});
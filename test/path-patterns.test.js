@@ -0,0 +1,76 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+import { PathMatcher, parsePathPattern } from '../lib/path-patterns.js';
+
+const response = {
+    id: 'resp-1',
+    meta: { timestamp: '2024-01-01T00:00:00Z', region: 'eu' },
+    data: [
+        { id: 101, name: 'Alice', loc: { start: 1, end: 5 } },
+        { id: 102, name: 'Bob', loc: { start: 6, end: 9 } }
+    ]
+};
+
+function sortedShingles(hasher, json) {
+    return Array.from(hasher.generateShingleSet(json)).sort((a, b) => a - b);
+}
+
+test('Path Patterns - Parsing', (t) => {
+    t.plan(7);
+    t.deepEqual(parsePathPattern('$root.meta.timestamp'), [{ kind: 'key', value: 'meta' }, { kind: 'key', value: 'timestamp' }], 'Should strip $root and split keys');
+    t.deepEqual(parsePathPattern('data[*].id'), [{ kind: 'key', value: 'data' }, { kind: 'anyIndex' }, { kind: 'key', value: 'id' }], 'Should parse array wildcards');
+    t.deepEqual(parsePathPattern('$..name'), [{ kind: 'deep' }, { kind: 'key', value: 'name' }], 'JSONPath descendant should become a deep segment');
+    t.deepEqual(parsePathPattern("$['a.b'][2].*"), [{ kind: 'key', value: 'a.b' }, { kind: 'index', value: 2 }, { kind: 'any' }], 'Should parse quoted keys, indices and single wildcards');
+    t.ok(parsePathPattern('meta.time*')[1].value.test('timestamp'), 'Key globs should match by prefix');
+    t.throws(() => parsePathPattern('data[*'), /unterminated bracket/, 'Should reject unterminated brackets');
+    t.throws(() => parsePathPattern('data.'), /trailing separator/, 'Should reject trailing separators');
+});
+
+test('Path Patterns - Matching', (t) => {
+    t.plan(6);
+    const matcher = new PathMatcher(['**.loc.start', 'data[0]']);
+    const walk = (segments) => segments.reduce((state, segment) => matcher.step(state, segment), matcher.initial());
+
+    t.ok(matcher.matches(walk(['loc', 'start'])), '** should match zero segments');
+    t.ok(matcher.matches(walk(['data', 1, 'loc', 'start'])), '** should match several segments');
+    t.notOk(matcher.matches(walk(['data', 1, 'loc'])), 'Prefixes should not match');
+    t.ok(matcher.matches(walk(['data', 0])), 'Specific indices should match');
+    t.notOk(matcher.matches(walk(['data', '0'])), 'Index patterns should not match string keys');
+    const exact = new PathMatcher(['a.b']);
+    t.notOk(exact.alive(exact.step(exact.initial(), 'x')), 'States that cannot match should not be alive');
+});
+
+test('Path Patterns - ignorePaths', (t) => {
+    t.plan(4);
+    const options = { numHashFunctions: 64, shingleSize: 3 };
+    const hasher = new JSONHashify({ ...options, ignorePaths: ['data[*].id', '$root.meta.timestamp', '**.loc.start'] });
+
+    const stripped = JSON.parse(JSON.stringify(response));
+    delete stripped.meta.timestamp;
+    for (const item of stripped.data) {
+        delete item.id;
+        delete item.loc.start;
+    }
+    t.deepEqual(sortedShingles(hasher, response), sortedShingles(new JSONHashify(options), stripped), 'Matching nodes and their subtrees should be dropped, top-level id kept');
+
+    const unordered = new JSONHashify({ ...options, preserveArrayOrder: false, ignorePaths: ['data[*].id'] });
+    const unorderedStripped = { ...response, data: response.data.map(({ id, ...rest }) => rest) };
+    t.deepEqual(sortedShingles(unordered, response), sortedShingles(new JSONHashify({ ...options, preserveArrayOrder: false }), unorderedStripped), 'Array wildcards should apply without preserveArrayOrder');
+
+    t.notEqual(hasher.fingerprint, new JSONHashify(options).fingerprint, 'ignorePaths should change the configuration fingerprint');
+    t.deepEqual(hasher.createSketchBuilder().end(JSON.stringify(response)), hasher.generateSketch(response), 'Streamed sketch should honour ignorePaths');
+});
+
+test('Path Patterns - includePaths', (t) => {
+    t.plan(3);
+    const options = { numHashFunctions: 64, shingleSize: 3 };
+    const hasher = new JSONHashify({ ...options, includePaths: ['data[*].name', 'meta'] });
+
+    const expected = { meta: response.meta, data: response.data.map(item => ({ name: item.name })) };
+    t.deepEqual(sortedShingles(hasher, response), sortedShingles(new JSONHashify(options), expected), 'Only included nodes, their subtrees and their ancestors should be hashed');
+
+    const combined = new JSONHashify({ ...options, includePaths: ['meta'], ignorePaths: ['meta.region'] });
+    t.deepEqual(sortedShingles(combined, response), sortedShingles(new JSONHashify(options), { meta: { timestamp: response.meta.timestamp } }), 'ignorePaths should apply inside included subtrees');
+
+    t.deepEqual(hasher.createSketchBuilder().end(JSON.stringify(response)), hasher.generateSketch(response), 'Streamed sketch should honour includePaths');
+});
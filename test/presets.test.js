@@ -0,0 +1,193 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+
+// ESTree (acorn) for: function <name>(<left>, <right>) { const total = <left> + <right>; return total * <factor>; }
+// `offset` shifts every source position, as moving the function within a file would.
+function estreeFunction(name, left, right, factor, offset = 0) {
+    const at = (start, end) => ({ start: start + offset, end: end + offset, loc: { start: { line: 1, column: start + offset }, end: { line: 1, column: end + offset } } });
+    return {
+        type: 'Program', sourceType: 'script', ...at(0, 70),
+        body: [{
+            type: 'FunctionDeclaration', ...at(0, 70), generator: false, async: false,
+            id: { type: 'Identifier', name, ...at(9, 12) },
+            params: [{ type: 'Identifier', name: left, ...at(13, 14) }, { type: 'Identifier', name: right, ...at(16, 17) }],
+            body: {
+                type: 'BlockStatement', ...at(19, 70),
+                body: [
+                    {
+                        type: 'VariableDeclaration', kind: 'const', ...at(21, 42),
+                        declarations: [{
+                            type: 'VariableDeclarator', ...at(27, 41),
+                            id: { type: 'Identifier', name: 'total', ...at(27, 32) },
+                            init: {
+                                type: 'BinaryExpression', operator: '+', ...at(35, 40),
+                                left: { type: 'Identifier', name: left, ...at(35, 36) },
+                                right: { type: 'Identifier', name: right, ...at(39, 40) }
+                            }
+                        }]
+                    },
+                    {
+                        type: 'ReturnStatement', ...at(43, 68),
+                        argument: {
+                            type: 'BinaryExpression', operator: '*', ...at(50, 67),
+                            left: { type: 'Identifier', name: 'total', ...at(50, 55) },
+                            right: { type: 'Literal', value: factor, raw: String(factor), ...at(58, 67) }
+                        }
+                    }
+                ]
+            }
+        }]
+    };
+}
+
+// ESTree for: function <name>(<arg>) { if (<arg>.ready) { <arg>.start(); } }
+function estreeGuard(name, arg) {
+    const id = (value) => ({ type: 'Identifier', name: value });
+    return {
+        type: 'Program', sourceType: 'script',
+        body: [{
+            type: 'FunctionDeclaration', generator: false, async: false,
+            id: id(name),
+            params: [id(arg)],
+            body: {
+                type: 'BlockStatement',
+                body: [{
+                    type: 'IfStatement',
+                    test: { type: 'MemberExpression', computed: false, optional: false, object: id(arg), property: id('ready') },
+                    consequent: {
+                        type: 'BlockStatement',
+                        body: [{
+                            type: 'ExpressionStatement',
+                            expression: {
+                                type: 'CallExpression', optional: false, arguments: [],
+                                callee: { type: 'MemberExpression', computed: false, optional: false, object: id(arg), property: id('start') }
+                            }
+                        }]
+                    },
+                    alternate: null
+                }]
+            }
+        }]
+    };
+}
+
+// mdast for a heading and a paragraph with a link.
+function mdastDocument(title, text, url) {
+    const position = (line) => ({ start: { line, column: 1, offset: line * 10 }, end: { line, column: 20, offset: line * 10 + 19 } });
+    return {
+        type: 'root', position: position(1),
+        children: [
+            { type: 'heading', depth: 1, position: position(1), children: [{ type: 'text', value: title, position: position(1) }] },
+            {
+                type: 'paragraph', position: position(3),
+                children: [
+                    { type: 'text', value: text, position: position(3) },
+                    { type: 'link', url, title: null, position: position(3), children: [{ type: 'text', value: 'here', position: position(3) }] }
+                ]
+            }
+        ]
+    };
+}
+
+test('Presets - Named presets return fresh constructor options', (t) => {
+    t.plan(5);
+    t.deepEqual(Object.keys(JSONHashify.presets).sort(), ['babel', 'estree', 'unist'], 'Should offer the estree, babel and unist presets');
+    const options = JSONHashify.presets.estree();
+    t.equal(options.labelKey, 'type', 'Presets should label nodes by their type member');
+    t.ok(options.ignoreKeys.includes('loc') && JSONHashify.presets.unist().ignoreKeys.includes('position'), 'Presets should ignore source positions');
+    t.equal(options.anonymize, undefined, 'Anonymisation should be opt-in');
+    t.ok(JSONHashify.presets.babel({ anonymize: true }).anonymize.StringLiteral, 'anonymize: true should add the format\'s literal members');
+});
+
+test('Presets - Type labels replace type members in paths', (t) => {
+    t.plan(3);
+    const hasher = new JSONHashify({ numHashFunctions: 32, ...JSONHashify.presets.estree() });
+    const paths = hasher.subtreeDigests(estreeFunction('add', 'a', 'b', 2)).map(entry => entry.path);
+
+    t.ok(paths.includes('body.<FunctionDeclaration>.params.<Identifier>.name'), 'Labels should be appended to path segments');
+    t.notOk(paths.some(path => path.endsWith('.type') || path === 'type'), 'type members should not be hashed as members');
+    t.notOk(paths.some(path => /\b(loc|start|end)\b/.test(path)), 'Position members should be ignored');
+});
+
+test('Presets - Renamed-variable clones score high', (t) => {
+    t.plan(5);
+    const plain = new JSONHashify({ numHashFunctions: 128 });
+    const estree = new JSONHashify({ numHashFunctions: 128, ...JSONHashify.presets.estree() });
+    const anonymous = new JSONHashify({ numHashFunctions: 128, ...JSONHashify.presets.estree({ anonymize: true }) });
+
+    const original = estreeFunction('add', 'a', 'b', 2);
+    const clone = estreeFunction('sumScaled', 'left', 'right', 3, 120);
+    const unrelated = estreeGuard('launch', 'rocket');
+    const similarity = (hasher, a, b) => hasher.compareSketches(hasher.generateSketch(a), hasher.generateSketch(b));
+
+    t.ok(similarity(estree, original, clone) > similarity(plain, original, clone),
+        'Ignoring positions and labelling by type should score a moved, renamed clone higher than the generic options');
+    t.deepEqual(anonymous.generateSketch(original), anonymous.generateSketch(clone), 'With anonymize, a renamed clone should get the same sketch');
+    t.equal(similarity(anonymous, original, clone), 1, 'With anonymize, a renamed clone should score 1');
+    t.ok(similarity(anonymous, original, unrelated) < 0.5, 'Unrelated code should still score low');
+    t.equal(anonymous.treeEditDistance(original, clone), 0, 'Anonymised trees of clones should be equal');
+});
+
+test('Presets - Babel literals and extra', (t) => {
+    t.plan(2);
+    const hasher = new JSONHashify({ numHashFunctions: 64, ...JSONHashify.presets.babel({ anonymize: true }) });
+    const call = (callee, text, raw) => ({
+        type: 'File',
+        program: {
+            type: 'Program', sourceType: 'module', directives: [],
+            body: [{
+                type: 'ExpressionStatement',
+                expression: {
+                    type: 'CallExpression', callee: { type: 'Identifier', name: callee },
+                    arguments: [{ type: 'StringLiteral', value: text, extra: { raw, rawValue: text } }]
+                }
+            }]
+        }
+    });
+
+    t.deepEqual(hasher.generateSketch(call('log', 'hi', "'hi'")), hasher.generateSketch(call('warn', 'bye', '"bye"')),
+        'Renamed calls with different string literals should get the same sketch');
+    const numeric = call('log', 'hi', "'hi'");
+    numeric.program.body[0].expression.arguments[0] = { type: 'NumericLiteral', value: 1 };
+    t.ok(hasher.compareSketches(hasher.generateSketch(call('log', 'hi', "'hi'")), hasher.generateSketch(numeric)) < 1,
+        'Literal node types should still tell literals apart');
+});
+
+test('Presets - unist documents with different text', (t) => {
+    t.plan(3);
+    const unist = new JSONHashify({ numHashFunctions: 128, ...JSONHashify.presets.unist() });
+    const anonymous = new JSONHashify({ numHashFunctions: 128, ...JSONHashify.presets.unist({ anonymize: true }) });
+    const a = mdastDocument('Install', 'Read the guide', 'https://example.com/guide');
+    const b = mdastDocument('Usage', 'See the manual', 'https://example.org/manual');
+    const reordered = { ...a, children: [a.children[1], a.children[0]] };
+
+    t.deepEqual(anonymous.generateSketch(a), anonymous.generateSketch(b), 'With anonymize, only the document structure should count');
+    t.ok(unist.compareSketches(unist.generateSketch(a), unist.generateSketch(b)) < 1, 'Without anonymize, text should count');
+    t.notDeepEqual(anonymous.generateSketch(a), anonymous.generateSketch(reordered), 'unist children should keep their order');
+});
+
+test('Presets - labelKey and anonymize options', (t) => {
+    t.plan(7);
+    const labelled = new JSONHashify({ numHashFunctions: 32, labelKey: 'kind' });
+    t.notEqual(labelled.fingerprint, new JSONHashify({ numHashFunctions: 32 }).fingerprint, 'labelKey should change the fingerprint');
+    t.notEqual(new JSONHashify({ numHashFunctions: 32, labelKey: 'kind', anonymize: { a: ['x'] } }).fingerprint, labelled.fingerprint,
+        'anonymize should change the fingerprint');
+    t.equal(new JSONHashify({ labelKey: 'kind', anonymize: { a: ['x', 'y'], b: ['z'] } }).fingerprint,
+        new JSONHashify({ labelKey: 'kind', anonymize: { b: ['z'], a: ['y', 'x'] } }).fingerprint, 'anonymize order should not matter');
+    t.notDeepEqual(labelled.generateSketch({ kind: 'a', value: 1 }), labelled.generateSketch({ kind: 'b', value: 1 }), 'Labels should be hashed');
+    t.throws(() => new JSONHashify({ anonymize: { Identifier: ['name'] } }), /anonymize requires labelKey/, 'anonymize without labelKey should throw');
+    t.throws(() => labelled.createSketchBuilder(), /labelKey/, 'Streaming should reject labelKey');
+    t.throws(() => labelled.createSketchState({}), /labelKey/, 'Incremental updates should reject labelKey');
+});
+
+test('Presets - Labels in subtree sketches and shapes', (t) => {
+    t.plan(3);
+    const hasher = new JSONHashify({ numHashFunctions: 64, ...JSONHashify.presets.estree() });
+    const program = estreeFunction('add', 'a', 'b', 2);
+    const subtree = hasher.generateSubtreeSketches(program).find(entry => entry.path === 'body.<FunctionDeclaration>.body<BlockStatement>');
+    t.deepEqual(subtree.sketch, hasher.generateSketch(program.body[0].body), 'A labelled subtree should sketch like the same tree on its own');
+
+    const shapes = new JSONHashify({ mode: 'shape', canonicalShape: true, labelKey: 'type' });
+    t.notEqual(shapes.shapeHash({ type: 'A', x: 1 }), shapes.shapeHash({ type: 'B', x: 1 }), 'Labels should be part of the shape');
+    t.deepEqual(shapes.generateSketch({ type: 'A', x: [1, 2] }), shapes.generateSketch({ type: 'A', x: [3] }), 'Canonical shapes should keep labels');
+});
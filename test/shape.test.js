@@ -0,0 +1,51 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+
+const responseA = { id: 17, name: 'Widget', price: 9.5, active: true, tags: ['blue', 'small'], owner: null, variants: [{ sku: 'W-1', stock: 3 }, { sku: 'W-2', stock: 0 }] };
+const responseB = { owner: null, variants: [{ stock: 12, sku: 'X-9' }], active: false, tags: ['red'], price: 0.25, name: 'Gadget', id: 4 };
+const changedType = { ...responseA, id: '17' };
+const addedField = { ...responseA, discontinued: false };
+
+test('Shape Mode - Values Are Ignored', (t) => {
+    t.plan(5);
+    const hasher = new JSONHashify({ numHashFunctions: 64, mode: 'shape' });
+    t.deepEqual(hasher.generateSketch(responseA), hasher.generateSketch(responseB), 'Documents with the same schema should have identical sketches');
+    t.notDeepEqual(hasher.generateSketch(responseA), hasher.generateSketch(changedType), 'Changing a field type should change the sketch');
+    t.notDeepEqual(hasher.generateSketch(responseA), hasher.generateSketch(addedField), 'Adding a field should change the sketch');
+    t.notDeepEqual(hasher.generateSketch({ n: 1 }), hasher.generateSketch({ n: 1.5 }), 'Integers and other numbers should be told apart');
+
+    const content = new JSONHashify({ numHashFunctions: 64 });
+    t.notEqual(hasher.fingerprint, content.fingerprint, 'The mode should be part of the configuration fingerprint');
+});
+
+test('Shape Mode - Canonical Shape', (t) => {
+    t.plan(4);
+    const longer = { ...responseA, variants: [...responseA.variants, { sku: 'W-3', stock: 7 }, { sku: 'W-4', stock: 1 }] };
+    const multiset = new JSONHashify({ numHashFunctions: 64, mode: 'shape', weighting: 'multiset' });
+    t.notDeepEqual(multiset.generateSketch(responseA), multiset.generateSketch(longer), 'Without canonicalShape, counting modes should see array lengths');
+
+    const canonical = new JSONHashify({ numHashFunctions: 64, mode: 'shape', weighting: 'multiset', canonicalShape: true });
+    t.deepEqual(canonical.generateSketch(responseA), canonical.generateSketch(longer), 'With canonicalShape, array lengths should not matter');
+    t.deepEqual(canonical.generateSketch(responseA), canonical.generateSketch(responseB), 'With canonicalShape, documents with the same schema should have identical sketches');
+    t.throws(() => canonical.createSketchBuilder(), /cannot be used with streaming/, 'canonicalShape should reject streaming');
+});
+
+test('shapeHash - Exact Schema Equality', (t) => {
+    t.plan(7);
+    const hasher = new JSONHashify();
+    const hash = hasher.shapeHash(responseA);
+    t.ok(/^[0-9a-f]{64}$/.test(hash), 'shapeHash should be a hex SHA-256 digest');
+    t.equal(hasher.shapeHash(responseB), hash, 'Values, array lengths and key order should not matter');
+    t.notEqual(hasher.shapeHash(changedType), hash, 'A changed type should change the hash');
+    t.notEqual(hasher.shapeHash(addedField), hash, 'An added field should change the hash');
+    t.equal(hasher.shapeHash({ list: [1, 'a', 2] }), hasher.shapeHash({ list: ['b', 3] }), 'Arrays should hash as the set of their element shapes');
+    t.equal(new JSONHashify({ ignoreKeys: ['discontinued'] }).shapeHash(addedField), hash, 'ignoreKeys should apply');
+    t.equal(hasher.shapeHash({ samples: Array.from({ length: 50 }, (_, i) => i) }), hasher.shapeHash({ samples: [1] }), 'Summarised arrays should hash by their element types');
+});
+
+test('Shape Mode - Options', (t) => {
+    t.plan(3);
+    t.throws(() => new JSONHashify({ mode: 'schema' }), /mode must be one of/, 'Unknown modes should throw');
+    t.throws(() => new JSONHashify({ canonicalShape: true }), /requires mode: 'shape'/, 'canonicalShape should require shape mode');
+    t.equal(new JSONHashify({ mode: 'shape', preserveArrayOrder: true }).options.preserveArrayOrder, false, 'Shape mode should collapse array indices');
+});
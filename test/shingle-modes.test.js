@@ -0,0 +1,80 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+import { tokenize } from '../lib/shingle-tokens.js';
+
+const camel = { userName: 'Ada', homeAddress: { zipCode: '12345', streetName: 'Main' }, isActive: true };
+const snake = { user_name: 'Ada', home_address: { zip_code: '12345', street_name: 'Main' }, is_active: true };
+
+test('Shingle modes - Tokenizers', (t) => {
+    t.plan(5);
+    const path = 'body.[0]<ReturnStatement>.argument.userName:fooBar baz';
+    t.deepEqual(tokenize(path, 'pathSegments'), ['body', '[0]', '<ReturnStatement>', 'argument', 'userName', 'fooBar', 'baz'],
+        'pathSegments should split paths at segments and values into words');
+    t.deepEqual(tokenize(path, 'tokens'), ['body', '[0]', '<ReturnStatement>', 'argument', 'user', 'name', 'foo', 'bar', 'baz'],
+        'tokens should split identifiers into lowercased words, keeping bracketed segments');
+    t.deepEqual(tokenize('HTTPServer.max_retry_count2:v2Api', 'tokens'), ['http', 'server', 'max', 'retry', 'count', '2', 'v', '2', 'api'],
+        'Acronyms, snake_case and digits should end words');
+    t.deepEqual(tokenize('a😀b', 'codepoints'), ['a', '😀', 'b'], 'codepoints should keep surrogate pairs together');
+    t.deepEqual(tokenize('!!!', 'tokens'), ['!!!'], 'A string without words should be a single token');
+});
+
+test('Shingle modes - Options', (t) => {
+    t.plan(5);
+    t.equal(new JSONHashify({ shingleMode: 'tokens' }).options.shingleSize, 2, 'Token modes should default to bigrams');
+    t.equal(new JSONHashify({ shingleMode: 'codepoints' }).options.shingleSize, 5, 'codepoints should keep the character default');
+    t.equal(new JSONHashify({ shingleMode: 'chars' }).fingerprint, new JSONHashify().fingerprint, "'chars' should keep the default fingerprint");
+    t.notEqual(new JSONHashify({ shingleMode: 'codepoints' }).fingerprint, new JSONHashify().fingerprint, 'shingleMode should be part of the fingerprint');
+    t.throws(() => new JSONHashify({ shingleMode: 'words' }), /shingleMode must be one of: chars, codepoints, pathSegments, tokens/,
+        'Unknown modes should throw');
+});
+
+test('Shingle modes - Code points', (t) => {
+    t.plan(3);
+    const chars = new JSONHashify({ numHashFunctions: 64 });
+    const codepoints = new JSONHashify({ numHashFunctions: 64, shingleMode: 'codepoints' });
+    t.deepEqual(codepoints.generateSketch(camel), chars.generateSketch(camel), 'Without surrogate pairs, code point windows should hash like characters');
+
+    // Each emoji is two UTF-16 characters, so three-character windows see half emoji.
+    const a = { reaction: '😀😀😀😀' };
+    const b = { reaction: '😂😂😂😂' };
+    const options = { shingleSize: 3, subtreeDepth: 0 };
+    const charSimilarity = new JSONHashify(options).exactSimilarity(a, b);
+    const codepointSimilarity = new JSONHashify({ ...options, shingleMode: 'codepoints' }).exactSimilarity(a, b);
+    t.ok(charSimilarity > codepointSimilarity, `Split surrogate pairs should add spurious shared shingles (${charSimilarity.toFixed(3)} vs ${codepointSimilarity.toFixed(3)})`);
+    // '$root:😀😁😂' is 12 characters but 9 code points.
+    t.equal(new JSONHashify({ ...options, shingleMode: 'codepoints' }).generateWeightedShingles('😀😁😂').size, 7,
+        'Windows should be counted in code points');
+});
+
+test('Shingle modes - Key-name similarity', (t) => {
+    t.plan(4);
+    const chars = new JSONHashify({ numHashFunctions: 128 });
+    const segments = new JSONHashify({ numHashFunctions: 128, shingleMode: 'pathSegments' });
+    const tokens = new JSONHashify({ numHashFunctions: 128, shingleMode: 'tokens' });
+
+    t.ok(chars.exactSimilarity(camel, snake) < 0.5, 'Character windows should tell naming conventions apart');
+    t.deepEqual(tokens.generateSketch(camel), tokens.generateSketch(snake), 'Identifier tokens should make naming conventions equal');
+
+    const moved = { account: { userName: 'Ada', homeAddress: { zipCode: '12345', streetName: 'Main' }, isActive: true } };
+    const unrelated = { orderId: 'Z-9', lineItems: [{ sku: 'X1', quantity: 2 }], shipped: false };
+    t.ok(segments.exactSimilarity(camel, moved) > segments.exactSimilarity(camel, unrelated),
+        'Path segment n-grams should keep key sequences that moved under another key');
+    t.ok(tokens.exactSimilarity({ maxRetryCount: 3 }, { retryCount: 3 }) > chars.exactSimilarity({ maxRetryCount: 3 }, { retryCount: 3 }),
+        'Shared identifier words should count more than shared characters');
+});
+
+test('Shingle modes - Other features', (t) => {
+    t.plan(4);
+    const program = { body: [{ type: 'Return', argument: { name: 'userName' } }, { type: 'Call', callee: { name: 'getUser' } }] };
+    for (const shingleMode of ['codepoints', 'tokens']) {
+        const hasher = new JSONHashify({ numHashFunctions: 64, shingleMode });
+        const subtree = hasher.generateSubtreeSketches(program, { minNodes: 1 }).find(entry => entry.path === 'body.[0]');
+        t.deepEqual(subtree.sketch, hasher.generateSketch(program.body[0]), `${shingleMode}: a subtree should sketch like the same tree on its own`);
+    }
+
+    const components = new JSONHashify({ numHashFunctions: 32, shingleMode: 'tokens', components: { keys: true } });
+    t.equal(components.compareSketches(components.generateSketch(camel), components.generateSketch(snake)), 1, 'Components should use the mode');
+    const cached = new JSONHashify({ numHashFunctions: 64, shingleMode: 'tokens', enableNodeStringCache: true, hashBits: 64 });
+    t.deepEqual(cached.generateSketch(camel), new JSONHashify({ numHashFunctions: 64, shingleMode: 'tokens', hashBits: 64 }).generateSketch(camel),
+        'The node string cache and 64-bit hashes should not change token sketches');
+});
@@ -0,0 +1,91 @@
+import test from 'tape';
+import { Readable } from 'node:stream';
+import { JSONHashify, SketchBuilder } from '../index.js';
+
+const doc = {
+    type: 'root',
+    position: { start: 0, end: 42 },
+    children: [
+        { type: 'heading', depth: 1, children: [{ type: 'text', value: 'Héllo "wörld" \\ ☃' }] },
+        { type: 'paragraph', children: [{ type: 'text', value: 'Paragraph text.' }, { type: 'break' }] },
+        { type: 'list', ordered: false, start: null, spread: true, children: [] },
+        { 10: 'numeric key', '': 'empty key', nested: [[1, 2.5, -3e-7], [true, false, null], {}] }
+    ]
+};
+const text = JSON.stringify(doc, null, 2);
+
+const configurations = [
+    { name: 'defaults', options: {} },
+    { name: 'unordered arrays', options: { preserveArrayOrder: false, shingleSize: 3 } },
+    { name: 'ignoreKeys', options: { ignoreKeys: ['position', 'depth'] } },
+    { name: 'frequencyThreshold 2', options: { frequencyThreshold: 2, subtreeDepth: 3 } },
+    { name: 'frequencyThreshold 2 with cache', options: { frequencyThreshold: 2, enableNodeStringCache: true } },
+    { name: 'subtreeDepth 0', options: { frequencyThreshold: 2, subtreeDepth: 0, shingleSize: 2 } }
+];
+
+test('SketchBuilder - Matches generateSketch(JSON.parse(text))', (t) => {
+    t.plan(configurations.length * 2);
+    for (const { name, options } of configurations) {
+        const hasher = new JSONHashify({ numHashFunctions: 64, ...options });
+        const builder = hasher.createSketchBuilder();
+        t.deepEqual(builder.end(text), hasher.generateSketch(doc), `Sketch should match (${name})`);
+
+        const streamed = hasher.createSketchBuilder().endShingleCollection(text);
+        const parsed = hasher._buildShingleMultiset(doc);
+        const normalise = (c) => c instanceof Map ? Array.from(c.entries()).sort((a, b) => a[0] - b[0]) : Array.from(c).sort((a, b) => a - b);
+        t.deepEqual(normalise(streamed), normalise(parsed), `Shingle counts should match (${name})`);
+    }
+});
+
+test('SketchBuilder - Chunk Boundaries', (t) => {
+    const small = '{"a":[1,-2.5e3,true,null],"b\\"c":{"d":"x\\u00e9y"},"e":false}';
+    const hasher = new JSONHashify({ numHashFunctions: 32, shingleSize: 3 });
+    const expected = hasher.generateSketch(JSON.parse(small));
+    t.plan(small.length + 1);
+
+    for (var split = 0; split < small.length; split++) {
+        const builder = new SketchBuilder(hasher);
+        builder.write(small.slice(0, split));
+        t.deepEqual(builder.end(small.slice(split)), expected, `Sketch should match when split at ${split}`);
+    }
+
+    const bytes = Buffer.from(JSON.stringify({ snow: '☃☃', emoji: '😀' }));
+    const builder = hasher.createSketchBuilder();
+    for (var i = 0; i < bytes.length; i++) {
+        builder.write(bytes.subarray(i, i + 1));
+    }
+    t.deepEqual(builder.end(), hasher.generateSketch({ snow: '☃☃', emoji: '😀' }), 'Multi-byte UTF-8 characters split across byte chunks should decode correctly');
+});
+
+test('SketchBuilder - Primitive Roots', (t) => {
+    const hasher = new JSONHashify({ numHashFunctions: 32, shingleSize: 2 });
+    const roots = ['"just a string"', '42', '-0', 'true', 'null', '[]', '{}'];
+    t.plan(roots.length);
+    for (const root of roots) {
+        t.deepEqual(hasher.createSketchBuilder().end(root), hasher.generateSketch(JSON.parse(root)), `Sketch should match for root ${root}`);
+    }
+});
+
+test('JSONHashify - generateSketchFromStream', async (t) => {
+    const hasher = new JSONHashify({ numHashFunctions: 64, frequencyThreshold: 2 });
+    const chunks = [];
+    for (var i = 0; i < text.length; i += 7) {
+        chunks.push(Buffer.from(text.slice(i, i + 7)));
+    }
+    const sketch = await hasher.generateSketchFromStream(Readable.from(chunks));
+    t.deepEqual(sketch, hasher.generateSketch(doc), 'Streamed sketch should match generateSketch');
+});
+
+test('SketchBuilder - Malformed JSON', (t) => {
+    t.plan(6);
+    const hasher = new JSONHashify();
+    t.throws(() => hasher.createSketchBuilder().end('{"a": 1'), /Unexpected end of JSON input/, 'Should reject truncated input');
+    t.throws(() => hasher.createSketchBuilder().end('{"a": "b'), /Unterminated string/, 'Should reject unterminated strings');
+    t.throws(() => hasher.createSketchBuilder().end('{"a" 1}'), /Unexpected token 1/, 'Should reject missing colons');
+    t.throws(() => hasher.createSketchBuilder().end('[1, 2] 3'), /after JSON/, 'Should reject trailing values');
+    t.throws(() => hasher.createSketchBuilder().end('[01]'), /Invalid number 01/, 'Should reject invalid numbers');
+
+    const builder = hasher.createSketchBuilder();
+    builder.end('{}');
+    t.throws(() => builder.write('{}'), /already ended/, 'Should reject writes after end');
+});
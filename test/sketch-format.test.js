@@ -0,0 +1,103 @@
+import test from 'tape';
+import { JSONHashify, SKETCH_FORMAT_VERSION } from '../index.js';
+
+const json = { name: 'Alice', age: 30, tags: ['a', 'b'], address: { city: 'New York' } };
+
+test('Sketch Serialization - Binary Round Trip', (t) => {
+    t.plan(7);
+    const hasher = new JSONHashify({ numHashFunctions: 64 });
+    const sketch = hasher.generateSketch(json);
+
+    const serialized = hasher.serializeSketch(sketch);
+    t.ok(serialized instanceof Uint32Array, 'Binary serialization should be a Uint32Array');
+    t.equal(serialized.length, 6 + 64, 'Binary serialization should be header plus sketch');
+
+    const decoded = JSONHashify.deserializeSketch(serialized);
+    t.equal(decoded.version, SKETCH_FORMAT_VERSION, 'Header should carry the format version');
+    t.equal(decoded.fingerprint, hasher.fingerprint, 'Header should carry the configuration fingerprint');
+    t.equal(decoded.numHashFunctions, 64, 'Header should carry numHashFunctions');
+    t.equal(decoded.numGroups, 4, 'Header should carry numGroups');
+    t.deepEqual(decoded.sketch, sketch, 'Sketch values should round trip');
+});
+
+test('Sketch Serialization - Base64 Round Trip', (t) => {
+    t.plan(3);
+    const hasher = new JSONHashify({ numHashFunctions: 32, shingleSize: 3 });
+    const sketch = hasher.generateSketch(json);
+
+    const encoded = hasher.serializeSketch(sketch, { encoding: 'base64' });
+    t.equal(typeof encoded, 'string', 'Base64 serialization should be a string');
+
+    const decoded = JSONHashify.deserializeSketch(encoded);
+    t.deepEqual(decoded.sketch, sketch, 'Sketch values should round trip through base64');
+    t.equal(hasher.compareSketches(decoded, sketch), 1.0, 'Deserialized sketch should be comparable with the original');
+});
+
+test('Sketch Serialization - Configuration Fingerprint', (t) => {
+    t.plan(4);
+    const hasherA = new JSONHashify({ ignoreKeys: ['position', 'loc'] });
+    const hasherB = new JSONHashify({ ignoreKeys: ['loc', 'position'], enableNodeStringCache: true });
+    const hasherC = new JSONHashify({ ignoreKeys: ['loc', 'position'], shingleSize: 4 });
+
+    t.equal(hasherA.fingerprint, hasherB.fingerprint, 'Options that do not affect sketch contents should not change the fingerprint');
+    t.notEqual(hasherA.fingerprint, hasherC.fingerprint, 'Different shingleSize should change the fingerprint');
+
+    const decoded = JSONHashify.deserializeSketch(hasherA.serializeSketch(hasherA.generateSketch(json)));
+    const otherSketch = hasherC.generateSketch(json);
+    t.throws(() => hasherC.compareSketches(decoded, otherSketch), /Incompatible sketch/, 'compareSketches should refuse sketches from a different configuration');
+    t.doesNotThrow(() => hasherB.compareSketches(decoded, hasherB.generateSketch(json)), 'compareSketches should accept sketches from an equivalent configuration');
+});
+
+test('Sketch Serialization - Bare Sketches', (t) => {
+    t.plan(3);
+    const hasher = new JSONHashify({ numHashFunctions: 32 });
+    const other = new JSONHashify({ numHashFunctions: 32, shingleSize: 3 });
+    t.throws(() => hasher.compareSketches(hasher.generateSketch(json), new JSONHashify({ numHashFunctions: 16 }).generateSketch(json)),
+        /Sketch length must be 32/, 'compareSketches should reject bare sketches of the wrong length');
+    t.doesNotThrow(() => hasher.compareSketches(hasher.generateSketch(json), other.generateSketch(json)),
+        'A bare sketch of the right length carries no fingerprint to check');
+    t.throws(() => hasher.compareSketches(hasher.generateSketch(json), other.generateSketch(json, { withCardinality: true })),
+        /Incompatible sketch/, 'The same sketch as a sketch object should be rejected');
+});
+
+test('Sketch Serialization - Malformed Input', (t) => {
+    t.plan(4);
+    const hasher = new JSONHashify({ numHashFunctions: 16 });
+    const serialized = hasher.serializeSketch(hasher.generateSketch(json));
+
+    t.throws(() => JSONHashify.deserializeSketch(serialized.subarray(0, 10)), /truncated or malformed/, 'Should reject truncated input');
+
+    const badMagic = serialized.slice();
+    badMagic[0] = 0;
+    t.throws(() => JSONHashify.deserializeSketch(badMagic), /invalid header/, 'Should reject input without the magic number');
+
+    const badVersion = serialized.slice();
+    badVersion[1] = 99;
+    t.throws(() => JSONHashify.deserializeSketch(badVersion), /Unsupported sketch format version 99/, 'Should reject unknown format versions');
+
+    t.throws(() => hasher.serializeSketch([1, 2, 3]), /Sketch length must be 16/, 'Should reject sketches of the wrong length');
+});
+
+test('Sketch Serialization - Format Versions', (t) => {
+    t.plan(5);
+    const hasher = new JSONHashify({ numHashFunctions: 16 });
+    const sketch = hasher.generateSketch(json, { withCardinality: true });
+    const serialized = hasher.serializeSketch(sketch);
+    t.equal(serialized[5], 1, 'The header should carry the number of cardinalities');
+    t.equal(JSONHashify.deserializeSketch(serialized).cardinality, sketch.cardinality, 'The cardinality should round trip');
+
+    const padded = new Uint32Array(serialized.length + 2);
+    padded.set(serialized);
+    t.throws(() => JSONHashify.deserializeSketch(padded), /truncated or malformed/, 'Trailing words should not be read as cardinalities');
+
+    // Version 1: the same header without the cardinality count, and no cardinalities.
+    const v1 = new Uint32Array(5 + 16);
+    v1.set(serialized.subarray(0, 5));
+    v1.set(serialized.subarray(6, 6 + 16), 5);
+    v1[1] = 1;
+    const decoded = JSONHashify.deserializeSketch(v1);
+    t.deepEqual([decoded.version, decoded.fingerprint, decoded.sketch], [1, hasher.fingerprint, sketch.sketch], 'Version 1 sketches should still decode');
+    const v1WithTrailing = new Uint32Array(5 + 17);
+    v1WithTrailing.set(v1);
+    t.throws(() => JSONHashify.deserializeSketch(v1WithTrailing), /truncated or malformed/, 'Version 1 sketches should have no trailing words');
+});
@@ -0,0 +1,107 @@
+import test from 'tape';
+import { JSONHashify, SketchIndex, estimateJaccardSimilarity } from '../index.js';
+
+test('SketchIndex - Bands and Rows Derivation', (t) => {
+    t.plan(5);
+
+    const index = new SketchIndex({ numHashFunctions: 128, numGroups: 4 });
+    t.equal(index.bands, 32, 'Default bands should be numHashFunctions / numGroups');
+    t.equal(index.rows, 4, 'Default rows should be numHashFunctions / bands');
+
+    const custom = new SketchIndex({ numHashFunctions: 64, rows: 8 });
+    t.equal(custom.bands, 8, 'Bands should be derived from rows when only rows is given');
+
+    t.throws(() => new SketchIndex({ numHashFunctions: 64, bands: 5 }), /rows must be a positive integer/, 'Should throw when bands does not divide numHashFunctions');
+    t.throws(() => new SketchIndex({ numHashFunctions: 64, bands: 16, rows: 8 }), /must not exceed numHashFunctions/, 'Should throw when bands * rows exceeds the sketch length');
+});
+
+test('SketchIndex - Add, Query and Remove', (t) => {
+    t.plan(7);
+    const hasher = new JSONHashify({ numHashFunctions: 64, shingleSize: 3 });
+    const index = hasher.createSketchIndex();
+
+    const docA = { name: 'Alice', age: 30, city: 'New York', hobbies: ['reading', 'hiking'] };
+    const docB = { name: 'Alice', age: 31, city: 'New York', hobbies: ['reading', 'hiking'] };
+    const docC = { vehicle: 'Car', model: 'Tesla Model S', year: 2023, color: 'Red' };
+
+    index.add('a', hasher.generateSketch(docA));
+    index.add('b', hasher.generateSketch(docB));
+    index.add('c', hasher.generateSketch(docC));
+    t.equal(index.size, 3, 'Index should hold three sketches');
+
+    const results = index.query(hasher.generateSketch(docA));
+    t.equal(results[0].id, 'a', 'Identical document should rank first');
+    t.equal(results[0].similarity, 1.0, 'Identical document should have similarity 1.0');
+    t.ok(results.some(r => r.id === 'b'), 'Near-duplicate should be returned as a candidate');
+
+    const top1 = index.query(hasher.generateSketch(docA), { topK: 1 });
+    t.equal(top1.length, 1, 'topK should limit the number of results');
+
+    t.ok(index.remove('a'), 'remove should report that the id was present');
+    const afterRemove = index.query(hasher.generateSketch(docA), { threshold: 0.99 });
+    t.notOk(afterRemove.some(r => r.id === 'a'), 'Removed id should no longer be returned');
+});
+
+test('SketchIndex - Threshold Filtering and Replacement', (t) => {
+    t.plan(4);
+    const hasher = new JSONHashify({ numHashFunctions: 64 });
+    const index = hasher.createSketchIndex({ bands: 16 });
+
+    const sketch1 = hasher.generateSketch({ a: 1, b: 2, c: 3 });
+    const sketch2 = hasher.generateSketch({ x: 'foo', y: 'bar' });
+
+    index.add('doc', sketch1);
+    index.add('doc', sketch2);
+    t.equal(index.size, 1, 'Re-adding an id should replace its sketch');
+    t.deepEqual(index.query(sketch1, { threshold: 0.99 }), [], 'Replaced sketch should no longer match');
+    t.equal(index.query(sketch2)[0].id, 'doc', 'New sketch should match');
+
+    t.throws(() => index.add('bad', [1, 2, 3]), /Sketch length must be 64/, 'Should reject sketches of the wrong length');
+});
+
+test('SketchIndex - Sketch Objects and Compatibility', (t) => {
+    t.plan(7);
+    const hasher = new JSONHashify({ numHashFunctions: 64 });
+    const other = new JSONHashify({ numHashFunctions: 64, shingleSize: 3 });
+    const doc = { name: 'Alice', tags: ['a', 'b'] };
+    const index = hasher.createSketchIndex();
+
+    const sketch = hasher.generateSketch(doc);
+    index.add('bare', sketch);
+    sketch.fill(0);
+    t.deepEqual(index.query(hasher.generateSketch(doc)).map(result => result.id), ['bare'], 'Changing a sketch after adding it should not change the index');
+
+    index.add('object', hasher.generateSketch(doc, { withCardinality: true }));
+    index.add('serialized', JSONHashify.deserializeSketch(hasher.serializeSketch(hasher.generateSketch(doc))));
+    t.deepEqual(index.query(hasher.generateSketch(doc, { withCardinality: true }), { threshold: 1 }).map(result => result.id).sort(), ['bare', 'object', 'serialized'],
+        'Sketch objects should be unwrapped when added and queried');
+
+    t.throws(() => index.add('other', other.generateSketch(doc, { withCardinality: true })), /Incompatible sketch/, 'A different fingerprint should be rejected on add');
+    t.throws(() => index.query(other.generateSketch(doc, { withCardinality: true })), /Incompatible sketch/, 'A different fingerprint should be rejected on query');
+    t.throws(() => index.add('short', hasher.generateSketch(doc).slice(1)), /Sketch length must be 64/, 'A different length should be rejected');
+
+    const plain = new SketchIndex({ numHashFunctions: 64, numGroups: hasher.numGroups });
+    plain.add('first', hasher.generateSketch(doc, { withCardinality: true }));
+    t.throws(() => plain.add('other', other.generateSketch(doc, { withCardinality: true })), /Incompatible sketch/,
+        'Without a fingerprint option the index should take that of the first sketch object');
+    plain.clear();
+    plain.add('other', other.generateSketch(doc, { withCardinality: true }));
+    t.equal(plain.fingerprint, other.fingerprint, 'clear should forget a fingerprint taken from the sketches');
+});
+
+test('SketchIndex - Ranking Matches compareSketches', (t) => {
+    t.plan(3);
+    const hasher = new JSONHashify({ numHashFunctions: 32, components: { structure: { weight: 0.9 }, values: { weight: 0.1 } } });
+    const docA = { name: 'Alice', city: 'Paris', tags: ['a', 'b'] };
+    const docB = { ...docA, city: 'Rome' };
+    const index = hasher.createSketchIndex({ bands: 64, rows: 1 });
+    index.add('b', hasher.generateSketch(docB));
+    const [result] = index.query(hasher.generateSketch(docA));
+    t.equal(result.similarity, hasher.compareSketches(hasher.generateSketch(docA), hasher.generateSketch(docB)), 'Query similarity should apply component weights');
+    t.throws(() => index.add('short', hasher.generateSketch(docA).slice(32)), /Sketch length must be 64/, 'Bare sketches should be checked against sketchLength');
+
+    const plain = new SketchIndex({ numHashFunctions: 64, bands: 64, rows: 1 });
+    plain.add('b', hasher.generateSketch(docB));
+    t.equal(plain.query(hasher.generateSketch(docA))[0].similarity, estimateJaccardSimilarity(hasher.generateSketch(docA), hasher.generateSketch(docB)),
+        'A plain index should rank by estimateJaccardSimilarity');
+});
@@ -0,0 +1,88 @@
+import test from 'tape';
+import { JSONHashify, SketchState } from '../index.js';
+
+const doc = {
+    id: 'doc-1',
+    title: 'Quarterly Report',
+    authors: [{ name: 'Ada', role: 'lead' }, { name: 'Grace', role: 'review' }],
+    sections: [
+        { heading: 'Intro', body: 'Hello', tags: ['a', 'b'] },
+        { heading: 'Numbers', body: 'Lots of numbers', data: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] }
+    ],
+    meta: { version: 3, draft: true, 'a/b': 'slash', 'c~d': 'tilde' }
+};
+
+const patches = [
+    [{ op: 'replace', path: '/title', value: 'Annual Report' }],
+    [{ op: 'add', path: '/meta/reviewed', value: { by: 'Linus', at: '2024-01-01' } }],
+    [{ op: 'remove', path: '/authors/0' }],
+    [{ op: 'add', path: '/authors/1', value: { name: 'Alan', role: 'author' } }],
+    [{ op: 'add', path: '/sections/1/data/-', value: 13 }],
+    [{ op: 'remove', path: '/sections/1/data/12' }, { op: 'remove', path: '/sections/1/data/11' }, { op: 'remove', path: '/sections/1/data/10' }],
+    [{ op: 'replace', path: '/sections/1/data/0', value: { nested: true } }],
+    [{ op: 'move', from: '/sections/0/tags', path: '/meta/tags' }],
+    [{ op: 'copy', from: '/authors/0', path: '/sections/0/owner' }],
+    [{ op: 'replace', path: '/meta/a~1b', value: 'escaped' }, { op: 'remove', path: '/meta/c~0d' }],
+    [{ op: 'test', path: '/meta/version', value: 3 }, { op: 'replace', path: '/meta/version', value: 4 }],
+    [{ op: 'replace', path: '/sections', value: [] }],
+    [{ op: 'replace', path: '', value: ['now', 'an', 'array'] }]
+];
+
+const configurations = [
+    { name: 'defaults', options: {} },
+    { name: 'counts and frequency threshold', options: { frequencyThreshold: 2, subtreeDepth: 3 } },
+    { name: 'unordered arrays', options: { preserveArrayOrder: false } },
+    { name: 'ignoreKeys and path filters', options: { ignoreKeys: ['id'], ignorePaths: ['authors[0]'], includePaths: ['authors', 'sections[*].data', 'meta.**'] } },
+    { name: 'multiset weighting and normalizers', options: { weighting: 'multiset', valueNormalizers: ['lowercase'] } },
+    { name: 'components', options: { components: { structure: true, keys: { weight: 0.5 }, values: { shingleSize: 3 } } } },
+    { name: 'node string cache', options: { enableNodeStringCache: true } }
+];
+
+test('SketchState - Matches generateSketch After Every Patch', (t) => {
+    t.plan(configurations.length * (patches.length + 1));
+    for (const { name, options } of configurations) {
+        const hasher = new JSONHashify({ numHashFunctions: 32, ...options });
+        const state = hasher.createSketchState(doc);
+        t.deepEqual(state.sketch(), hasher.generateSketch(doc), `${name}: initial sketch should match`);
+        patches.forEach((patch, i) => {
+            state.applyPatch(patch);
+            t.deepEqual(state.sketch(), hasher.generateSketch(state.document), `${name}: sketch should match after patch ${i}`);
+        });
+    }
+});
+
+test('SketchState - Document Handling', (t) => {
+    t.plan(4);
+    const hasher = new JSONHashify({ numHashFunctions: 32 });
+    const input = { list: [1, 2] };
+    const state = hasher.createSketchState(input);
+    t.ok(state instanceof SketchState, 'createSketchState should return a SketchState');
+
+    input.list.push(3);
+    t.deepEqual(state.document, { list: [1, 2] }, 'The state should keep its own copy of the document');
+
+    const value = { deep: 1 };
+    state.applyPatch([{ op: 'add', path: '/extra', value }]);
+    value.deep = 2;
+    t.deepEqual(state.document.extra, { deep: 1 }, 'Patch values should be copied');
+    t.equal(state.applyPatch([]), state, 'applyPatch should return the state');
+});
+
+test('SketchState - Failed Patches Roll Back', (t) => {
+    t.plan(6);
+    const hasher = new JSONHashify({ numHashFunctions: 32 });
+    const state = hasher.createSketchState(doc);
+    const before = state.sketch();
+
+    t.throws(() => state.applyPatch([
+        { op: 'replace', path: '/title', value: 'Changed' },
+        { op: 'remove', path: '/authors/0' },
+        { op: 'test', path: '/meta/version', value: 99 }
+    ]), /operation 2 \(test\) failed/, 'A failed test should fail the patch');
+    t.deepEqual(state.document, doc, 'The document should be rolled back');
+    t.deepEqual(state.sketch(), before, 'The sketch should be rolled back');
+
+    t.throws(() => state.applyPatch([{ op: 'remove', path: '/missing' }]), /does not exist/, 'Missing targets should fail');
+    t.throws(() => state.applyPatch([{ op: 'add', path: '/authors/5', value: 1 }]), /out of bounds/, 'Out of bounds indices should fail');
+    t.throws(() => state.applyPatch([{ op: 'move', from: '/meta', path: '/meta/inner' }]), /own children/, 'Moving into a child should fail');
+});
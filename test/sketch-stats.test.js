@@ -0,0 +1,42 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+
+const doc = { name: 'Widget', price: 10, tags: ['blue', 'small'], dims: { w: 3, h: { value: 4, unit: 'cm' } } };
+
+test('Sketch Stats - Tree and Shingle Counts', (t) => {
+    t.plan(7);
+    const hasher = new JSONHashify({ numHashFunctions: 64 });
+    const result = hasher.generateSketch(doc, { withStats: true });
+
+    t.deepEqual(result.sketch, hasher.generateSketch(doc), 'The sketch should not change when stats are requested');
+    t.equal(result.fingerprint, hasher.fingerprint, 'The result should carry the configuration fingerprint');
+    t.equal(result.cardinality, hasher.generateShingleSet(doc).size, 'Cardinality should be the size of the sketched shingle set');
+    t.equal(result.nodeCount, 11, 'Every node should be counted, root included');
+    t.equal(result.maxDepth, 3, 'Depth should count the levels below the root');
+    t.equal(result.shingleCount, result.cardinality, 'Without thresholding every shingle should be sketched');
+    t.equal(hasher.generateSketch(42, { withStats: true }).maxDepth, 0, 'A lone root should have depth 0');
+});
+
+test('Sketch Stats - Filtering, Thresholding and Components', (t) => {
+    t.plan(5);
+    const filtered = new JSONHashify({ ignoreKeys: ['dims'] }).generateSketch(doc, { withStats: true });
+    t.equal(filtered.nodeCount, 6, 'Ignored subtrees should not be counted');
+    t.equal(filtered.maxDepth, 2, 'Ignored subtrees should not count towards the depth');
+
+    const thresholded = new JSONHashify({ frequencyThreshold: 2 }).generateSketch(doc, { withStats: true });
+    t.ok(thresholded.cardinality < thresholded.shingleCount, 'Shingles below the frequency threshold should count towards shingleCount only');
+
+    const components = new JSONHashify({ components: { structure: true, values: true } });
+    const result = components.generateSketch(doc, { withStats: true });
+    t.equal(result.cardinality.length, 2, 'Components should carry one cardinality each');
+    t.equal(result.shingleCount, result.cardinality[0] + result.cardinality[1], 'shingleCount should sum over components');
+});
+
+test('Sketch Stats - Usable as a Sketch', (t) => {
+    t.plan(2);
+    const hasher = new JSONHashify({ numHashFunctions: 64 });
+    const a = hasher.generateSketch(doc, { withStats: true });
+    const b = hasher.generateSketch({ ...doc, price: 12 }, { withStats: true });
+    t.equal(hasher.compareSketches(a, b), hasher.compareSketches(a.sketch, b.sketch), 'Stats results should be comparable like sketches');
+    t.ok(hasher.compareSketches(a, b, { metric: 'containment' }) > 0.5, 'Stats results should support containment');
+});
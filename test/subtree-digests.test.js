@@ -0,0 +1,49 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+
+const address = { street: '1 Main St', city: 'Springfield', geo: { lat: 39.8, lng: -89.6 } };
+const customerA = { id: 1, name: 'Ann', billing: address, shipping: { ...address }, tags: ['vip', 'new'] };
+const customerB = { name: 'Bob', id: 2, shipping: { geo: { lng: -89.6, lat: 39.8 }, city: 'Springfield', street: '1 Main St' }, tags: ['new', 'vip'] };
+
+test('subtreeDigests - Equal Subtrees Get Equal Digests', (t) => {
+    t.plan(6);
+    const hasher = new JSONHashify();
+    const digests = hasher.subtreeDigests(customerA);
+    const byPath = new Map(digests.map(entry => [entry.path, entry]));
+
+    t.equal(digests[0].path, '$root', 'The root should come first');
+    t.equal(digests[0].nodeCount, digests.length, 'The root subtree should contain every node');
+    t.ok(/^[0-9a-f]{32}$/.test(byPath.get('billing').digest), 'Digests should be 128-bit hex strings');
+    t.equal(byPath.get('billing').digest, byPath.get('shipping').digest, 'Equal subtrees under different keys should have equal digests');
+    t.equal(hasher.subtreeDigests(customerB).find(entry => entry.path === 'shipping').digest, byPath.get('billing').digest, 'Key order should not matter');
+    t.notEqual(hasher.subtreeDigests({ ...customerA, billing: { ...address, city: 'Shelbyville' } }).find(entry => entry.path === 'billing').digest, byPath.get('billing').digest, 'A changed value should change the digest');
+});
+
+test('subtreeDigests - Options', (t) => {
+    t.plan(5);
+    const ordered = new JSONHashify();
+    const unordered = new JSONHashify({ preserveArrayOrder: false });
+    const tagsDigest = (hasher, json) => hasher.subtreeDigests(json).find(entry => entry.path === 'tags').digest;
+    t.notEqual(tagsDigest(ordered, customerA), tagsDigest(ordered, customerB), 'Element order should matter with preserveArrayOrder');
+    t.equal(tagsDigest(unordered, customerA), tagsDigest(unordered, customerB), 'Element order should not matter without preserveArrayOrder');
+    t.notEqual(ordered.subtreeDigests({ v: 1 })[0].digest, ordered.subtreeDigests({ v: '1' })[0].digest, 'Values of different types should not collide');
+
+    const ignoring = new JSONHashify({ ignoreKeys: ['lat'] });
+    t.equal(ignoring.subtreeDigests({ lat: 1, lng: 2 })[0].digest, ignoring.subtreeDigests({ lat: 5, lng: 2 })[0].digest, 'ignoreKeys should apply');
+    const lowercase = new JSONHashify({ valueNormalizers: ['lowercase'] });
+    t.equal(lowercase.subtreeDigests({ city: 'PARIS' })[0].digest, lowercase.subtreeDigests({ city: 'paris' })[0].digest, 'valueNormalizers should apply');
+});
+
+test('findDuplicateSubtrees - Groups Across Documents', (t) => {
+    t.plan(6);
+    const hasher = new JSONHashify();
+    const groups = hasher.findDuplicateSubtrees([customerA, customerB]);
+    const addressGroup = groups[0];
+
+    t.equal(addressGroup.nodeCount, 6, 'The largest duplicate should come first');
+    t.deepEqual(addressGroup.occurrences, [{ document: 0, path: 'billing' }, { document: 0, path: 'shipping' }, { document: 1, path: 'shipping' }], 'Every occurrence should be listed with its document and path');
+    t.notOk(groups.some(group => group.occurrences.some(occurrence => occurrence.path.endsWith('.geo'))), 'Subtrees only repeated inside a larger duplicate should not be reported');
+    t.notOk(groups.some(group => group.nodeCount < 2), 'Lone leaves should be skipped by default');
+    t.ok(hasher.findDuplicateSubtrees([customerA, customerB], { minNodes: 1 }).some(group => group.nodeCount === 1), 'minNodes 1 should report repeated leaves');
+    t.deepEqual(hasher.findDuplicateSubtrees([{ a: 1 }, { b: 2 }]), [], 'Documents without repeats should have no groups');
+});
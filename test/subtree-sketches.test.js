@@ -0,0 +1,103 @@
+import test from 'tape';
+import { JSONHashify } from '../index.js';
+
+const program = {
+    type: 'Program',
+    body: [
+        {
+            type: 'FunctionDeclaration',
+            id: { type: 'Identifier', name: 'add' },
+            params: [{ type: 'Identifier', name: 'a' }, { type: 'Identifier', name: 'b' }],
+            body: { type: 'BlockStatement', body: [{ type: 'ReturnStatement', argument: { type: 'BinaryExpression', operator: '+' } }] }
+        },
+        {
+            type: 'FunctionDeclaration',
+            id: { type: 'Identifier', name: 'greet' },
+            params: [],
+            body: { type: 'BlockStatement', body: [{ type: 'ExpressionStatement', expression: { type: 'Literal', value: 'hello world, this is a string' } }] }
+        }
+    ]
+};
+
+const configurations = [
+    { name: 'defaults', options: {} },
+    { name: 'unordered arrays', options: { preserveArrayOrder: false, shingleSize: 3 } },
+    { name: 'counts', options: { frequencyThreshold: 2, subtreeDepth: 3 } },
+    { name: 'multiset weighting', options: { weighting: 'multiset', ignoreKeys: ['type'] } },
+    { name: 'components', options: { components: { structure: true, keys: { shingleSize: 2 }, values: true } } },
+    { name: 'large values', options: { stringToHashifyThreshold: 10 } },
+    { name: '64-bit hashes', options: { hashBits: 64, weighting: 'multiset' } }
+];
+
+test('generateSubtreeSketches - Each Sketch Equals the Standalone Sketch', (t) => {
+    const targets = [
+        ['$root', program],
+        ['body.[0]', program.body[0]],
+        ['body.[1].body', program.body[1].body],
+        ['body.[0].params', program.body[0].params]
+    ];
+    t.plan(configurations.length * targets.length);
+    for (const { name, options } of configurations) {
+        const hasher = new JSONHashify({ numHashFunctions: 32, ...options });
+        const results = hasher.generateSubtreeSketches(program);
+        for (const [path, value] of targets) {
+            const lookup = hasher.options.preserveArrayOrder ? path : path.replace(/\[\d+\]/g, '');
+            const matches = results.filter(entry => entry.path === lookup).map(entry => entry.sketch);
+            t.ok(matches.some(sketch => JSON.stringify(sketch) === JSON.stringify(hasher.generateSketch(value))), `${name}: ${path} should match generateSketch of its value`);
+        }
+    }
+});
+
+test('generateSubtreeSketches - Filtering', (t) => {
+    t.plan(5);
+    const hasher = new JSONHashify({ numHashFunctions: 32 });
+    const all = hasher.generateSubtreeSketches(program);
+    t.equal(all[0].path, '$root', 'Results should be in document order, starting at the root');
+    t.ok(all.every(entry => entry.nodeCount >= 2), 'Leaves should be excluded by default');
+    t.equal(hasher.generateSubtreeSketches(program, { minNodes: 1 }).length, hasher._buildCSRFromJSON(program).nodeMap.size, 'minNodes 1 should include every node');
+
+    const functions = hasher.generateSubtreeSketches(program, { paths: ['body[*]'] });
+    t.deepEqual(functions.map(entry => entry.path), ['body.[0]', 'body.[1]'], 'paths should restrict subtree roots');
+    t.deepEqual(hasher.generateSubtreeSketches(program, { minNodes: all[1].nodeCount + 1 }).map(entry => entry.path), ['$root'], 'minNodes should drop small subtrees');
+});
+
+test('generateSubtreeSketches - Finding a Snippet', (t) => {
+    t.plan(1);
+    const hasher = new JSONHashify({ numHashFunctions: 128 });
+    const snippet = {
+        type: 'FunctionDeclaration',
+        id: { type: 'Identifier', name: 'sum' },
+        params: [{ type: 'Identifier', name: 'x' }, { type: 'Identifier', name: 'y' }],
+        body: { type: 'BlockStatement', body: [{ type: 'ReturnStatement', argument: { type: 'BinaryExpression', operator: '+' } }] }
+    };
+    const snippetSketch = hasher.generateSketch(snippet);
+    const ranked = hasher.generateSubtreeSketches(program, { paths: ['body[*]'] })
+        .map(entry => ({ path: entry.path, similarity: hasher.compareSketches(snippetSketch, entry.sketch) }))
+        .sort((a, b) => b.similarity - a.similarity);
+    t.equal(ranked[0].path, 'body.[0]', 'The most similar function body should be found');
+});
+
+test('generateSubtreeSketches - Deep Trees Reuse Child Counts', (t) => {
+    t.plan(4);
+    var chain = { leaf: 'end' };
+    for (var i = 0; i < 150; i++) {
+        chain = { next: chain, value: 'item ' + i, tags: ['a', i % 3] };
+    }
+    for (const options of [{}, { weighting: 'multiset', subtreeDepth: 3 }]) {
+        const hasher = new JSONHashify({ numHashFunctions: 32, ...options });
+        const { rowPtr, colIndices, nodeMap } = hasher._buildCSRFromJSON(chain);
+        const roots = new Array(nodeMap.size).fill(true);
+        const perRoot = hasher._subtreeSketchesPerRoot(rowPtr, colIndices, nodeMap, roots);
+
+        var additions = 0;
+        const addRelativeShingles = hasher._addRelativeShingles;
+        hasher._addRelativeShingles = function (...args) {
+            additions++;
+            return addRelativeShingles.apply(this, args);
+        };
+        const results = hasher.generateSubtreeSketches(chain, { minNodes: 1 });
+        t.deepEqual(results.map(entry => entry.sketch), perRoot, 'Bottom-up sketches should equal those of walking every subtree');
+        t.ok(additions <= nodeMap.size * (hasher.options.subtreeDepth + 1),
+            `Each node's shingles should be added a bounded number of times (${additions} for ${nodeMap.size} nodes)`);
+    }
+});
@@ -0,0 +1,109 @@
+import test from 'tape';
+import { JSONHashify, weightedJaccardSimilarity } from '../index.js';
+
+function batch(size) {
+    const items = [];
+    for (var i = 0; i < size; i++) {
+        items.push({ level: 'info', msg: 'request handled', status: 200 });
+    }
+    return { service: 'api', items };
+}
+
+test('Weighting - Option Validation', (t) => {
+    t.plan(4);
+    t.equal(new JSONHashify().options.weighting, 'none', 'Default weighting should be none');
+    t.throws(() => new JSONHashify({ weighting: 'bogus' }), /weighting must be one of/, 'Should reject unknown weighting modes');
+    t.notEqual(new JSONHashify({ weighting: 'multiset' }).fingerprint, new JSONHashify().fingerprint, 'Weighting should change the configuration fingerprint');
+    t.throws(() => new JSONHashify({ weighting: 'tfidf' }).generateSketch({ a: 1 }), /requires document frequencies/, 'tfidf should require an IDF table');
+});
+
+test('Weighting - weightedJaccardSimilarity', (t) => {
+    t.plan(3);
+    const a = new Map([[1, 3], [2, 1]]);
+    const b = new Map([[1, 1], [3, 2]]);
+    t.equal(weightedJaccardSimilarity(a, b), 1 / 6, 'Should be sum of mins over sum of maxes');
+    t.equal(weightedJaccardSimilarity(a, a), 1.0, 'Identical weights should have similarity 1.0');
+    t.equal(weightedJaccardSimilarity(new Map(), new Map()), 1.0, 'Two empty collections should have similarity 1.0');
+});
+
+test('Weighting - Multiset Distinguishes Batch Sizes', (t) => {
+    t.plan(4);
+    const options = { numHashFunctions: 128, preserveArrayOrder: false };
+    const setHasher = new JSONHashify(options);
+    const multisetHasher = new JSONHashify({ ...options, weighting: 'multiset' });
+
+    const small = batch(1);
+    const large = batch(200);
+
+    const setSimilarity = setHasher.compareSketches(setHasher.generateSketch(small), setHasher.generateSketch(large));
+    t.equal(setSimilarity, 1.0, 'Set Jaccard cannot tell a 1-item batch from a 200-item batch');
+
+    const exact = multisetHasher.weightedSimilarity(small, large);
+    t.ok(exact < 0.1, `Exact weighted similarity (${exact.toFixed(3)}) should be low`);
+
+    const estimate = multisetHasher.compareSketches(multisetHasher.generateSketch(small), multisetHasher.generateSketch(large));
+    t.ok(Math.abs(estimate - exact) < 0.15, `Sketch estimate (${estimate.toFixed(3)}) should approximate weighted Jaccard (${exact.toFixed(3)})`);
+
+    const near = multisetHasher.compareSketches(multisetHasher.generateSketch(batch(190)), multisetHasher.generateSketch(large));
+    t.ok(near > 0.8, `Similar batch sizes (${near.toFixed(3)}) should remain highly similar`);
+});
+
+test('Weighting - TF-IDF', (t) => {
+    t.plan(5);
+    const corpus = [
+        { service: 'api', status: 200, path: '/users' },
+        { service: 'api', status: 404, path: '/orders' },
+        { service: 'api', status: 500, path: '/billing' }
+    ];
+    const hasher = new JSONHashify({ numHashFunctions: 128, weighting: 'tfidf' });
+    const before = hasher.fingerprint;
+    const idf = hasher.fitIdf(corpus);
+
+    t.equal(idf.documentCount, 3, 'IDF table should count the documents');
+    t.notEqual(hasher.fingerprint, before, 'Fitting IDF should update the fingerprint');
+
+    const weights = hasher.generateWeightedShingles(corpus[0]);
+    const plain = new JSONHashify({ numHashFunctions: 128, weighting: 'multiset' }).generateWeightedShingles(corpus[0]);
+    const commonHash = Array.from(hasher._buildShingleMultiset(corpus[1]).keys()).find(h => idf.documentFrequencies.get(h) === 3 && weights.has(h));
+    const rareHash = Array.from(weights.keys()).find(h => idf.documentFrequencies.get(h) === 1);
+    t.ok(weights.get(rareHash) / plain.get(rareHash) > weights.get(commonHash) / plain.get(commonHash), 'Rare shingles should be weighted above shingles shared by every document');
+
+    const reused = new JSONHashify({ numHashFunctions: 128, weighting: 'tfidf', idf });
+    t.equal(reused.fingerprint, hasher.fingerprint, 'Passing the fitted table as options.idf should reproduce the configuration');
+    t.deepEqual(reused.generateSketch(corpus[2]), hasher.generateSketch(corpus[2]), 'Sketches should be reproducible from a stored IDF table');
+});
+
+test('Weighting - Maximum shingle weight', (t) => {
+    t.plan(5);
+    const options = { numHashFunctions: 64, preserveArrayOrder: false, weighting: 'multiset' };
+    const capped = new JSONHashify({ ...options, maxShingleWeight: 50 });
+    const weights = capped.generateWeightedShingles(batch(200));
+    t.equal(Math.max(...weights.values()), 50, 'Weights should be clipped to maxShingleWeight');
+    const sketch = capped.generateSketch(batch(200), { withCardinality: true });
+    t.equal(sketch.cardinality, Array.from(weights.values()).reduce((sum, weight) => sum + weight, 0), 'Only the clipped weights should be expanded');
+    t.equal(capped.weightedSimilarity(batch(100), batch(200)), 1, 'Counts above the cap should no longer be told apart');
+    t.notEqual(capped.fingerprint, new JSONHashify(options).fingerprint, 'maxShingleWeight should be part of the fingerprint');
+    t.throws(() => new JSONHashify({ ...options, maxShingleWeight: 0 }), /maxShingleWeight must be a positive integer/, 'Invalid caps should throw');
+});
+
+test('Weighting - Maximum total weight', (t) => {
+    t.plan(6);
+    // 200 copies of an object with many distinct members: most shingles are counted far past the cap.
+    const record = {};
+    for (var i = 0; i < 100; i++) record[`field${i}`] = `value ${i}`;
+    const doc = { items: Array.from({ length: 200 }, () => record) };
+    const options = { numHashFunctions: 64, preserveArrayOrder: false, weighting: 'multiset', maxShingleWeight: 50 };
+
+    const unbounded = new JSONHashify({ ...options, maxTotalWeight: Number.MAX_SAFE_INTEGER }).generateWeightedShingles(doc);
+    const atCap = Array.from(unbounded.values()).filter(weight => weight === 50).length;
+    t.ok(atCap * 50 > 20000, `Shingles at the cap alone should weigh more than twice the bound (${atCap} at the cap)`);
+
+    const bounded = new JSONHashify({ ...options, maxTotalWeight: 10000 });
+    const weights = bounded.generateWeightedShingles(doc);
+    const total = Array.from(weights.values()).reduce((sum, weight) => sum + weight, 0);
+    t.ok(total <= 10000 + weights.size, `The total weight should be bounded by maxTotalWeight plus one per shingle (${total})`);
+    t.equal(bounded.generateSketch(doc, { withCardinality: true }).cardinality, total, 'Only the scaled weights should be expanded');
+    t.deepEqual(Array.from(weights.keys()).sort(), Array.from(unbounded.keys()).sort(), 'Every shingle should keep a weight');
+    t.notEqual(bounded.fingerprint, new JSONHashify(options).fingerprint, 'maxTotalWeight should be part of the fingerprint');
+    t.throws(() => new JSONHashify({ ...options, maxTotalWeight: 0.5 }), /maxTotalWeight must be a positive integer/, 'Invalid bounds should throw');
+});